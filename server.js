@@ -3,9 +3,13 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { EventEmitter } from 'events';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync, unlinkSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { execFileSync, spawn } from 'child_process';
+import { readFileSync, writeFileSync, appendFileSync, renameSync, cpSync, existsSync, mkdirSync, readdirSync, rmSync, unlinkSync, statSync, symlinkSync, openSync, readSync, closeSync, watch } from 'fs';
 import { WebSocketServer } from 'ws';
+import { Worker } from 'worker_threads';
 import http from 'http';
+import zlib from 'zlib';
 import OpenAI from 'openai';
 
 dotenv.config();
@@ -14,7 +18,39 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Constants
-const PROJECT_WORKSPACE = '/tmp/project';
+// Root of all workspaces - each conversation works in its own <root>/<conversationId> folder
+const PROJECT_WORKSPACE = process.env.PROJECT_WORKSPACE || '/tmp/project';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+// Make new workspaces git repositories unless a request says otherwise
+const GIT_WORKSPACE_BY_DEFAULT = process.env.WORKSPACE_GIT === 'true';
+// run_command: binaries agents may call, time limit, output cap and the offline npm cache
+const COMMAND_ALLOWLIST = (process.env.COMMAND_ALLOWLIST || 'node,npm,npx,sh').split(',').map(name => name.trim()).filter(Boolean);
+const COMMAND_TIMEOUT_MS = parseInt(process.env.COMMAND_TIMEOUT_MS, 10) || 60000;
+const COMMAND_OUTPUT_LIMIT = parseInt(process.env.COMMAND_OUTPUT_LIMIT, 10) || 64 * 1024;
+const NPM_CACHE_DIR = process.env.NPM_CACHE_DIR || path.join(DATA_DIR, 'npm-cache');
+// File locks: default lease, how long a blocked agent waits, and the longest lease lock_file may ask for
+const LOCK_LEASE_MS = parseInt(process.env.LOCK_LEASE_MS, 10) || 60000;
+const LOCK_WAIT_MS = parseInt(process.env.LOCK_WAIT_MS, 10) || 10000;
+const LOCK_MAX_LEASE_MS = 10 * 60 * 1000;
+// Largest file agents may read or write in one piece, and how much of each file is inlined into an agent's prompt
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 1024 * 1024;
+const CONTEXT_FILE_PREVIEW = parseInt(process.env.CONTEXT_FILE_PREVIEW, 10) || 4000;
+// Regex searches run in a worker that is stopped after SEARCH_TIMEOUT_MS, so a pattern that backtracks
+// forever cannot freeze the server; patterns longer than SEARCH_MAX_PATTERN are refused
+const SEARCH_TIMEOUT_MS = parseInt(process.env.SEARCH_TIMEOUT_MS, 10) || 2000;
+const SEARCH_MAX_PATTERN = 500;
+// Context assembly: the most of an agent's context budget its folder files may fill, and how many of the
+// newest history messages decide which files are relevant
+const CONTEXT_FILES_SHARE = 0.4;
+const CONTEXT_RECENT_MESSAGES = 12;
+const CONTEXT_SUMMARY_HEADER = 'SUMMARY OF YOUR EARLIER WORK (older messages were condensed to fit your context window):';
+// Seeding a workspace from an uploaded archive or a local directory: size limits, the directories
+// that may be seeded from (none unless configured) and how long an unused upload is kept
+const SEED_MAX_BYTES = parseInt(process.env.SEED_MAX_BYTES, 10) || 50 * 1024 * 1024;
+const SEED_MAX_FILES = parseInt(process.env.SEED_MAX_FILES, 10) || 5000;
+const SEED_DIR_ROOTS = (process.env.SEED_DIR_ROOTS || '').split(',').map(dir => dir.trim()).filter(Boolean).map(dir => path.resolve(dir));
+const SEED_UPLOAD_TTL_MS = 60 * 60 * 1000;
 
 // Ensure workspace exists
 if (!existsSync(PROJECT_WORKSPACE)) {
@@ -22,322 +58,4176 @@ if (!existsSync(PROJECT_WORKSPACE)) {
 }
 
 /**
- * FileLockManager - Manages file locking to prevent concurrent writes
+ * FileLockManager - Shared read locks and exclusive write locks on workspace files
+ *
+ * Locks are leases that expire unless released first. An agent that cannot get a lock waits in a
+ * first-come queue for up to waitMs. Writes check the locks of other agents, so a file locked by
+ * one agent cannot be changed by another until the lock is released or its lease runs out.
  */
 class FileLockManager {
-  constructor() {
-    this.locks = new Map(); // path -> { agent, timestamp }
-    this.LOCK_TIMEOUT = 30000; // 30 seconds
+  constructor({ onEvent = () => {}, leaseMs = LOCK_LEASE_MS, waitMs = LOCK_WAIT_MS } = {}) {
+    this.locks = new Map(); // path -> Map(agent -> { mode, acquiredAt, expiresAt, implicit, timer })
+    this.waiters = new Map(); // path -> [{ agent, mode, since, grant, cancel, timer }]
+    this.onEvent = onEvent; // Receives lock:acquired / lock:released / lock:waiting events
+    this.leaseMs = leaseMs;
+    this.waitMs = waitMs;
   }
 
-  acquireLock(filePath, agentName) {
-    const now = Date.now();
-    const lock = this.locks.get(filePath);
+  holdersOf(filePath) {
+    return Array.from(this.locks.get(filePath)?.keys() || []);
+  }
 
-    // Check if locked by another agent and lock hasn't timed out
-    if (lock && lock.agent !== agentName && (now - lock.timestamp < this.LOCK_TIMEOUT)) {
-      return false;
-    }
+  _modeOf(holders) {
+    return Array.from(holders.values()).some(holder => holder.mode === 'write') ? 'write' : 'read';
+  }
 
-    // Acquire or refresh lock
-    this.locks.set(filePath, {
-      agent: agentName,
-      timestamp: now
-    });
-    return true;
+  _canGrant(filePath, agentName, mode) {
+    const holders = this.locks.get(filePath);
+    if (!holders || this.holdersOf(filePath).every(agent => agent === agentName)) return true;
+    return mode === 'read' && this._modeOf(holders) === 'read';
   }
 
-  releaseLock(filePath, agentName) {
-    const lock = this.locks.get(filePath);
-    if (lock && lock.agent === agentName) {
-      this.locks.delete(filePath);
-      return true;
+  _grant(filePath, agentName, mode, { leaseMs, implicit, waitedMs }) {
+    if (!this.locks.has(filePath)) {
+      this.locks.set(filePath, new Map());
     }
-    return false;
-  }
+    const holders = this.locks.get(filePath);
+    const existing = holders.get(agentName);
 
-  getLockOwner(filePath) {
-    const lock = this.locks.get(filePath);
-    if (!lock) return null;
-    
-    // Check timeout
-    if (Date.now() - lock.timestamp > this.LOCK_TIMEOUT) {
-      this.locks.delete(filePath);
-      return null;
+    // A call made under an explicit lock runs inside it and leaves it alone
+    if (existing && implicit) {
+      return { path: filePath, agent: agentName, mode: existing.mode, expiresAt: existing.expiresAt, reentrant: true };
     }
-    
-    return lock.agent;
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    const now = Date.now();
+    const holder = {
+      // Re-locking never downgrades a write lock the agent already has
+      mode: existing?.mode === 'write' ? 'write' : mode,
+      acquiredAt: existing?.acquiredAt || now,
+      expiresAt: now + leaseMs,
+      implicit
+    };
+    holder.timer = setTimeout(() => this.release(filePath, agentName, 'expired'), leaseMs);
+    holder.timer.unref();
+    holders.set(agentName, holder);
+
+    if (!implicit) {
+      this.onEvent({ type: 'lock:acquired', path: filePath, agent: agentName, mode: holder.mode, expiresAt: new Date(holder.expiresAt).toISOString(), waitedMs });
+    }
+    return { path: filePath, agent: agentName, mode: holder.mode, expiresAt: holder.expiresAt, reentrant: false };
   }
-}
 
-/**
- * FileSystemTools - Safe file operations within workspace
- */
-class FileSystemTools {
-  constructor(lockManager) {
-    this.lockManager = lockManager;
+  /**
+   * Lock a file in 'read' (shared) or 'write' (exclusive) mode. Resolves with { path, mode, expiresAt, reentrant }
+   * once granted; rejects with "File is locked by ..." if it is not granted within waitMs. Implicit locks are
+   * the short ones taken around a single tool call and are not broadcast.
+   */
+  acquire(filePath, agentName, { mode = 'write', leaseMs = this.leaseMs, waitMs = this.waitMs, implicit = false } = {}) {
+    if (mode !== 'read' && mode !== 'write') {
+      return Promise.reject(new Error(`Invalid lock mode: ${mode}. Use "read" or "write"`));
+    }
+
+    // Nobody jumps the queue, except an agent that already holds the lock
+    const queue = this.waiters.get(filePath) || [];
+    const alreadyHolds = this.locks.get(filePath)?.has(agentName);
+    if ((queue.length === 0 || alreadyHolds) && this._canGrant(filePath, agentName, mode)) {
+      return Promise.resolve(this._grant(filePath, agentName, mode, { leaseMs, implicit, waitedMs: 0 }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { agent: agentName, mode, since: Date.now() };
+      const leave = () => {
+        clearTimeout(waiter.timer);
+        const remaining = (this.waiters.get(filePath) || []).filter(w => w !== waiter);
+        if (remaining.length > 0) {
+          this.waiters.set(filePath, remaining);
+        } else {
+          this.waiters.delete(filePath);
+        }
+      };
+      waiter.grant = () => {
+        clearTimeout(waiter.timer);
+        resolve(this._grant(filePath, agentName, mode, { leaseMs, implicit, waitedMs: Date.now() - waiter.since }));
+      };
+      waiter.cancel = (message) => {
+        leave();
+        reject(new Error(message));
+      };
+      waiter.timer = setTimeout(() => {
+        const blockers = this.holdersOf(filePath).filter(agent => agent !== agentName);
+        leave();
+        reject(new Error(`File is locked by ${blockers.join(', ') || 'agents queued before you'} (waited ${waitMs / 1000}s for a ${mode} lock on ${filePath})`));
+        // A writer that gave up may have been holding back readers queued behind it
+        this._processQueue(filePath);
+      }, waitMs);
+
+      queue.push(waiter);
+      this.waiters.set(filePath, queue);
+      this.onEvent({ type: 'lock:waiting', path: filePath, agent: agentName, mode, heldBy: this.holdersOf(filePath) });
+    });
   }
 
-  _validatePath(filePath) {
-    // Resolve relative path against workspace
-    const fullPath = path.resolve(PROJECT_WORKSPACE, filePath);
-    
-    // Ensure path is still inside workspace (prevent directory traversal)
-    if (!fullPath.startsWith(PROJECT_WORKSPACE)) {
-      throw new Error(`Access denied: Path must be within ${PROJECT_WORKSPACE}`);
+  _processQueue(filePath) {
+    const queue = this.waiters.get(filePath);
+    while (queue?.length > 0 && this._canGrant(filePath, queue[0].agent, queue[0].mode)) {
+      queue.shift().grant();
+    }
+    if (queue?.length === 0) {
+      this.waiters.delete(filePath);
     }
-    
-    return fullPath;
   }
 
-  createFile(agentName, filePath, content) {
-    const fullPath = this._validatePath(filePath);
+  release(filePath, agentName, reason = 'released') {
+    const holders = this.locks.get(filePath);
+    const holder = holders?.get(agentName);
+    if (!holder) return false;
 
-    // Check if file already exists
-    if (existsSync(fullPath)) {
-      throw new Error(
-        `File "${filePath}" already exists. To modify an existing file, you must:\n` +
-        `1. Use read_file("${filePath}") to read the current content\n` +
-        `2. Use str_replace("${filePath}", old_string, new_string) to make changes\n` +
-        `The create_file() function can only be used to create NEW files that don't exist yet.`
-      );
+    clearTimeout(holder.timer);
+    holders.delete(agentName);
+    if (holders.size === 0) {
+      this.locks.delete(filePath);
     }
-
-    // Check lock
-    if (!this.lockManager.acquireLock(filePath, agentName)) {
-      const owner = this.lockManager.getLockOwner(filePath);
-      throw new Error(`File is locked by ${owner}`);
+    if (!holder.implicit) {
+      this.onEvent({ type: 'lock:released', path: filePath, agent: agentName, mode: holder.mode, reason });
     }
+    this._processQueue(filePath);
+    return true;
+  }
 
-    try {
-      // Create directories if needed
-      const dir = path.dirname(fullPath);
-      if (!existsSync(dir)) {
-        mkdirSync(dir, { recursive: true });
+  /**
+   * Drop every lock and pending request of an agent, e.g. when it completes or the conversation ends
+   */
+  releaseAll(agentName, reason = 'agent-finished') {
+    for (const [filePath, queue] of Array.from(this.waiters)) {
+      queue.filter(waiter => waiter.agent === agentName).forEach(waiter => waiter.cancel(`Lock request for ${filePath} cancelled: ${reason}`));
+    }
+    for (const [filePath, holders] of Array.from(this.locks)) {
+      if (holders.has(agentName)) {
+        this.release(filePath, agentName, reason);
       }
-      
-      writeFileSync(fullPath, content);
-      return `Successfully created file: ${filePath}`;
-    } finally {
-      this.lockManager.releaseLock(filePath, agentName);
     }
   }
 
-  readFile(filePath) {
-    const fullPath = this._validatePath(filePath);
-    if (!existsSync(fullPath)) {
-      throw new Error(`File not found: ${filePath}`);
+  /**
+   * Throw unless agentName may write filePath right now, i.e. no other agent holds a lock on it
+   */
+  assertWritable(filePath, agentName) {
+    const others = this.holdersOf(filePath).filter(agent => agent !== agentName);
+    if (others.length > 0) {
+      throw new Error(`File is locked by ${others.join(', ')}`);
     }
-    return readFileSync(fullPath, 'utf-8');
   }
 
-  strReplace(agentName, filePath, oldStr, newStr) {
-    const fullPath = this._validatePath(filePath);
-    
-    // Check lock
-    if (!this.lockManager.acquireLock(filePath, agentName)) {
-      const owner = this.lockManager.getLockOwner(filePath);
-      throw new Error(`File is locked by ${owner}`);
-    }
+  list() {
+    const paths = new Set([...this.locks.keys(), ...this.waiters.keys()]);
+    return Array.from(paths).sort().map(filePath => {
+      const holders = this.locks.get(filePath) || new Map();
+      return {
+        path: filePath,
+        mode: holders.size > 0 ? this._modeOf(holders) : null,
+        holders: Array.from(holders, ([agent, holder]) => ({
+          agent,
+          mode: holder.mode,
+          implicit: holder.implicit,
+          acquiredAt: new Date(holder.acquiredAt).toISOString(),
+          expiresAt: new Date(holder.expiresAt).toISOString()
+        })),
+        waiting: (this.waiters.get(filePath) || []).map(waiter => ({ agent: waiter.agent, mode: waiter.mode, since: new Date(waiter.since).toISOString() }))
+      };
+    });
+  }
+}
 
-    try {
-      if (!existsSync(fullPath)) {
-        throw new Error(`File not found: ${filePath}`);
-      }
-      
-      const content = readFileSync(fullPath, 'utf-8');
-      if (!content.includes(oldStr)) {
-        throw new Error(`String not found in file: ${oldStr}`);
-      }
-      
-      const newContent = content.replace(oldStr, newStr);
-      writeFileSync(fullPath, newContent);
-      return `Successfully modified file: ${filePath}`;
-    } finally {
-      this.lockManager.releaseLock(filePath, agentName);
+/**
+ * Journal entries hold text files as strings and binary files as { base64 }; this returns what goes on disk
+ */
+function journalBytes(content) {
+  return typeof content === 'string' ? content : Buffer.from(content.base64, 'base64');
+}
+
+/**
+ * Short content hash that identifies a version of a file; read_file reports it and edits can expect it.
+ * Text and the same bytes as a Buffer or journal { base64 } get the same version.
+ */
+function contentVersion(content) {
+  return createHash('sha256').update(Buffer.isBuffer(content) ? content : journalBytes(content)).digest('hex').slice(0, 12);
+}
+
+// Source of the regex search worker: tests every line of files ([{ path, lines }]) and posts back [fileIndex, lineIndex] pairs
+const REGEX_SEARCH_WORKER = `
+const { parentPort, workerData } = require('worker_threads');
+const { pattern, flags, files, maxResults } = workerData;
+const regex = new RegExp(pattern, flags);
+const hits = [];
+let truncated = false;
+search: for (let f = 0; f < files.length; f++) {
+  for (let i = 0; i < files[f].lines.length; i++) {
+    if (!regex.test(files[f].lines[i])) continue;
+    if (hits.length >= maxResults) {
+      truncated = true;
+      break search;
     }
+    hits.push([f, i]);
   }
+}
+parentPort.postMessage({ hits, truncated });
+`;
 
-  listFiles(dirPath = '.') {
-    const fullPath = this._validatePath(dirPath);
-    if (!existsSync(fullPath)) {
-      return [];
-    }
-    
-    // Recursive file listing helper
-    const getFiles = (dir, relativeDir = '') => {
-      const files = readdirSync(dir, { withFileTypes: true });
-      let result = [];
-      
-      for (const file of files) {
-        const relativePath = path.join(relativeDir, file.name);
-        if (file.isDirectory()) {
-          result = result.concat(getFiles(path.join(dir, file.name), relativePath));
-        } else {
-          result.push(relativePath);
-        }
-      }
-      
-      return result;
-    };
+/**
+ * Run a regex search in a worker thread and stop it after timeoutMs, so a pattern with catastrophic
+ * backtracking costs one worker instead of blocking the event loop. Resolves to { hits, truncated }.
+ */
+function runRegexSearch(workerData, timeoutMs = SEARCH_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(REGEX_SEARCH_WORKER, { eval: true, workerData });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Search stopped after ${timeoutMs}ms: the pattern is too slow on this workspace. Use a simpler pattern or a narrower glob`));
+    }, timeoutMs);
+    worker.once('message', (result) => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Search failed: ${error.message}`));
+    });
+  });
+}
 
-    return getFiles(fullPath);
+const MIME_TYPES = {
+  '.html': 'text/html', '.htm': 'text/html', '.css': 'text/css', '.js': 'text/javascript', '.mjs': 'text/javascript',
+  '.cjs': 'text/javascript', '.ts': 'text/typescript', '.tsx': 'text/typescript', '.jsx': 'text/javascript',
+  '.json': 'application/json', '.md': 'text/markdown', '.txt': 'text/plain', '.csv': 'text/csv', '.xml': 'application/xml',
+  '.yml': 'application/yaml', '.yaml': 'application/yaml', '.sh': 'application/x-sh', '.py': 'text/x-python',
+  '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.webp': 'image/webp', '.ico': 'image/x-icon', '.pdf': 'application/pdf', '.zip': 'application/zip',
+  '.gz': 'application/gzip', '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.wasm': 'application/wasm'
+};
+
+/**
+ * MIME type from the file extension, falling back on whether the content looked binary
+ */
+function mimeType(filePath, binary) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || (binary ? 'application/octet-stream' : 'text/plain');
+}
+
+/**
+ * A file is binary if its first bytes contain NUL or are not valid UTF-8
+ */
+function isBinaryContent(buffer) {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return true;
+  try {
+    // stream: true tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return false;
+  } catch (error) {
+    return true;
   }
+}
 
-  deleteFile(agentName, filePath) {
-    const fullPath = this._validatePath(filePath);
-    
-    // Check lock
-    if (!this.lockManager.acquireLock(filePath, agentName)) {
-      const owner = this.lockManager.getLockOwner(filePath);
-      throw new Error(`File is locked by ${owner}`);
+/**
+ * Line diff of two file versions (null = file absent), one line per entry prefixed with ' ', '-' or '+'
+ */
+function diffLines(before, after) {
+  // Binary versions are compared as a one-line summary
+  const text = content => typeof content === 'string' ? content
+    : `[binary file, ${journalBytes(content).length} bytes, version ${contentVersion(content)}]`;
+  const a = before === null ? [] : text(before).split('\n');
+  const b = after === null ? [] : text(after).split('\n');
+
+  // The LCS table is quadratic; very large files are shown as a full replacement instead
+  if (a.length * b.length > 4000000) {
+    return [...a.map(line => `-${line}`), ...b.map(line => `+${line}`)].join('\n');
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
+  }
 
-    try {
-      if (!existsSync(fullPath)) {
-        throw new Error(`File not found: ${filePath}`);
-      }
-      
-      // Ensure it's a file, not a directory
-      const stats = statSync(fullPath);
-      if (stats.isDirectory()) {
-        throw new Error(`Cannot delete directory: ${filePath}. Use file path only.`);
-      }
-      
-      unlinkSync(fullPath);
-      return `Successfully deleted file: ${filePath}`;
-    } finally {
-      this.lockManager.releaseLock(filePath, agentName);
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`-${a[i++]}`);
+    } else {
+      lines.push(`+${b[j++]}`);
     }
   }
+  while (i < a.length) lines.push(`-${a[i++]}`);
+  while (j < b.length) lines.push(`+${b[j++]}`);
+  return lines.join('\n');
+}
 
-  wipeWorkspace() {
-    if (existsSync(PROJECT_WORKSPACE)) {
-      rmSync(PROJECT_WORKSPACE, { recursive: true, force: true });
-      mkdirSync(PROJECT_WORKSPACE, { recursive: true });
+/**
+ * Only the changed lines of a diffLines() result (split into lines) with a little context, at most maxLines long
+ */
+function compactDiff(diff, context = 2, maxLines = 60) {
+  const keep = new Set();
+  diff.forEach((line, index) => {
+    if (line[0] === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(diff.length - 1, index + context); k++) {
+      keep.add(k);
+    }
+  });
+
+  const result = [];
+  let previous = -1;
+  for (const index of Array.from(keep).sort((a, b) => a - b)) {
+    if (previous !== -1 && index > previous + 1) {
+      result.push('...');
     }
+    result.push(diff[index]);
+    previous = index;
   }
+  if (result.length > maxLines) {
+    return [...result.slice(0, maxLines), `... ${result.length - maxLines} more line(s)`];
+  }
+  return result;
 }
 
-const fileLockManager = new FileLockManager();
-const fileTools = new FileSystemTools(fileLockManager);
+/**
+ * Replace an exact string. Without replaceAll the string must occur exactly once, so an edit can
+ * never silently land on the wrong occurrence.
+ */
+function replaceExact(content, oldStr, newStr, replaceAll = false) {
+  if (!oldStr) {
+    throw new Error('old_string must not be empty');
+  }
+  const occurrences = content.split(oldStr).length - 1;
+  if (occurrences === 0) {
+    throw new Error(`String not found in file: ${oldStr}`);
+  }
+  if (occurrences > 1 && !replaceAll) {
+    throw new Error(`String appears ${occurrences} times in file: ${oldStr}`);
+  }
+  // split/join avoids String.replace treating "$&" and friends in newStr as patterns
+  return replaceAll ? content.split(oldStr).join(newStr) : content.replace(oldStr, () => newStr);
+}
 
-const app = express();
-const port = process.env.PORT || 3000;
-const server = http.createServer(app);
+// File content as lines without the trailing newline, so line N is lines[N - 1]
+function splitLines(content) {
+  if (content === '') return { lines: [], trailingNewline: true };
+  const trailingNewline = content.endsWith('\n');
+  const lines = content.split('\n');
+  if (trailingNewline) lines.pop();
+  return { lines, trailingNewline };
+}
 
-// Initialize WebSocket Server
-const wss = new WebSocketServer({ noServer: true });
-const conversationClients = new Map(); // conversationId -> Set of ws clients
+function joinLines(lines, trailingNewline) {
+  return lines.join('\n') + (trailingNewline && lines.length > 0 ? '\n' : '');
+}
 
-server.on('upgrade', (request, socket, head) => {
-  const url = new URL(request.url, `http://${request.headers.host}`);
-  const conversationId = url.searchParams.get('conversationId');
+/**
+ * Parse a unified diff into per-file patches: [{ oldPath, newPath, hunks: [{ oldStart, lines }] }].
+ * "a/" and "b/" prefixes are stripped; /dev/null marks a created or deleted file. Hunk line counts
+ * are ignored (model-written patches often get them wrong); a hunk runs until the next header.
+ */
+function parseUnifiedDiff(patchText) {
+  const filePatches = [];
+  let current = null;
+  let hunk = null;
+  const stripPrefix = (value) => {
+    const name = value.split('\t')[0].trim();
+    return name === '/dev/null' ? null : name.replace(/^[ab]\//, '');
+  };
 
-  if (url.pathname === '/ws' && conversationId) {
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request, conversationId);
-    });
-  } else {
-    socket.destroy();
+  const lines = patchText.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      current = { oldPath: stripPrefix(line.slice(4)), newPath: stripPrefix(lines[i + 1].slice(4)), hunks: [] };
+      filePatches.push(current);
+      hunk = null;
+      i++;
+    } else if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+      if (!match || !current) {
+        throw new Error(`Invalid hunk header: ${line}`);
+      }
+      hunk = { oldStart: Number(match[1]), lines: [] };
+      current.hunks.push(hunk);
+    } else if (line.startsWith('diff ') || line.startsWith('index ') || line.startsWith('\\')) {
+      // "diff --git", "index ..." and "\ No newline at end of file" carry nothing we need
+      if (line.startsWith('diff ')) hunk = null;
+    } else if (hunk && (line === '' || ' -+'.includes(line[0]))) {
+      // Editors often strip the leading space of empty context lines
+      hunk.lines.push(line === '' ? ' ' : line);
+    }
   }
-});
 
-wss.on('connection', (ws, request, conversationId) => {
-  console.log(`🔌 WebSocket connected for conversation ${conversationId}`);
-  
-  if (!conversationClients.has(conversationId)) {
-    conversationClients.set(conversationId, new Set());
+  if (filePatches.length === 0) {
+    throw new Error('Patch contains no file headers (expected "--- a/path" and "+++ b/path" lines)');
   }
-  conversationClients.get(conversationId).add(ws);
+  for (const filePatch of filePatches) {
+    if (!filePatch.oldPath && !filePatch.newPath) {
+      throw new Error('Patch has a file with neither an old nor a new path');
+    }
+    if (filePatch.newPath && filePatch.hunks.length === 0) {
+      throw new Error(`Patch for ${filePatch.newPath} has no hunks`);
+    }
+  }
+  return filePatches;
+}
 
-  ws.on('close', () => {
-    console.log(`🔌 WebSocket disconnected for conversation ${conversationId}`);
-    if (conversationClients.has(conversationId)) {
-      conversationClients.get(conversationId).delete(ws);
-      if (conversationClients.get(conversationId).size === 0) {
-        conversationClients.delete(conversationId);
-      }
+/**
+ * Apply parsed hunks to file content. Each hunk is located by its context, starting at the line
+ * its header names and searching outward, so patches against slightly shifted files still apply.
+ */
+function applyHunks(content, hunks, filePath) {
+  const { lines, trailingNewline } = splitLines(content);
+  const result = [];
+  let cursor = 0;
+
+  hunks.forEach((hunk, index) => {
+    const oldBlock = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+    const newBlock = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+    const matchesAt = (start) => start >= cursor && start + oldBlock.length <= lines.length &&
+      oldBlock.every((line, offset) => lines[start + offset] === line);
+
+    const expected = Math.max(hunk.oldStart - 1, cursor);
+    let position = -1;
+    for (let distance = 0; position === -1 && (expected - distance >= cursor || expected + distance <= lines.length); distance++) {
+      if (matchesAt(expected + distance)) position = expected + distance;
+      else if (matchesAt(expected - distance)) position = expected - distance;
     }
+    if (position === -1) {
+      throw new Error(`Hunk ${index + 1} of ${filePath} does not match the current file content (expected near line ${hunk.oldStart})`);
+    }
+
+    result.push(...lines.slice(cursor, position), ...newBlock);
+    cursor = position + oldBlock.length;
   });
-});
 
-function broadcastToConversation(conversationId, event) {
-  const clients = conversationClients.get(conversationId);
-  if (clients) {
-    const message = JSON.stringify(event);
-    clients.forEach(client => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        client.send(message);
-      }
-    });
-  }
+  result.push(...lines.slice(cursor));
+  return joinLines(result, trailingNewline);
 }
 
-// Initialize OpenAI client
-const openaiClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Middleware
-app.use(express.json());
-app.use(express.static(__dirname));
+/**
+ * Zip archive (deflate) of [{ name, data, mtime }] entries, built in memory
+ */
+function createZipArchive(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
 
-// Enable CORS for local development
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  next();
-});
+  for (const { name, data, mtime } of entries) {
+    const fileName = Buffer.from(name, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+    // MS-DOS date and time fields
+    const date = new Date(mtime);
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
 
-// Store conversation history
-const conversations = new Map();
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    localParts.push(local, fileName, compressed);
 
-// Load agent prompts from files
-const TOOLS_USAGE = readFileSync(path.join(__dirname, 'prompts', 'tools-usage.txt'), 'utf-8');
-const BACKEND_PROMPT = readFileSync(path.join(__dirname, 'prompts', 'backend-agent.txt'), 'utf-8') + '\n\n' + TOOLS_USAGE;
-const DEVOPS_PROMPT = readFileSync(path.join(__dirname, 'prompts', 'devops-agent.txt'), 'utf-8') + '\n\n' + TOOLS_USAGE;
-const FRONTEND_PROMPT = readFileSync(path.join(__dirname, 'prompts', 'frontend-agent.txt'), 'utf-8') + '\n\n' + TOOLS_USAGE;
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, fileName);
 
-function buildWorkspaceContext() {
-  let files = [];
-  try {
-    files = fileTools.listFiles('.');
-  } catch (error) {
-    console.error('⚠️  Failed to list workspace files for prompt context:', error.message);
+    offset += local.length + fileName.length + compressed.length;
   }
 
-  files = Array.isArray(files) ? files.sort() : [];
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
 
-  const fileList = files.length
-    ? files.map(file => `- ${file}`).join('\n')
-    : '- (none yet — workspace is empty)';
+/**
+ * Gzipped ustar archive of [{ name, data, mtime }] entries, built in memory
+ */
+function createTarGzArchive(entries) {
+  const parts = [];
+  for (const { name, data, mtime } of entries) {
+    let fileName = name;
+    let prefix = '';
+    // ustar keeps names over 100 bytes in a separate 155-byte prefix, split at a "/"
+    if (Buffer.byteLength(fileName) > 100) {
+      const split = name.lastIndexOf('/', 155);
+      if (split <= 0 || Buffer.byteLength(name.slice(split + 1)) > 100) {
+        throw new Error(`Path too long for a tar archive: ${name}`);
+      }
+      prefix = name.slice(0, split);
+      fileName = name.slice(split + 1);
+    }
 
-  return `\n\nCURRENT WORKSPACE FILES:\n${fileList}\n`;
+    const header = Buffer.alloc(512);
+    const field = (value, start, length) => header.write(value, start, length, 'utf-8');
+    const octal = (value, start, length) => field(value.toString(8).padStart(length - 1, '0'), start, length - 1);
+    field(fileName, 0, 100);
+    octal(0o644, 100, 8);
+    octal(0, 108, 8);
+    octal(0, 116, 8);
+    octal(data.length, 124, 12);
+    octal(Math.floor(new Date(mtime).getTime() / 1000), 136, 12);
+    field('        ', 148, 8); // checksum is computed with spaces here
+    field('0', 156, 1);
+    field('ustar\u000000', 257, 8);
+    field(prefix, 345, 155);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    field(`${checksum.toString(8).padStart(6, '0')}\u0000 `, 148, 8);
+
+    parts.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  parts.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(parts));
 }
 
 /**
- * Agent class - Autonomous agent that listens to messages and responds
+ * Files of a zip archive as [{ name, data, link }], read through the central directory so entries
+ * written with data descriptors work too. Inflating stops at maxBytes in total.
  */
-class Agent {
-  constructor(name, systemPrompt, conversationId, messageBus) {
-    this.name = name;
-    this.systemPrompt = systemPrompt;
+function readZipArchive(buffer, maxBytes) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+
+  const entries = [];
+  let totalBytes = 0;
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip archive: bad central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    // Unix file type lives in the high 16 bits of the external attributes
+    const unixMode = buffer.readUInt32LE(offset + 38) >>> 16;
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    totalBytes += size;
+    if (totalBytes > maxBytes) {
+      throw new Error(`Seed is too large (limit ${maxBytes} bytes)`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) {
+      data = Buffer.from(raw);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+    entries.push({ name, data, link: (unixMode & 0o170000) === 0o120000 });
+  }
+  return entries;
+}
+
+/**
+ * Files of a gzipped (or plain) tar archive as [{ name, data, link }], with GNU long names and pax paths.
+ * Decompression stops at maxBytes.
+ */
+function readTarArchive(buffer, maxBytes) {
+  const tar = buffer[0] === 0x1f && buffer[1] === 0x8b
+    ? zlib.gunzipSync(buffer, { maxOutputLength: maxBytes + 1024 * 1024 })
+    : buffer;
+
+  const entries = [];
+  let longName = null;
+  for (let offset = 0; offset + 512 <= tar.length && tar[offset] !== 0;) {
+    const field = (start, length) => tar.toString('utf-8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    // The checksum counts its own field as spaces
+    const checksum = tar.subarray(offset, offset + 512).reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte), 0);
+    if (parseInt(field(148, 8).trim(), 8) !== checksum) {
+      throw new Error(offset === 0 ? 'Not a zip or tar archive' : 'Corrupt tar archive: bad header checksum');
+    }
+    const size = parseInt(field(124, 12).trim(), 8) || 0;
+    const type = field(156, 1) || '0';
+    const data = tar.subarray(offset + 512, offset + 512 + size);
+    const prefix = field(345, 155);
+    const name = longName || (prefix ? `${prefix}/` : '') + field(0, 100);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = data.toString('utf-8').replace(/\0.*$/s, '');
+      continue;
+    }
+    if (type === 'x') {
+      longName = data.toString('utf-8').match(/^\d+ path=(.*)$/m)?.[1] || null;
+      continue;
+    }
+    longName = null;
+    if (type === '0' || type === '7') {
+      entries.push({ name, data: Buffer.from(data), link: false });
+    } else if (type === '1' || type === '2') {
+      entries.push({ name, data: null, link: true });
+    }
+    // Directories, global pax headers and devices are skipped
+  }
+  return entries;
+}
+
+// Folders that are never copied into a seeded workspace
+const SEED_IGNORED = ['.git', 'node_modules'];
+
+/**
+ * Check files for a new workspace: relative paths only, no "..", within SEED_MAX_FILES and
+ * SEED_MAX_BYTES. Links, .git and node_modules are left out. Returns { files, skipped, totalBytes }.
+ */
+function validateSeedFiles(entries) {
+  const files = [];
+  const skipped = [];
+  let totalBytes = 0;
+  for (const entry of entries) {
+    const name = entry.name.replace(/\\/g, '/').replace(/^\.\//, '');
+    const segments = name.split('/');
+    if (!name || name.startsWith('/') || /^[A-Za-z]:/.test(name) || segments.includes('..')) {
+      throw new Error(`Unsafe path in seed: ${entry.name}`);
+    }
+    if (entry.link || segments.some(segment => SEED_IGNORED.includes(segment))) {
+      skipped.push(name);
+      continue;
+    }
+    totalBytes += entry.data.length;
+    if (files.length + 1 > SEED_MAX_FILES) {
+      throw new Error(`Seed has too many files (limit ${SEED_MAX_FILES})`);
+    }
+    if (totalBytes > SEED_MAX_BYTES) {
+      throw new Error(`Seed is too large (limit ${SEED_MAX_BYTES} bytes)`);
+    }
+    const filePath = segments.filter(segment => segment && segment !== '.').join('/');
+    if (filePath) {
+      files.push({ path: filePath, data: entry.data });
+    }
+  }
+  return { files, skipped, totalBytes };
+}
+
+/**
+ * Files of a local directory for seeding, as validateSeedFiles entries. The directory must be inside
+ * one of SEED_DIR_ROOTS.
+ */
+function readSeedDirectory(dirPath) {
+  if (SEED_DIR_ROOTS.length === 0) {
+    throw new Error('Seeding from a local directory is disabled. Set SEED_DIR_ROOTS to the directories that may be used');
+  }
+  if (typeof dirPath !== 'string' || !path.isAbsolute(dirPath)) {
+    throw new Error('Seed path must be an absolute directory path');
+  }
+  const root = path.resolve(dirPath);
+  if (!SEED_DIR_ROOTS.some(allowed => root === allowed || root.startsWith(allowed + path.sep))) {
+    throw new Error(`Seed path ${dirPath} is outside the allowed directories (SEED_DIR_ROOTS)`);
+  }
+  if (!existsSync(root) || !statSync(root).isDirectory()) {
+    throw new Error(`Directory not found: ${dirPath}`);
+  }
+
+  const entries = [];
+  let totalBytes = 0;
+  const walk = (dir, relativeDir) => {
+    for (const item of readdirSync(dir, { withFileTypes: true })) {
+      const relativePath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+      if (item.isSymbolicLink()) {
+        entries.push({ name: relativePath, data: null, link: true });
+      } else if (item.isDirectory()) {
+        if (!SEED_IGNORED.includes(item.name)) walk(path.join(dir, item.name), relativePath);
+      } else if (item.isFile()) {
+        // Stop before reading far more than the limit allows
+        totalBytes += statSync(path.join(dir, item.name)).size;
+        if (totalBytes > SEED_MAX_BYTES) {
+          throw new Error(`Seed is too large (limit ${SEED_MAX_BYTES} bytes)`);
+        }
+        entries.push({ name: relativePath, data: readFileSync(path.join(dir, item.name)), link: false });
+      }
+    }
+  };
+  walk(root, '');
+  return entries;
+}
+
+// Added to every workspace archive, listing each file with the agent that wrote it
+const ARCHIVE_MANIFEST = 'agents-manifest.json';
+
+const ARCHIVE_FORMATS = {
+  zip: { build: createZipArchive, extension: 'zip', contentType: 'application/zip' },
+  'tar.gz': { build: createTarGzArchive, extension: 'tar.gz', contentType: 'application/gzip' }
+};
+
+// Journaled contents larger than this are written once to <journal>.blobs/<sha256> and referenced from the entry
+const JOURNAL_BLOB_MIN_BYTES = 16 * 1024;
+
+/**
+ * WorkspaceJournal - Append-only log of every file change in a workspace
+ *
+ * Each entry stores the file content before and after the change (null = file absent), so
+ * entry N doubles as checkpoint N: the workspace state right after that change. Checkpoint 0
+ * is the workspace as it was before the first journaled change. On disk, large contents are kept
+ * as blobs next to the journal, so a file edited many times is not copied into every line.
+ */
+class WorkspaceJournal {
+  constructor(journalPath = null) {
+    this.journalPath = journalPath;
+    this.blobDir = journalPath ? `${journalPath}.blobs` : null;
+    this.entries = [];
+    this.pendingNewline = false;
+
+    if (journalPath && existsSync(journalPath)) {
+      const raw = readFileSync(journalPath, 'utf-8');
+      let skipped = 0;
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          this.entries.push({ ...entry, before: this._loadContent(entry.before), after: this._loadContent(entry.after) });
+        } catch (error) {
+          // A crash can leave a partial last line - skip it rather than lose the whole workspace history
+          skipped++;
+        }
+      }
+      if (skipped > 0) {
+        console.warn(`⚠️  Skipped ${skipped} unreadable line(s) in journal ${journalPath}`);
+      }
+      this.pendingNewline = raw.length > 0 && !raw.endsWith('\n');
+    }
+  }
+
+  /**
+   * On-disk form of an entry's content: inline, or { blob, binary } for large contents
+   */
+  _storeContent(content) {
+    if (content === null) return null;
+    const bytes = Buffer.from(journalBytes(content));
+    if (bytes.length < JOURNAL_BLOB_MIN_BYTES) return content;
+    const blob = createHash('sha256').update(bytes).digest('hex');
+    const blobPath = path.join(this.blobDir, blob);
+    if (!existsSync(blobPath)) {
+      mkdirSync(this.blobDir, { recursive: true });
+      writeFileSync(blobPath, bytes);
+    }
+    return { blob, binary: typeof content !== 'string' };
+  }
+
+  _loadContent(stored) {
+    if (!stored?.blob) return stored ?? null;
+    const bytes = readFileSync(path.join(this.blobDir, stored.blob));
+    return stored.binary ? { base64: bytes.toString('base64') } : bytes.toString('utf-8');
+  }
+
+  get latestCheckpoint() {
+    return this.entries.length;
+  }
+
+  record({ agent, tool, path: filePath, before, after, turn = null, toolCallId = null, rollbackTo = null }) {
+    const entry = {
+      checkpoint: this.entries.length + 1,
+      agent,
+      turn,
+      toolCallId,
+      tool,
+      path: filePath,
+      before,
+      after,
+      rollbackTo,
+      timestamp: new Date().toISOString()
+    };
+    this.entries.push(entry);
+
+    if (this.journalPath) {
+      try {
+        mkdirSync(path.dirname(this.journalPath), { recursive: true });
+        const stored = { ...entry, before: this._storeContent(before), after: this._storeContent(after) };
+        // Start on a fresh line after a partial one left by a crash
+        appendFileSync(this.journalPath, `${this.pendingNewline ? '\n' : ''}${JSON.stringify(stored)}\n`);
+        this.pendingNewline = false;
+      } catch (error) {
+        console.error(`⚠️  Failed to persist journal entry for ${filePath}:`, error.message);
+      }
+    }
+    return entry;
+  }
+
+  entriesFor(toolCallId) {
+    return this.entries.filter(entry => entry.toolCallId === toolCallId);
+  }
+
+  /**
+   * path -> agent that last changed it, as of a checkpoint
+   */
+  authorsAt(checkpoint = this.entries.length) {
+    this._assertCheckpoint(checkpoint);
+    const authors = new Map();
+    for (const entry of this.entries.slice(0, checkpoint)) {
+      authors.set(entry.path, entry.agent);
+    }
+    return authors;
+  }
+
+  lastChangeOf(filePath) {
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].path === filePath) return this.entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * The content a file had at a given version and the entries that changed it since, or null if
+   * that version never appears in the journal (e.g. a command wrote it)
+   */
+  changesSinceVersion(filePath, version) {
+    const history = this.entries.filter(entry => entry.path === filePath);
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].after !== null && contentVersion(history[i].after) === version) {
+        return { content: history[i].after, entries: history.slice(i + 1) };
+      }
+      if (history[i].before !== null && contentVersion(history[i].before) === version) {
+        return { content: history[i].before, entries: history.slice(i) };
+      }
+    }
+    return null;
+  }
+
+  listCheckpoints() {
+    return [
+      { checkpoint: 0, tool: null, path: null, description: 'Workspace before the first recorded change' },
+      ...this.entries.map(({ before, after, ...entry }) => ({
+        ...entry,
+        change: before === null ? 'added' : after === null ? 'deleted' : 'modified'
+      }))
+    ];
+  }
+
+  _assertCheckpoint(checkpoint) {
+    if (!Number.isInteger(checkpoint) || checkpoint < 0 || checkpoint > this.entries.length) {
+      throw new Error(`Unknown checkpoint: ${checkpoint}. Valid checkpoints are 0-${this.entries.length}`);
+    }
+  }
+
+  /**
+   * Files that differ between two checkpoints: path -> { before, after } contents at `from` and `to`
+   */
+  changesBetween(from, to) {
+    this._assertCheckpoint(from);
+    this._assertCheckpoint(to);
+
+    const [low, high] = from <= to ? [from, to] : [to, from];
+    const changes = new Map();
+    for (const entry of this.entries.slice(low, high)) {
+      const existing = changes.get(entry.path);
+      changes.set(entry.path, { before: existing ? existing.before : entry.before, after: entry.after });
+    }
+
+    const result = new Map();
+    for (const [filePath, change] of changes) {
+      const oriented = from <= to ? change : { before: change.after, after: change.before };
+      if (oriented.before !== oriented.after) {
+        result.set(filePath, oriented);
+      }
+    }
+    return result;
+  }
+
+  clear() {
+    this.entries = [];
+    this.pendingNewline = false;
+    if (this.journalPath && existsSync(this.journalPath)) {
+      unlinkSync(this.journalPath);
+    }
+    if (this.blobDir) {
+      rmSync(this.blobDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * GitWorkspace - Optional git repository inside a workspace
+ *
+ * Every tool call that changes files becomes one commit, authored by the agent that made it and
+ * carrying the tool_call_id in the message, so `git log` and `git blame` show who wrote what.
+ */
+class GitWorkspace {
+  constructor(workspaceRoot) {
+    this.workspaceRoot = workspaceRoot;
+    // Changes waiting to be committed, and the chain of commit runs so they land in order
+    this.pending = [];
+    this.queue = Promise.resolve();
+    this.generation = 0;
+  }
+
+  static isRepository(workspaceRoot) {
+    return existsSync(path.join(workspaceRoot, '.git'));
+  }
+
+  // Paths are always taken literally, so a file named "*.js" or ":(glob)x" matches only itself
+  _gitOptions(env) {
+    return {
+      cwd: this.workspaceRoot,
+      env: { ...process.env, GIT_LITERAL_PATHSPECS: '1', ...env }
+    };
+  }
+
+  _git(args, env = {}) {
+    return execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+      ...this._gitOptions(env),
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  }
+
+  /**
+   * Run git without blocking the event loop; resolves to its stdout. input is written to its stdin.
+   */
+  _gitAsync(args, { env = {}, input = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', ['-c', 'commit.gpgsign=false', ...args], { ...this._gitOptions(env), stdio: ['pipe', 'pipe', 'pipe'] });
+      const stdout = [];
+      const stderr = [];
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) {
+          resolve(Buffer.concat(stdout).toString('utf-8'));
+        } else {
+          reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString('utf-8').trim()}`));
+        }
+      });
+      child.stdin.end(input ?? undefined);
+    });
+  }
+
+  _identity(agent) {
+    return {
+      GIT_AUTHOR_NAME: agent,
+      GIT_AUTHOR_EMAIL: `${agent}@agents.local`,
+      GIT_COMMITTER_NAME: agent,
+      GIT_COMMITTER_EMAIL: `${agent}@agents.local`
+    };
+  }
+
+  init() {
+    // Commits still queued belong to the history being replaced
+    this.pending = [];
+    this.generation++;
+    this._git(['init', '-q']);
+    // Files that were already there (e.g. copied with workspaceFrom) form the first commit
+    this._git(['add', '-A']);
+    this._git(['commit', '-q', '--no-verify', '--allow-empty', '-m', 'Initial workspace'], this._identity('user'));
+  }
+
+  /**
+   * Queue a journaled change. Changes made in the same tick by the same tool call are committed
+   * together, in the background, from the journaled content rather than the working tree.
+   */
+  commitChange(change) {
+    this.pending.push(change);
+    if (this.pending.length > 1) return;
+    const generation = this.generation;
+    setImmediate(() => {
+      const changes = this.pending;
+      this.pending = [];
+      this.queue = this.queue
+        .then(() => this._commitBatches(changes, generation))
+        .catch(error => console.error('⚠️  Failed to commit to the workspace repository:', error.message));
+    });
+  }
+
+  /**
+   * Resolves once every change queued so far has been committed
+   */
+  async settled() {
+    while (this.pending.length > 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await this.queue;
+  }
+
+  async _commitBatches(changes, generation) {
+    const batches = [];
+    for (const change of changes) {
+      const last = batches[batches.length - 1];
+      if (last && last[0].toolCallId === change.toolCallId && last[0].agent === change.agent && last[0].tool === change.tool) {
+        last.push(change);
+      } else {
+        batches.push([change]);
+      }
+    }
+
+    for (const batch of batches) {
+      if (generation !== this.generation) return;
+      const indexLines = [];
+      for (const { path: filePath, after } of batch) {
+        if (after === null) {
+          indexLines.push(`0 ${'0'.repeat(40)}\t${filePath}`);
+        } else {
+          const blob = (await this._gitAsync(['hash-object', '-w', '--stdin'], { input: journalBytes(after) })).trim();
+          indexLines.push(`100644 ${blob}\t${filePath}`);
+        }
+      }
+      await this._gitAsync(['update-index', '-z', '--index-info'], { input: indexLines.map(line => `${line}\0`).join('') });
+
+      const { agent, tool, turn = null, toolCallId = null } = batch[0];
+      const paths = [...new Set(batch.map(change => change.path))];
+      const message = [
+        `${tool} ${paths.join(', ')}`,
+        '',
+        `Agent: ${agent}`,
+        turn !== null ? `Turn: ${turn}` : null,
+        toolCallId ? `Tool-Call-Id: ${toolCallId}` : null
+      ].filter(line => line !== null).join('\n');
+      // --allow-empty keeps one commit per tool call even when a call leaves the file unchanged
+      await this._gitAsync(['commit', '-q', '--no-verify', '--allow-empty', '-F', '-'], { env: this._identity(agent), input: message });
+    }
+  }
+
+  async log(limit = 200) {
+    await this.settled();
+    let output;
+    try {
+      output = await this._gitAsync(['log', `--max-count=${limit}`, '--name-status', '--format=%x1e%H%x1f%an%x1f%aI%x1f%B%x1f']);
+    } catch (error) {
+      return []; // No commits yet
+    }
+
+    return output.split('\x1e').filter(record => record.trim()).map((record) => {
+      const [sha, author, date, message, fileLines = ''] = record.split('\x1f');
+      return {
+        sha,
+        author,
+        date,
+        subject: message.split('\n')[0],
+        toolCallId: message.match(/^Tool-Call-Id: (.+)$/m)?.[1] || null,
+        files: fileLines.split('\n').filter(line => line.trim()).map((line) => {
+          const [status, ...paths] = line.split('\t');
+          return { status, path: paths[paths.length - 1] };
+        })
+      };
+    });
+  }
+
+  async show(sha) {
+    await this.settled();
+    const [author, date, message] = (await this._gitAsync(['show', '-s', '--format=%an%x1f%aI%x1f%B', sha])).split('\x1f');
+    const diff = await this._gitAsync(['show', '--format=', '--patch', sha]);
+    return { sha: (await this._gitAsync(['rev-parse', sha])).trim(), author, date, message: message.trim(), diff };
+  }
+
+  async blame(filePath) {
+    await this.settled();
+    const output = await this._gitAsync(['blame', '--line-porcelain', '--', filePath]);
+    const lines = [];
+    let current = {};
+    for (const line of output.split('\n')) {
+      if (line.startsWith('\t')) {
+        lines.push({ line: lines.length + 1, sha: current.sha, author: current.author, content: line.slice(1) });
+        current = {};
+      } else if (/^[0-9a-f]{40} /.test(line)) {
+        current.sha = line.slice(0, 40);
+      } else if (line.startsWith('author ')) {
+        current.author = line.slice('author '.length);
+      }
+    }
+    return lines;
+  }
+}
+
+/**
+ * FileSystemTools - Safe file operations within workspace
+ */
+class FileSystemTools {
+  constructor(lockManager, workspaceRoot, { journalPath = null } = {}) {
+    this.lockManager = lockManager;
+    this.workspaceRoot = workspaceRoot;
+    this.journal = new WorkspaceJournal(journalPath);
+    this.git = GitWorkspace.isRepository(workspaceRoot) ? new GitWorkspace(workspaceRoot) : null;
+    // Recent file changes from tools and from the watcher, so agents can be told what changed since they last looked
+    this.recentChanges = [];
+    this.changeSequence = 0;
+    this.watcher = null;
+  }
+
+  /**
+   * Remember a change for changesSince(); agent is null for changes made outside the agent tools
+   */
+  noteChange(filePath, change, agent = null) {
+    this.recentChanges.push({ sequence: ++this.changeSequence, path: filePath, change, agent, timestamp: new Date().toISOString() });
+    if (this.recentChanges.length > 1000) {
+      this.recentChanges.splice(0, this.recentChanges.length - 1000);
+    }
+  }
+
+  /**
+   * Changes after a sequence number, leaving out those made by excludeAgent: { changes, latest }
+   */
+  changesSince(sequence, excludeAgent = null) {
+    return {
+      changes: this.recentChanges.filter(change => change.sequence > sequence && (!excludeAgent || change.agent !== excludeAgent)),
+      latest: this.changeSequence
+    };
+  }
+
+  /**
+   * Turn the workspace into a git repository; later changes are committed one by one
+   */
+  enableGit() {
+    if (this.git) return;
+    const git = new GitWorkspace(this.workspaceRoot);
+    git.init();
+    this.git = git;
+  }
+
+  // Journal a change and, in git mode, commit it
+  _recordChange(change) {
+    this.journal.record(change);
+    this.noteChange(change.path, change.before === null ? 'created' : change.after === null ? 'deleted' : 'modified', change.agent);
+    // The watcher must not report this write again as an outside change
+    this.watcher?.noteWrite(change.path);
+    this.git?.commitChange(change);
+  }
+
+  // Workspace-relative path with forward slashes, used as the journal key
+  _relativePath(fullPath) {
+    return path.relative(this.workspaceRoot, fullPath).split(path.sep).join('/');
+  }
+
+  _validatePath(filePath) {
+    // Resolve relative path against workspace
+    const fullPath = path.resolve(this.workspaceRoot, filePath);
+    
+    // Ensure path is still inside workspace (prevent directory traversal).
+    // Compare against root + separator so a sibling like "<root>-other" does not pass.
+    if (fullPath !== this.workspaceRoot && !fullPath.startsWith(this.workspaceRoot + path.sep)) {
+      throw new Error(`Access denied: Path must be within the project workspace`);
+    }
+    // The repository of a git-backed workspace is not part of the project
+    if (path.relative(this.workspaceRoot, fullPath).split(path.sep)[0] === '.git') {
+      throw new Error(`Access denied: .git is managed by the server`);
+    }
+    
+    return fullPath;
+  }
+
+  /**
+   * Absolute path of an existing workspace directory, e.g. the working directory of a command
+   */
+  resolveDirectory(dirPath = '.') {
+    const fullPath = this._validatePath(dirPath);
+    if (!existsSync(fullPath) || !statSync(fullPath).isDirectory()) {
+      throw new Error(`Directory not found: ${dirPath}`);
+    }
+    return fullPath;
+  }
+
+  /**
+   * Throw a conflict when the caller edited from a version other than the current one. The error
+   * says who changed the file since and how, so the agent can reconcile instead of overwriting.
+   * currentContent is null when the file has been deleted.
+   */
+  _assertVersion(filePath, currentContent, expectedVersion) {
+    if (!expectedVersion) return;
+    const currentVersion = currentContent === null ? null : contentVersion(currentContent);
+    if (expectedVersion === currentVersion) return;
+
+    const since = this.journal.changesSinceVersion(this._relativePath(this._validatePath(filePath)), expectedVersion);
+    const lines = [currentContent === null
+      ? `Version conflict: ${filePath} was deleted since you read it (you have version ${expectedVersion}).`
+      : `Version conflict: ${filePath} changed since you read it (you have version ${expectedVersion}, it is now ${currentVersion}).`];
+    if (since) {
+      const authors = since.entries.map(entry => `${entry.agent} (${entry.tool}${entry.turn ? `, turn ${entry.turn}` : ''})`);
+      lines.push(`Changed by: ${authors.join(', ')}`);
+      const current = currentContent === null ? '' : Buffer.isBuffer(currentContent) && isBinaryContent(currentContent) ? { base64: currentContent.toString('base64') } : currentContent.toString();
+      lines.push('What changed since your version:', ...compactDiff(diffLines(since.content, current).split('\n')));
+    } else {
+      lines.push('Your version is not in the change history of this workspace, so the changes cannot be shown.');
+    }
+    lines.push(currentContent === null
+      ? 'Check with the agents above whether the file is still needed before creating it again.'
+      : `Read the file again with read_file() and redo your edit on version ${currentVersion}.`);
+    throw new Error(lines.join('\n'));
+  }
+
+  /**
+   * Lock a workspace file for an agent; see FileLockManager.acquire for the options
+   */
+  lockFile(agentName, filePath, options = {}) {
+    return this.lockManager.acquire(this._relativePath(this._validatePath(filePath)), agentName, options);
+  }
+
+  unlockFile(agentName, filePath) {
+    const lockPath = this._relativePath(this._validatePath(filePath));
+    if (!this.lockManager.release(lockPath, agentName)) {
+      throw new Error(`You do not hold a lock on ${filePath}`);
+    }
+    return `Unlocked ${filePath}`;
+  }
+
+  /**
+   * Create a file from text, or from base64 for binary assets (encoding: 'base64'). With
+   * expectedVersion it replaces an existing file instead, as long as the file is still at that version.
+   */
+  createFile(agentName, filePath, content, { encoding = 'utf-8', turn = null, toolCallId = null, expectedVersion = null } = {}) {
+    const fullPath = this._validatePath(filePath);
+    const exists = existsSync(fullPath);
+    if (expectedVersion) {
+      if (exists && statSync(fullPath).isDirectory()) {
+        throw new Error(`Not a file: ${filePath}`);
+      }
+      this._assertVersion(filePath, exists ? readFileSync(fullPath) : null, expectedVersion);
+    }
+
+    // Check if file already exists
+    if (exists && !expectedVersion) {
+      throw new Error(
+        `File "${filePath}" already exists. To modify an existing file, you must:\n` +
+        `1. Use read_file("${filePath}") to read the current content\n` +
+        `2. Use str_replace("${filePath}", old_string, new_string) to make changes\n` +
+        `The create_file() function can only be used to create NEW files that don't exist yet.`
+      );
+    }
+
+    let bytes;
+    if (encoding === 'base64') {
+      if (typeof content !== 'string' || !/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(content)) {
+        throw new Error(`Invalid base64 content for ${filePath}`);
+      }
+      bytes = Buffer.from(content, 'base64');
+    } else if (encoding === 'utf-8') {
+      bytes = Buffer.from(content, 'utf-8');
+    } else {
+      throw new Error(`Invalid encoding: ${encoding}. Use "utf-8" or "base64"`);
+    }
+    if (bytes.length > MAX_FILE_SIZE) {
+      throw new Error(`File too large: ${filePath} would be ${bytes.length} bytes, the limit is ${MAX_FILE_SIZE}`);
+    }
+
+    this.lockManager.assertWritable(this._relativePath(fullPath), agentName);
+
+    // Create directories if needed
+    const dir = path.dirname(fullPath);
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    
+    const previous = exists ? readFileSync(fullPath) : null;
+    const before = previous === null ? null : isBinaryContent(previous) ? { base64: previous.toString('base64') } : previous.toString('utf-8');
+    writeFileSync(fullPath, bytes);
+    const after = encoding === 'base64' ? { base64: bytes.toString('base64') } : content;
+    this._recordChange({ agent: agentName, tool: 'create_file', path: this._relativePath(fullPath), before, after, turn, toolCallId });
+    return `Successfully ${exists ? 'replaced' : 'created'} file: ${filePath} (${bytes.length} bytes, version ${contentVersion(bytes)})`;
+  }
+
+  /**
+   * Size, modification time, MIME type and last journaled author of a file. Only the first bytes are
+   * read to tell text from binary.
+   */
+  fileInfo(filePath) {
+    const fullPath = this._validatePath(filePath);
+    if (!existsSync(fullPath) || statSync(fullPath).isDirectory()) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    const stats = statSync(fullPath);
+    const head = Buffer.alloc(Math.min(stats.size, 8192));
+    const fd = openSync(fullPath, 'r');
+    try {
+      readSync(fd, head, 0, head.length, 0);
+    } finally {
+      closeSync(fd);
+    }
+
+    const relativePath = this._relativePath(fullPath);
+    const binary = isBinaryContent(head);
+    return {
+      path: relativePath,
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      type: mimeType(fullPath, binary),
+      binary,
+      lastModifiedBy: this.journal.lastChangeOf(relativePath)?.agent || null
+    };
+  }
+
+  // Whole content of an existing file as a Buffer
+  _readBytes(filePath) {
+    const fullPath = this._validatePath(filePath);
+    if (!existsSync(fullPath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    return readFileSync(fullPath);
+  }
+
+  // Text content of a file, refusing binary files with a pointer to base64
+  _readText(filePath) {
+    const bytes = this._readBytes(filePath);
+    if (isBinaryContent(bytes)) {
+      throw new Error(`${filePath} is a binary file (${mimeType(filePath, true)}, ${bytes.length} bytes). Read it with encoding "base64"`);
+    }
+    return bytes.toString('utf-8');
+  }
+
+  /**
+   * Whole text content of a file up to MAX_FILE_SIZE; larger files have to be read in parts
+   */
+  readFile(filePath) {
+    const { size } = this.fileInfo(filePath);
+    if (size > MAX_FILE_SIZE) {
+      throw new Error(`File too large: ${filePath} is ${size} bytes, the limit is ${MAX_FILE_SIZE}. Read it in parts with offset and limit`);
+    }
+    return this._readText(filePath);
+  }
+
+  /**
+   * Any file, text or binary, as base64 with its type, size and version
+   */
+  readFileBase64(filePath) {
+    const info = this.fileInfo(filePath);
+    if (info.size > MAX_FILE_SIZE) {
+      throw new Error(`File too large: ${filePath} is ${info.size} bytes, the limit is ${MAX_FILE_SIZE}`);
+    }
+    const bytes = this._readBytes(filePath);
+    return { ...info, content: bytes.toString('base64'), version: contentVersion(bytes) };
+  }
+
+  /**
+   * The start of a file for an agent's prompt: at most maxBytes of text, or nothing for a binary file
+   */
+  previewFile(filePath, maxBytes = CONTEXT_FILE_PREVIEW) {
+    const info = this.fileInfo(filePath);
+    if (info.binary) {
+      return { ...info, content: null, truncated: false };
+    }
+    const head = Buffer.alloc(Math.min(info.size, maxBytes));
+    const fd = openSync(this._validatePath(filePath), 'r');
+    try {
+      readSync(fd, head, 0, head.length, 0);
+    } finally {
+      closeSync(fd);
+    }
+    // A multi-byte character cut off at the end is dropped instead of becoming U+FFFD
+    const content = new TextDecoder('utf-8').decode(head, { stream: true });
+    return { ...info, content, truncated: info.size > maxBytes };
+  }
+
+  /**
+   * Read part of a file: `limit` lines starting at line `offset` (1-based). Works on text files of any size.
+   */
+  readFileLines(filePath, offset = 1, limit = null) {
+    const content = this._readText(filePath);
+    const { lines } = splitLines(content);
+    if (!Number.isInteger(offset) || offset < 1 || (lines.length > 0 && offset > lines.length)) {
+      throw new Error(`Line out of range: ${offset}. ${filePath} has ${lines.length} line(s)`);
+    }
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error('limit must be a positive integer');
+    }
+
+    const selected = lines.slice(offset - 1, limit === null ? undefined : offset - 1 + limit);
+    return {
+      content: selected.join('\n'),
+      startLine: offset,
+      endLine: offset + selected.length - 1,
+      totalLines: lines.length,
+      version: contentVersion(content)
+    };
+  }
+
+  /**
+   * Files matching a glob. Patterns without "/" match file names at any depth ("*.js"),
+   * patterns with "/" match the whole workspace-relative path ("backend/**").
+   */
+  findFiles(pattern) {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('glob pattern is required');
+    }
+    const matcher = globToRegExp(pattern);
+    const matchName = !pattern.includes('/');
+    return this.listFiles('.')
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => matcher.test(matchName ? path.posix.basename(file) : file))
+      .sort();
+  }
+
+  /**
+   * Search file contents for a literal string, or a regular expression with regex: true:
+   * [{ path, line, text }]. Binary and very large files are skipped. Regex searches run in a worker
+   * thread (see runRegexSearch) and fail if they take longer than SEARCH_TIMEOUT_MS.
+   */
+  async searchFiles(pattern, { glob = null, caseSensitive = true, maxResults = 100, regex = false } = {}) {
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error('search pattern is required');
+    }
+    if (pattern.length > SEARCH_MAX_PATTERN) {
+      throw new Error(`Search pattern too long: ${pattern.length} characters, the limit is ${SEARCH_MAX_PATTERN}`);
+    }
+    if (regex) {
+      try {
+        new RegExp(pattern, caseSensitive ? '' : 'i');
+      } catch (error) {
+        throw new Error(`Invalid search pattern: ${error.message}`);
+      }
+    }
+
+    const paths = glob ? this.findFiles(glob) : this.listFiles('.').map(file => file.split(path.sep).join('/')).sort();
+    const files = [];
+    for (const file of paths) {
+      const fullPath = this._validatePath(file);
+      if (statSync(fullPath).size > MAX_FILE_SIZE) continue;
+      const bytes = readFileSync(fullPath);
+      if (isBinaryContent(bytes)) continue;
+      files.push({ path: file, lines: splitLines(bytes.toString('utf-8')).lines });
+    }
+
+    let hits;
+    let truncated = false;
+    if (regex) {
+      ({ hits, truncated } = await runRegexSearch({ pattern, flags: caseSensitive ? '' : 'i', files, maxResults }));
+    } else {
+      const needle = caseSensitive ? pattern : pattern.toLowerCase();
+      hits = [];
+      search: for (let f = 0; f < files.length; f++) {
+        for (let i = 0; i < files[f].lines.length; i++) {
+          if (!(caseSensitive ? files[f].lines[i] : files[f].lines[i].toLowerCase()).includes(needle)) continue;
+          if (hits.length >= maxResults) {
+            truncated = true;
+            break search;
+          }
+          hits.push([f, i]);
+        }
+      }
+    }
+
+    const matches = hits.map(([f, i]) => {
+      const line = files[f].lines[i];
+      return { path: files[f].path, line: i + 1, text: line.length > 200 ? `${line.slice(0, 200)}...` : line };
+    });
+    return { matches, truncated };
+  }
+
+  /**
+   * Read-modify-write an existing file nobody else has locked. transform gets the current content and
+   * returns the new content; if it throws, or the file is not at expectedVersion, the file is left untouched.
+   */
+  _modifyFile(agentName, filePath, tool, transform, { turn = null, toolCallId = null, expectedVersion = null } = {}) {
+    const fullPath = this._validatePath(filePath);
+    this.lockManager.assertWritable(this._relativePath(fullPath), agentName);
+
+    const content = this._readText(filePath);
+    this._assertVersion(filePath, content, expectedVersion);
+    const newContent = transform(content);
+    writeFileSync(fullPath, newContent);
+    this._recordChange({ agent: agentName, tool, path: this._relativePath(fullPath), before: content, after: newContent, turn, toolCallId });
+    return `Successfully modified file: ${filePath} (version ${contentVersion(newContent)})`;
+  }
+
+  strReplace(agentName, filePath, oldStr, newStr, { replaceAll = false, ...context } = {}) {
+    return this._modifyFile(agentName, filePath, 'str_replace', content => replaceExact(content, oldStr, newStr, replaceAll), context);
+  }
+
+  /**
+   * Apply several replacements to one file in order. All of them succeed or the file is unchanged.
+   */
+  multiEdit(agentName, filePath, edits, context = {}) {
+    if (!Array.isArray(edits) || edits.length === 0) {
+      throw new Error('edits must be a non-empty array of { old_string, new_string } objects');
+    }
+    const result = this._modifyFile(agentName, filePath, 'multi_edit', content => edits.reduce((current, edit, index) => {
+      try {
+        return replaceExact(current, edit.old_string, edit.new_string ?? '', !!edit.replace_all);
+      } catch (error) {
+        throw new Error(`Edit ${index + 1} of ${edits.length} failed, no edits were applied. ${error.message}`);
+      }
+    }, content), context);
+    return `${result} (${edits.length} edits applied)`;
+  }
+
+  /**
+   * Insert text before line `line` (1-based); line count + 1 appends to the end
+   */
+  insertAtLine(agentName, filePath, line, text, context = {}) {
+    return this._modifyFile(agentName, filePath, 'insert_at_line', (content) => {
+      const { lines, trailingNewline } = splitLines(content);
+      if (!Number.isInteger(line) || line < 1 || line > lines.length + 1) {
+        throw new Error(`Line out of range: ${line}. ${filePath} has ${lines.length} line(s); use 1-${lines.length + 1}`);
+      }
+      lines.splice(line - 1, 0, ...splitLines(text).lines);
+      return joinLines(lines, trailingNewline);
+    }, context);
+  }
+
+  /**
+   * Replace lines start..end (1-based, inclusive) with text; empty text deletes them
+   */
+  replaceLines(agentName, filePath, startLine, endLine, text, context = {}) {
+    return this._modifyFile(agentName, filePath, 'replace_lines', (content) => {
+      const { lines, trailingNewline } = splitLines(content);
+      if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || endLine < startLine || endLine > lines.length) {
+        throw new Error(`Line out of range: ${startLine}-${endLine}. ${filePath} has ${lines.length} line(s)`);
+      }
+      lines.splice(startLine - 1, endLine - startLine + 1, ...splitLines(text).lines);
+      return joinLines(lines, trailingNewline);
+    }, context);
+  }
+
+  /**
+   * Apply a unified diff that may create, modify and delete several files. Every file is checked
+   * and locked before anything is written, so a patch applies completely or not at all.
+   * expectedVersion maps paths the patch changes to the versions the caller read them at.
+   */
+  applyPatch(agentName, patchText, { turn = null, toolCallId = null, expectedVersion = null } = {}) {
+    const filePatches = parseUnifiedDiff(patchText);
+    const versions = expectedVersion || {};
+    if (typeof versions !== 'object' || Array.isArray(versions)) {
+      throw new Error('expected_version for apply_patch must map each path to its version, like { "backend/app.js": "3f9a1c0b7d2e" }');
+    }
+    const patchedPaths = filePatches.map(filePatch => filePatch.newPath || filePatch.oldPath);
+    const unknown = Object.keys(versions).filter(filePath => !patchedPaths.includes(filePath));
+    if (unknown.length > 0) {
+      throw new Error(`expected_version lists ${unknown.join(', ')}, which the patch does not change`);
+    }
+
+    const planned = filePatches.map((filePatch) => {
+      const filePath = filePatch.newPath || filePatch.oldPath;
+      const fullPath = this._validatePath(filePath);
+      const exists = existsSync(fullPath);
+      if (versions[filePath]) {
+        this._assertVersion(filePath, exists ? readFileSync(fullPath) : null, versions[filePath]);
+      }
+      if (!filePatch.oldPath) {
+        if (exists) {
+          throw new Error(`File "${filePath}" already exists, the patch tries to create it`);
+        }
+        return { filePath, fullPath, before: null, after: applyHunks('', filePatch.hunks, filePath) };
+      }
+      if (!exists) {
+        throw new Error(`File not found: ${filePatch.oldPath}`);
+      }
+      if (filePatch.newPath && filePatch.newPath !== filePatch.oldPath) {
+        throw new Error(`Renames are not supported (${filePatch.oldPath} -> ${filePatch.newPath}); create the new file and delete the old one`);
+      }
+      const before = this._readText(filePath);
+      const after = filePatch.newPath ? applyHunks(before, filePatch.hunks, filePath) : null;
+      return { filePath, fullPath, before, after };
+    });
+
+    // Check every file before writing any, so a locked file cannot leave the patch half applied
+    planned.forEach(({ fullPath }) => this.lockManager.assertWritable(this._relativePath(fullPath), agentName));
+
+    for (const { fullPath, before, after } of planned) {
+      if (after === null) {
+        unlinkSync(fullPath);
+      } else {
+        mkdirSync(path.dirname(fullPath), { recursive: true });
+        writeFileSync(fullPath, after);
+      }
+      this._recordChange({ agent: agentName, tool: 'apply_patch', path: this._relativePath(fullPath), before, after, turn, toolCallId });
+    }
+
+    const summary = planned.map(({ filePath, before, after }) => `${before === null ? 'created' : after === null ? 'deleted' : 'modified'} ${filePath}`);
+    return `Successfully applied patch: ${summary.join(', ')}`;
+  }
+
+  listFiles(dirPath = '.') {
+    const fullPath = this._validatePath(dirPath);
+    if (!existsSync(fullPath)) {
+      return [];
+    }
+    
+    // Recursive file listing helper
+    const getFiles = (dir, relativeDir = '') => {
+      const files = readdirSync(dir, { withFileTypes: true });
+      let result = [];
+      
+      for (const file of files) {
+        const relativePath = path.join(relativeDir, file.name);
+        if (file.isDirectory() && file.name === '.git') {
+          continue;
+        }
+        if (file.isDirectory()) {
+          result = result.concat(getFiles(path.join(dir, file.name), relativePath));
+        } else {
+          result.push(relativePath);
+        }
+      }
+      
+      return result;
+    };
+
+    return getFiles(fullPath);
+  }
+
+  deleteFile(agentName, filePath, { turn = null, toolCallId = null, expectedVersion = null } = {}) {
+    const fullPath = this._validatePath(filePath);
+    
+    this.lockManager.assertWritable(this._relativePath(fullPath), agentName);
+
+    if (!existsSync(fullPath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    
+    // Ensure it's a file, not a directory
+    const stats = statSync(fullPath);
+    if (stats.isDirectory()) {
+      throw new Error(`Cannot delete directory: ${filePath}. Use file path only.`);
+    }
+    
+    const bytes = readFileSync(fullPath);
+    this._assertVersion(filePath, bytes, expectedVersion);
+    const content = isBinaryContent(bytes) ? { base64: bytes.toString('base64') } : bytes.toString('utf-8');
+    unlinkSync(fullPath);
+    this._recordChange({ agent: agentName, tool: 'delete_file', path: this._relativePath(fullPath), before: content, after: null, turn, toolCallId });
+    return `Successfully deleted file: ${filePath}`;
+  }
+
+  /**
+   * Files of the workspace, or of one folder, as they were at a checkpoint (default: now):
+   * [{ path, data, mtime, author }]. Files the journal does not know about, e.g. ones written by
+   * a command, are taken as they are on disk. Throws before reading anything when the files add up
+   * to more than maxBytes.
+   */
+  snapshotFiles({ folder = '.', checkpoint = this.journal.latestCheckpoint, maxBytes = Infinity } = {}) {
+    const prefix = this._relativePath(this._validatePath(folder));
+    const inFolder = filePath => prefix === '' || filePath === prefix || filePath.startsWith(`${prefix}/`);
+
+    // Files on disk are only read once the total size is known to fit
+    const files = new Map();
+    for (const file of this.listFiles('.')) {
+      const filePath = file.split(path.sep).join('/');
+      if (!inFolder(filePath)) continue;
+      const fullPath = this._validatePath(filePath);
+      const stats = statSync(fullPath);
+      files.set(filePath, { fullPath, size: stats.size, mtime: stats.mtime });
+    }
+
+    const restoredAt = new Date();
+    for (const [filePath, { after }] of this.journal.changesBetween(this.journal.latestCheckpoint, checkpoint)) {
+      if (!inFolder(filePath)) continue;
+      if (after === null) {
+        files.delete(filePath);
+      } else {
+        const data = journalBytes(after);
+        const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8');
+        files.set(filePath, { data: bytes, size: bytes.length, mtime: restoredAt });
+      }
+    }
+
+    const totalBytes = Array.from(files.values()).reduce((sum, file) => sum + file.size, 0);
+    if (totalBytes > maxBytes) {
+      throw new Error(`${folder === '.' ? 'The workspace' : folder} holds ${totalBytes} bytes, more than the ${maxBytes} bytes an archive may hold`);
+    }
+
+    const authors = this.journal.authorsAt(checkpoint);
+    return Array.from(files, ([filePath, { fullPath, data, mtime }]) => ({
+      path: filePath,
+      data: data || readFileSync(fullPath),
+      mtime,
+      author: authors.get(filePath) || null
+    })).sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Per-file line diffs between two journal checkpoints
+   */
+  diffCheckpoints(from, to) {
+    return Array.from(this.journal.changesBetween(from, to), ([filePath, { before, after }]) => ({
+      path: filePath,
+      status: before === null ? 'added' : after === null ? 'deleted' : 'modified',
+      diff: diffLines(before, after)
+    }));
+  }
+
+  /**
+   * Restore every file changed since a checkpoint to its content at that checkpoint. The restore is
+   * journaled like any other change, so a rollback can itself be rolled back.
+   */
+  rollbackTo(checkpoint, agentName = 'user') {
+    const changes = this.journal.changesBetween(this.journal.latestCheckpoint, checkpoint);
+
+    // Refuse up front rather than leave the workspace half rolled back
+    for (const filePath of changes.keys()) {
+      const owners = this.lockManager.holdersOf(filePath).filter(agent => agent !== agentName);
+      if (owners.length > 0) {
+        throw new Error(`File ${filePath} is locked by ${owners.join(', ')}`);
+      }
+    }
+
+    const restored = [];
+    for (const [filePath, { before, after }] of changes) {
+      const fullPath = this._validatePath(filePath);
+      if (after === null) {
+        if (existsSync(fullPath)) {
+          unlinkSync(fullPath);
+        }
+      } else {
+        mkdirSync(path.dirname(fullPath), { recursive: true });
+        writeFileSync(fullPath, journalBytes(after));
+      }
+      this._recordChange({ agent: agentName, tool: 'rollback', path: filePath, before, after, rollbackTo: checkpoint });
+      restored.push({ path: filePath, status: before === null ? 'added' : after === null ? 'deleted' : 'modified' });
+    }
+
+    return { checkpoint, restored, latestCheckpoint: this.journal.latestCheckpoint };
+  }
+
+  wipeWorkspace() {
+    if (existsSync(this.workspaceRoot)) {
+      rmSync(this.workspaceRoot, { recursive: true, force: true });
+      mkdirSync(this.workspaceRoot, { recursive: true });
+    }
+    // A wiped workspace starts a fresh history (and a fresh repository in git mode)
+    this.journal.clear();
+    if (this.git) {
+      this.git.init();
+    }
+    this.watcher?.resync();
+  }
+}
+
+/**
+ * WorkspaceWatcher - Notices file changes made outside the agent tools (a human editing the
+ * workspace, a command writing files) and reports them through onChange
+ *
+ * fs.watch only says that something happened, so each burst of events is followed by a rescan
+ * that compares size and mtime of every file with the last snapshot. Tool writes update the
+ * snapshot as they happen (noteWrite) and are therefore not reported twice.
+ */
+class WorkspaceWatcher {
+  constructor(fileTools, { onChange, debounceMs = 200 } = {}) {
+    this.fileTools = fileTools;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.snapshot = new Map(); // path -> "size:mtimeMs"
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  _stamp(fullPath) {
+    try {
+      const stats = statSync(fullPath);
+      return stats.isFile() ? `${stats.size}:${stats.mtimeMs}` : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _scan() {
+    const snapshot = new Map();
+    for (const file of this.fileTools.listFiles('.')) {
+      const stamp = this._stamp(path.join(this.fileTools.workspaceRoot, file));
+      if (stamp) snapshot.set(file.split(path.sep).join('/'), stamp);
+    }
+    return snapshot;
+  }
+
+  start() {
+    mkdirSync(this.fileTools.workspaceRoot, { recursive: true });
+    this.snapshot = this._scan();
+    try {
+      this.watcher = watch(this.fileTools.workspaceRoot, { recursive: true }, (eventType, fileName) => {
+        if (fileName && fileName.split(path.sep)[0] === '.git') return;
+        this._scheduleRescan();
+      });
+      // An error ends the watch (e.g. the workspace folder was removed); report what is gone
+      this.watcher.on('error', () => this._scheduleRescan());
+    } catch (error) {
+      console.warn(`⚠️  Cannot watch ${this.fileTools.workspaceRoot} (${error.message}); outside changes will not be reported`);
+    }
+  }
+
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Forget what was on disk and start watching again without reporting anything, e.g. after a wipe
+   */
+  resync() {
+    this.stop();
+    this.start();
+  }
+
+  noteWrite(filePath) {
+    const stamp = this._stamp(path.join(this.fileTools.workspaceRoot, filePath));
+    if (stamp) this.snapshot.set(filePath, stamp);
+    else this.snapshot.delete(filePath);
+  }
+
+  _scheduleRescan() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.rescan(), this.debounceMs);
+  }
+
+  rescan() {
+    const current = this._scan();
+    const changes = [];
+    for (const [filePath, stamp] of current) {
+      if (!this.snapshot.has(filePath)) changes.push({ path: filePath, change: 'created' });
+      else if (this.snapshot.get(filePath) !== stamp) changes.push({ path: filePath, change: 'modified' });
+    }
+    for (const filePath of this.snapshot.keys()) {
+      if (!current.has(filePath)) changes.push({ path: filePath, change: 'deleted' });
+    }
+    this.snapshot = current;
+
+    for (const change of changes) {
+      this.fileTools.noteChange(change.path, change.change, null);
+      this.onChange?.(change);
+    }
+    return changes;
+  }
+}
+
+// Run by /bin/sh inside the namespaces with: mount, mkdir, unshare, workspace, tmpDir, cwd, command line
+const COMMAND_CONFINE_SCRIPT = [
+  'set -e',
+  'root="${4%/*}"',
+  // Keep the workspace reachable on tmpDir while an empty tmpfs covers its siblings
+  '"$1" --bind "$4" "$5"',
+  '"$1" -t tmpfs -o mode=755 sandbox "$root"',
+  '"$2" -p "$4"',
+  '"$1" --move "$5" "$4"',
+  '"$1" -t tmpfs -o mode=1777 sandbox-tmp "$5"',
+  'while read -r _ mountpoint _; do',
+  '  case "$mountpoint" in "$4"|"$5"|/proc|/proc/*|/sys|/sys/*) ;; *) "$1" -o remount,bind,ro "$mountpoint" 2>/dev/null || true ;; esac',
+  'done < /proc/self/mounts',
+  'cd "$6"',
+  'exec "$3" -U /bin/sh -c "$7"'
+].join('\n');
+
+/**
+ * CommandSandbox - Runs agent commands inside a workspace with a time limit, an output cap,
+ * no network, only the allowlisted binaries on PATH and write access to nothing but the workspace
+ *
+ * Each command gets its own unprivileged network and mount namespace (unshare -rnm). Inside it the
+ * other workspaces are hidden, every mount except the workspace and a private TMPDIR is made
+ * read-only, and the command itself runs in a further user namespace without the rights to undo
+ * that. Where the host cannot do this run_command is disabled and /health reports why.
+ */
+class CommandSandbox {
+  constructor({ allowlist = COMMAND_ALLOWLIST, timeoutMs = COMMAND_TIMEOUT_MS, outputLimit = COMMAND_OUTPUT_LIMIT, sandboxDir = path.join(DATA_DIR, 'sandbox') } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.outputLimit = outputLimit;
+    // Outside every workspace, so no command can change what another one finds on its PATH
+    this.binDir = path.join(sandboxDir, 'bin');
+    this.tmpDir = path.join(sandboxDir, 'tmp');
+    mkdirSync(this.tmpDir, { recursive: true });
+    this.commands = this._linkBinaries(allowlist);
+    // Resolved up front: commands run with nothing but binDir on PATH
+    this.mount = CommandSandbox.findBinary('mount');
+    this.mkdir = CommandSandbox.findBinary('mkdir');
+    this.unshare = CommandSandbox.findUnshare();
+    this.networkIsolated = !!this.unshare;
+    this.workspaceConfined = this.networkIsolated && this._canConfine();
+    if (!this.networkIsolated) {
+      console.warn('⚠️  unshare -rn is not available - run_command is disabled because it cannot cut off network access');
+    } else if (!this.workspaceConfined) {
+      console.warn('⚠️  unshare -rnm cannot mount here - run_command is disabled because it cannot keep commands inside their workspace');
+    }
+  }
+
+  get available() {
+    return this.networkIsolated && this.workspaceConfined;
+  }
+
+  static findBinary(name) {
+    const searchPath = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    return searchPath.map(dir => path.join(dir, name)).find(candidate => existsSync(candidate)) || null;
+  }
+
+  // Path of unshare if it can create a network namespace without privileges, otherwise null
+  static findUnshare() {
+    const unshare = CommandSandbox.findBinary('unshare');
+    if (!unshare) return null;
+    try {
+      execFileSync(unshare, ['-rn', 'true'], { stdio: 'ignore', timeout: 5000 });
+      return unshare;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Whether a mount namespace can be set up and then locked by a nested user namespace
+  _canConfine() {
+    if (!this.mount || !this.mkdir) return false;
+    try {
+      execFileSync(this.unshare, ['-rnm', '/bin/sh', '-c', '"$1" -t tmpfs sandbox "$2" && exec "$3" -U true', 'sandbox', this.mount, this.tmpDir, this.unshare], { stdio: 'ignore', timeout: 5000 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Symlink every allowlisted binary into binDir, which becomes the command's entire PATH
+  _linkBinaries(allowlist) {
+    rmSync(this.binDir, { recursive: true, force: true });
+    mkdirSync(this.binDir, { recursive: true });
+
+    const linked = [];
+    for (const name of allowlist) {
+      const binary = CommandSandbox.findBinary(name);
+      if (!binary) {
+        console.warn(`⚠️  Allowlisted command '${name}' is not installed`);
+        continue;
+      }
+      symlinkSync(binary, path.join(this.binDir, name));
+      linked.push(name);
+    }
+    return linked;
+  }
+
+  _env(workspaceRoot) {
+    const env = {
+      PATH: this.binDir,
+      HOME: workspaceRoot,
+      TMPDIR: this.tmpDir,
+      CI: 'true',
+      npm_config_cache: NPM_CACHE_DIR,
+      npm_config_offline: 'true',
+      npm_config_audit: 'false',
+      npm_config_fund: 'false',
+      npm_config_update_notifier: 'false'
+    };
+    return env;
+  }
+
+  /**
+   * Every program a command line starts, one per command between ;, &&, ||, | and &. Command and process
+   * substitution, subshells and groups are refused outright, since the programs inside them cannot be checked.
+   * This only limits what the line itself starts: an allowed program such as node or sh can still start others.
+   */
+  _programsOf(commandLine) {
+    // Split into commands outside quotes; inside single quotes nothing is special to the shell
+    const commands = [[]];
+    let word = null;
+    let quote = null;
+    const endWord = () => {
+      if (word !== null) commands[commands.length - 1].push(word);
+      word = null;
+    };
+    for (let i = 0; i < commandLine.length; i++) {
+      const char = commandLine[i];
+      const next = commandLine[i + 1];
+      if (quote !== "'" && (char === '`' || (char === '$' && next === '(') || (!quote && '<>'.includes(char) && next === '('))) {
+        throw new Error('Command not allowed: command substitution ($(...), `...`, <(...)) is not supported');
+      }
+      if (quote) {
+        if (char === quote) quote = null;
+        else if (char === '\\' && quote === '"') word += commandLine[++i] ?? '';
+        else word += char;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+        word = word ?? '';
+      } else if (char === '\\') {
+        word = (word ?? '') + (commandLine[++i] ?? '');
+      } else if (char === '&' && (next === '>' || '<>'.includes(commandLine[i - 1]))) {
+        // A redirection such as 2>&1 or &>, not a separator
+        word = (word ?? '') + char;
+      } else if (';&|\n'.includes(char)) {
+        endWord();
+        commands.push([]);
+      } else if ('(){}'.includes(char) && word === null) {
+        throw new Error('Command not allowed: subshells and { ...; } groups are not supported');
+      } else if (/\s/.test(char)) {
+        endWord();
+      } else {
+        word = (word ?? '') + char;
+      }
+    }
+    endWord();
+
+    // Leading VAR=value assignments are not programs
+    return commands
+      .map(words => words.find(w => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(w)))
+      .filter(program => program !== undefined);
+  }
+
+  /**
+   * Run a shell command line whose commands all start with an allowlisted binary. Output is passed to
+   * onOutput(stream, text) as it arrives and collected up to the output cap. Resolves with
+   * { exitCode, signal, stdout, stderr, timedOut, truncated, durationMs } once the command ends;
+   * anything it left running in the background is killed with it.
+   */
+  run(commandLine, { workspaceRoot, cwd = workspaceRoot, timeoutMs = this.timeoutMs, onOutput = () => {} }) {
+    // Without the namespaces there is no way to keep commands offline and inside the workspace, so none run
+    if (!this.networkIsolated) {
+      throw new Error('Command sandbox unavailable: this host cannot cut commands off from the network (unshare -rn failed), so run_command is disabled');
+    }
+    if (!this.workspaceConfined) {
+      throw new Error('Command sandbox unavailable: this host cannot confine commands to their workspace (unshare -rnm failed), so run_command is disabled');
+    }
+    const relativeCwd = path.relative(workspaceRoot, cwd);
+    if (relativeCwd.startsWith('..') || path.isAbsolute(relativeCwd)) {
+      throw new Error(`Command not allowed: cwd ${cwd} is outside the workspace`);
+    }
+    const programs = this._programsOf(String(commandLine || ''));
+    if (programs.length === 0) {
+      throw new Error('Command is empty');
+    }
+    const refused = programs.find(program => !this.commands.includes(program));
+    if (refused) {
+      throw new Error(`Command not allowed: ${refused}. Allowed commands: ${this.commands.join(', ')}`);
+    }
+
+    const [file, ...args] = [
+      this.unshare, '-rnm', '/bin/sh', '-c', COMMAND_CONFINE_SCRIPT, 'sandbox',
+      this.mount, this.mkdir, this.unshare, workspaceRoot, this.tmpDir, cwd, commandLine
+    ];
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      // Own process group, so the whole tree can be killed on timeout
+      const child = spawn(file, args, { cwd, env: this._env(workspaceRoot), detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      const output = { stdout: '', stderr: '' };
+      let captured = 0;
+      let truncated = false;
+      let timedOut = false;
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Group already gone
+        }
+      };
+
+      const collect = (stream) => (chunk) => {
+        if (truncated) return;
+        let text = chunk.toString();
+        if (captured + text.length > this.outputLimit) {
+          text = text.slice(0, this.outputLimit - captured);
+          truncated = true;
+        }
+        captured += text.length;
+        output[stream] += text;
+        if (text) onOutput(stream, text);
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, timeoutMs);
+
+      child.on('exit', killGroup);
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({ exitCode, signal, ...output, timedOut, truncated, durationMs: Date.now() - startedAt });
+      });
+    });
+  }
+
+  describe() {
+    return {
+      commands: this.commands,
+      timeoutMs: this.timeoutMs,
+      outputLimit: this.outputLimit,
+      networkIsolated: this.networkIsolated,
+      workspaceConfined: this.workspaceConfined
+    };
+  }
+}
+
+/**
+ * FileConversationStore - Persists conversations to disk so they survive restarts
+ *
+ * Layout per conversation under <baseDir>/<conversationId>/:
+ *   conversation.json  - metadata (topic, status, talk log, provider, ...)
+ *   agents/<name>.json - agent state (conversationHistory, inbox, counters)
+ *   events.jsonl       - every event broadcast to WebSocket clients, one per line
+ */
+class FileConversationStore {
+  constructor(baseDir) {
+    this.type = 'file';
+    this.baseDir = baseDir;
+    if (!existsSync(this.baseDir)) {
+      mkdirSync(this.baseDir, { recursive: true });
+    }
+  }
+
+  _conversationDir(conversationId) {
+    // Ids come from URLs, so keep them to a safe charset before touching the disk
+    if (!/^[\w-]+$/.test(String(conversationId))) {
+      throw new Error(`Invalid conversation id: ${conversationId}`);
+    }
+    return path.join(this.baseDir, String(conversationId));
+  }
+
+  _writeJson(filePath, data) {
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated file behind
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    renameSync(tmpPath, filePath);
+  }
+
+  _readJson(filePath) {
+    if (!existsSync(filePath)) return null;
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  }
+
+  saveConversation(conversationId, record) {
+    this._writeJson(path.join(this._conversationDir(conversationId), 'conversation.json'), { ...record, id: conversationId });
+  }
+
+  getConversation(conversationId) {
+    return this._readJson(path.join(this._conversationDir(conversationId), 'conversation.json'));
+  }
+
+  listConversations() {
+    const records = [];
+    for (const entry of readdirSync(this.baseDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      try {
+        const record = this.getConversation(entry.name);
+        if (record) records.push(record);
+      } catch (error) {
+        console.error(`⚠️  Skipping unreadable conversation ${entry.name}:`, error.message);
+      }
+    }
+    return records;
+  }
+
+  saveAgentState(conversationId, agentName, state) {
+    this._writeJson(path.join(this._conversationDir(conversationId), 'agents', `${agentName}.json`), state);
+  }
+
+  getAgentStates(conversationId) {
+    const agentsDir = path.join(this._conversationDir(conversationId), 'agents');
+    const states = {};
+    if (!existsSync(agentsDir)) return states;
+    for (const file of readdirSync(agentsDir)) {
+      if (!file.endsWith('.json')) continue;
+      states[path.basename(file, '.json')] = this._readJson(path.join(agentsDir, file));
+    }
+    return states;
+  }
+
+  appendEvent(conversationId, event) {
+    const eventsPath = path.join(this._conversationDir(conversationId), 'events.jsonl');
+    mkdirSync(path.dirname(eventsPath), { recursive: true });
+    appendFileSync(eventsPath, JSON.stringify(event) + '\n');
+  }
+
+  getEvents(conversationId) {
+    const eventsPath = path.join(this._conversationDir(conversationId), 'events.jsonl');
+    if (!existsSync(eventsPath)) return [];
+    const events = [];
+    for (const line of readFileSync(eventsPath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A crash can leave a partial last line - skip it
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * MemoryConversationStore - Same interface as FileConversationStore, nothing survives a restart
+ */
+class MemoryConversationStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new Map(); // conversationId -> { conversation, agents, events }
+  }
+
+  _entry(conversationId) {
+    if (!this.records.has(conversationId)) {
+      this.records.set(conversationId, { conversation: null, agents: {}, events: [] });
+    }
+    return this.records.get(conversationId);
+  }
+
+  saveConversation(conversationId, record) {
+    this._entry(conversationId).conversation = JSON.parse(JSON.stringify({ ...record, id: conversationId }));
+  }
+
+  getConversation(conversationId) {
+    return this.records.get(conversationId)?.conversation || null;
+  }
+
+  listConversations() {
+    return Array.from(this.records.values()).map(entry => entry.conversation).filter(Boolean);
+  }
+
+  saveAgentState(conversationId, agentName, state) {
+    this._entry(conversationId).agents[agentName] = JSON.parse(JSON.stringify(state));
+  }
+
+  getAgentStates(conversationId) {
+    return this.records.get(conversationId)?.agents || {};
+  }
+
+  appendEvent(conversationId, event) {
+    this._entry(conversationId).events.push(event);
+  }
+
+  getEvents(conversationId) {
+    return this.records.get(conversationId)?.events || [];
+  }
+}
+
+function createConversationStore(type) {
+  switch (type) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'file':
+      return new FileConversationStore(path.join(DATA_DIR, 'conversations'));
+    default:
+      throw new Error(`Unknown conversation store: ${type}. Use one of: file, memory`);
+  }
+}
+
+const DEFAULT_MODEL = 'gpt-5.1';
+
+// Estimated USD per million tokens. MODEL_PRICES_FILE points to a JSON file with the same shape whose entries replace these.
+const BUILT_IN_MODEL_PRICES = {
+  'gpt-5.1': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+  'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 }
+};
+
+/**
+ * Load the price table, with MODEL_PRICES_FILE's entries on top of the built-in ones. A file that
+ * cannot be read or has a malformed entry is reported and ignored instead of stopping the server.
+ */
+function loadModelPrices(file = process.env.MODEL_PRICES_FILE) {
+  if (!file) return { ...BUILT_IN_MODEL_PRICES };
+  try {
+    const prices = JSON.parse(readFileSync(file, 'utf-8'));
+    if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+      throw new Error('expected an object of model names to prices');
+    }
+    for (const [model, price] of Object.entries(prices)) {
+      const rates = ['input', 'output', ...(price?.cachedInput !== undefined ? ['cachedInput'] : [])];
+      if (!rates.every(rate => Number.isFinite(price?.[rate]) && price[rate] >= 0)) {
+        throw new Error(`"${model}" needs non-negative numbers for input and output (and cachedInput if given)`);
+      }
+    }
+    return { ...BUILT_IN_MODEL_PRICES, ...prices };
+  } catch (error) {
+    console.error(`❌ Ignoring MODEL_PRICES_FILE ${file}: ${error.message}. Using the built-in prices.`);
+    return { ...BUILT_IN_MODEL_PRICES };
+  }
+}
+
+const MODEL_PRICES = loadModelPrices();
+
+/**
+ * UsageMeter - Token counts and estimated cost of one conversation, per agent and in total
+ */
+class UsageMeter {
+  constructor(saved = null, prices = MODEL_PRICES) {
+    this.prices = prices;
+    this.total = { ...UsageMeter.empty(), ...saved?.total };
+    this.agents = new Map(Object.entries(saved?.agents || {}).map(([name, usage]) => [name, { ...UsageMeter.empty(), ...usage }]));
+  }
+
+  static empty() {
+    return { turns: 0, promptTokens: 0, cachedTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedTurns: 0 };
+  }
+
+  forAgent(name) {
+    if (!this.agents.has(name)) {
+      this.agents.set(name, UsageMeter.empty());
+    }
+    return this.agents.get(name);
+  }
+
+  /**
+   * Price entry of a model: its own, else the longest entry its name starts with, so dated
+   * snapshots like gpt-4o-2024-08-06 use the gpt-4o price. Null when nothing matches.
+   */
+  priceOf(model) {
+    if (!model) return null;
+    if (Object.hasOwn(this.prices, model)) return this.prices[model];
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Estimated cost of one call, or null when the model has no price. Cached prompt tokens are billed at the cached rate.
+   */
+  price(model, { promptTokens, cachedTokens, completionTokens }) {
+    const price = this.priceOf(model);
+    if (!price) return null;
+    const cost = (promptTokens - cachedTokens) * price.input + cachedTokens * (price.cachedInput ?? price.input) + completionTokens * price.output;
+    return Math.round(cost) / 1e6;
+  }
+
+  /**
+   * Add one model call's OpenAI-style usage to the agent and the total. Returns the call's own counts.
+   * The call is priced by the requested model, or by the model the API reports when that one has no price.
+   */
+  record(agentName, model, usage = {}, returnedModel = null) {
+    const turn = {
+      promptTokens: usage?.prompt_tokens || 0,
+      cachedTokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0
+    };
+    turn.totalTokens = usage?.total_tokens || turn.promptTokens + turn.completionTokens;
+    turn.costUsd = this.price(this.priceOf(model) ? model : returnedModel, turn);
+
+    for (const sum of [this.forAgent(agentName), this.total]) {
+      sum.turns++;
+      sum.promptTokens += turn.promptTokens;
+      sum.cachedTokens += turn.cachedTokens;
+      sum.completionTokens += turn.completionTokens;
+      sum.totalTokens += turn.totalTokens;
+      if (turn.costUsd === null) {
+        sum.unpricedTurns++;
+      } else {
+        sum.costUsd = Math.round((sum.costUsd + turn.costUsd) * 1e6) / 1e6;
+      }
+    }
+    return turn;
+  }
+
+  toJSON() {
+    return { total: this.total, agents: Object.fromEntries(this.agents) };
+  }
+}
+
+/**
+ * OpenAIProvider - Chat completions against the official OpenAI API
+ *
+ * Every provider exposes the same surface: createChatCompletion(request, context)
+ * takes OpenAI-style chat parameters and resolves to an OpenAI-style completion
+ * ({ choices: [{ message }], usage }), and describe() returns a JSON-safe summary.
+ */
+class OpenAIProvider {
+  constructor({ model = DEFAULT_MODEL, apiKey = process.env.OPENAI_API_KEY } = {}) {
+    this.type = 'openai';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.client = null;
+  }
+
+  _createClient() {
+    return new OpenAI({ apiKey: this.apiKey });
+  }
+
+  async createChatCompletion(request) {
+    // Create the client lazily so the server can boot without an API key
+    if (!this.client) {
+      this.client = this._createClient();
+    }
+    return this.client.chat.completions.create({
+      ...request,
+      model: request.model || this.model
+    });
+  }
+
+  describe() {
+    return { type: this.type, model: this.model };
+  }
+}
+
+/**
+ * OpenAICompatibleProvider - Any server speaking the OpenAI chat completions API
+ * (Ollama, vLLM, LM Studio, a local stub, another vendor's gateway, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ baseURL, model = DEFAULT_MODEL, apiKey } = {}) {
+    if (!baseURL) {
+      throw new Error('baseURL is required for the openai-compatible provider');
+    }
+    // The server's key only ever goes to the server's own endpoint
+    if (!apiKey && baseURL === process.env.LLM_BASE_URL) {
+      apiKey = process.env.LLM_API_KEY;
+    }
+    // Local servers usually ignore the key, but the OpenAI SDK refuses to start without one
+    super({ model, apiKey: apiKey || 'not-needed' });
+    this.type = 'openai-compatible';
+    this.baseURL = baseURL;
+  }
+
+  _createClient() {
+    return new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+  }
+
+  describe() {
+    return { ...super.describe(), baseURL: this.baseURL };
+  }
+}
+
+/**
+ * ScriptedProvider - Deterministic provider that replays canned responses per agent
+ *
+ * Script format: { "<agentName>": [ { content?, tool_calls?: [{ name, arguments }], usage? }, ... ] }
+ * usage is reported as the step's OpenAI-style token usage (default: none).
+ * Each agent turn consumes the next step. Once an agent's steps run out it answers
+ * with text only, which lets the agent complete normally.
+ */
+class ScriptedProvider {
+  constructor({ script = {}, model = 'scripted' } = {}) {
+    if (!script || typeof script !== 'object' || Array.isArray(script)) {
+      throw new Error('script must be an object keyed by agent name');
+    }
+    this.type = 'scripted';
+    this.model = model;
+    this.script = script;
+    this.cursors = new Map(); // agentName -> index of the next step
+  }
+
+  async createChatCompletion(request, { agentName } = {}) {
+    const steps = Array.isArray(this.script[agentName]) ? this.script[agentName] : [];
+    const stepIndex = this.cursors.get(agentName) || 0;
+    this.cursors.set(agentName, stepIndex + 1);
+
+    const step = steps[stepIndex] || { content: 'Done.' };
+    const toolCalls = (step.tool_calls || []).map((call, i) => ({
+      id: call.id || `call_${agentName}_${stepIndex}_${i}`,
+      type: 'function',
+      function: {
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }
+    }));
+
+    const message = { role: 'assistant', content: step.content ?? null };
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      id: `scripted-${agentName}-${stepIndex}`,
+      model: request.model || this.model,
+      choices: [{ index: 0, message, finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop' }],
+      usage: step.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+
+  describe() {
+    return { type: this.type, model: this.model, agents: Object.keys(this.script) };
+  }
+}
+
+/**
+ * RecordingProvider - Wraps another provider and keeps every request/response per agent
+ */
+class RecordingProvider {
+  constructor(inner) {
+    this.inner = inner;
+    this.type = inner.type;
+    this.model = inner.model;
+    this.agents = {}; // agentName -> [{ request, response, timestamp }]
+  }
+
+  async createChatCompletion(request, context = {}) {
+    const response = await this.inner.createChatCompletion(request, context);
+    const agentName = context.agentName || 'unknown';
+    if (!this.agents[agentName]) {
+      this.agents[agentName] = [];
+    }
+    // Deep copy: the agent mutates message arrays after the call returns
+    this.agents[agentName].push(JSON.parse(JSON.stringify({
+      request,
+      response,
+      timestamp: new Date().toISOString()
+    })));
+    return response;
+  }
+
+  describe() {
+    return { ...this.inner.describe(), recording: true };
+  }
+
+  toRecording(meta = {}) {
+    return {
+      version: 1,
+      ...meta,
+      provider: this.inner.describe(),
+      agents: this.agents
+    };
+  }
+}
+
+/**
+ * ReplayProvider - Feeds the responses of a stored recording back to the same agents, in order
+ */
+class ReplayProvider {
+  constructor({ recording } = {}) {
+    if (!recording || typeof recording.agents !== 'object') {
+      throw new Error('recording with an agents map is required for the replay provider');
+    }
+    this.type = 'replay';
+    this.model = recording.provider?.model || 'replay';
+    this.recording = recording;
+    this.cursors = new Map(); // agentName -> index of the next recorded turn
+  }
+
+  async createChatCompletion(request, { agentName } = {}) {
+    const turns = this.recording.agents[agentName] || [];
+    const turnIndex = this.cursors.get(agentName) || 0;
+    this.cursors.set(agentName, turnIndex + 1);
+
+    if (turnIndex >= turns.length) {
+      console.warn(`⚠️  [${agentName}] Replay has no recorded turn ${turnIndex + 1}, answering with text only`);
+      return {
+        id: `replay-${agentName}-${turnIndex}`,
+        model: this.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Done.' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+    }
+
+    // Hand out a copy so the recording stays pristine if the run is replayed again
+    return JSON.parse(JSON.stringify(turns[turnIndex].response));
+  }
+
+  describe() {
+    return { type: this.type, model: this.model, source: this.recording.conversationId || null };
+  }
+}
+
+function getRecordingPath(recordingId) {
+  if (!/^[\w-]+$/.test(String(recordingId))) {
+    throw new Error(`Invalid recording id: ${recordingId}`);
+  }
+  return path.join(RECORDINGS_DIR, `${recordingId}.json`);
+}
+
+function loadRecording(recordingId) {
+  const recordingPath = getRecordingPath(recordingId);
+  if (!existsSync(recordingPath)) {
+    throw new Error(`Recording not found: ${recordingId}`);
+  }
+  return JSON.parse(readFileSync(recordingPath, 'utf-8'));
+}
+
+function saveRecording(recordingId, recording) {
+  const recordingPath = getRecordingPath(recordingId);
+  if (!existsSync(RECORDINGS_DIR)) {
+    mkdirSync(RECORDINGS_DIR, { recursive: true });
+  }
+  writeFileSync(recordingPath, JSON.stringify(recording, null, 2));
+  return recordingPath;
+}
+
+/**
+ * Hash every workspace file so a replay can be checked against the recorded run
+ */
+function hashWorkspaceFiles(fileTools) {
+  const hashes = {};
+  for (const file of fileTools.listFiles('.').sort()) {
+    hashes[file] = createHash('sha256').update(readFileSync(path.join(fileTools.workspaceRoot, file))).digest('hex');
+  }
+  return hashes;
+}
+
+/**
+ * Build a provider from a plain config object (env defaults or a request body)
+ */
+function createProvider(config = {}) {
+  const { type = 'openai', model, baseURL, apiKey, script, scriptFile, recording, recordingId } = config;
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider({ model, apiKey });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ model, baseURL, apiKey });
+    case 'scripted': {
+      const resolvedScript = script || (scriptFile ? JSON.parse(readFileSync(scriptFile, 'utf-8')) : {});
+      return new ScriptedProvider({ model, script: resolvedScript });
+    }
+    case 'replay':
+      return new ReplayProvider({ recording: recording || (recordingId ? loadRecording(recordingId) : null) });
+    default:
+      throw new Error(`Unknown provider type: ${type}. Use one of: openai, openai-compatible, scripted, replay`);
+  }
+}
+
+// Provider used when /start-conversation does not pick one
+const DEFAULT_PROVIDER_CONFIG = {
+  type: process.env.LLM_PROVIDER || 'openai',
+  model: process.env.LLM_MODEL || undefined,
+  baseURL: process.env.LLM_BASE_URL || undefined,
+  apiKey: process.env.LLM_API_KEY || undefined,
+  scriptFile: process.env.LLM_SCRIPT_FILE || undefined,
+  recordingId: process.env.LLM_RECORDING_ID || undefined
+};
+
+// Record every run when LLM_RECORD=true, otherwise only when /start-conversation asks for it
+const RECORD_BY_DEFAULT = process.env.LLM_RECORD === 'true';
+
+const commandSandbox = new CommandSandbox();
+
+// Per-conversation workspaces, each with its own lock manager
+const workspaces = new Map(); // conversationId -> FileSystemTools
+
+function getWorkspacePath(conversationId) {
+  if (!/^[\w-]+$/.test(String(conversationId))) {
+    throw new Error(`Invalid conversation id: ${conversationId}`);
+  }
+  return path.resolve(PROJECT_WORKSPACE, String(conversationId));
+}
+
+/**
+ * Get (or lazily open) the file tools scoped to a conversation's workspace
+ */
+function getWorkspaceTools(conversationId) {
+  if (!workspaces.has(conversationId)) {
+    const workspaceRoot = getWorkspacePath(conversationId);
+    if (!existsSync(workspaceRoot)) {
+      mkdirSync(workspaceRoot, { recursive: true });
+    }
+    // The change journal lives next to the workspace, out of the agents' reach
+    const journalPath = path.join(PROJECT_WORKSPACE, '.journals', `${conversationId}.jsonl`);
+    const lockManager = new FileLockManager({
+      onEvent: event => broadcastToConversation(conversationId, { ...event, timestamp: new Date().toISOString() })
+    });
+    workspaces.set(conversationId, new FileSystemTools(lockManager, workspaceRoot, { journalPath }));
+  }
+  return workspaces.get(conversationId);
+}
+
+const workspaceWatchers = new Map(); // conversationId -> { watcher, users }
+
+/**
+ * Watch a conversation's workspace for outside changes while a run or a client needs it.
+ * Returns a function that gives the watch up again; the watcher stops with its last user.
+ */
+function watchWorkspace(conversationId) {
+  if (!workspaceWatchers.has(conversationId)) {
+    const fileTools = getWorkspaceTools(conversationId);
+    const watcher = new WorkspaceWatcher(fileTools, {
+      onChange: ({ path: filePath, change }) => {
+        console.log(`👀 ${filePath} ${change} outside the agent tools (conversation ${conversationId})`);
+        broadcastToConversation(conversationId, {
+          type: `file:${change}`,
+          agent: null,
+          source: 'external',
+          path: filePath,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+    watcher.start();
+    fileTools.watcher = watcher;
+    workspaceWatchers.set(conversationId, { watcher, users: 0 });
+  }
+
+  const entry = workspaceWatchers.get(conversationId);
+  entry.users++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--entry.users === 0) {
+      entry.watcher.stop();
+      getWorkspaceTools(conversationId).watcher = null;
+      workspaceWatchers.delete(conversationId);
+    }
+  };
+}
+
+const app = express();
+const port = process.env.PORT || 3000;
+const server = http.createServer(app);
+
+// Initialize WebSocket Server
+const wss = new WebSocketServer({ noServer: true });
+const conversationClients = new Map(); // conversationId -> Set of ws clients
+
+server.on('upgrade', (request, socket, head) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const conversationId = url.searchParams.get('conversationId');
+
+  if (url.pathname === '/ws' && conversationId) {
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, conversationId);
+    });
+  } else {
+    socket.destroy();
+  }
+});
+
+wss.on('connection', (ws, request, conversationId) => {
+  console.log(`🔌 WebSocket connected for conversation ${conversationId}`);
+  
+  if (!conversationClients.has(conversationId)) {
+    conversationClients.set(conversationId, new Set());
+  }
+  conversationClients.get(conversationId).add(ws);
+  // Connected clients get file:* events for changes made outside the agent tools too
+  const unwatch = conversations.has(conversationId) ? watchWorkspace(conversationId) : () => {};
+
+  // Clients can talk back: { type: 'user:message', agent, message } lands in that agent's inbox,
+  // { type: 'tool:approval', approvalId, decision, reason } answers a pending approval
+  ws.on('message', (raw) => {
+    let data;
+    try {
+      data = JSON.parse(raw.toString());
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON message', timestamp: new Date().toISOString() }));
+      return;
+    }
+
+    if (data.type === 'user:message') {
+      const result = sendUserMessage(conversationId, data.agent, data.message);
+      if (result.error) {
+        ws.send(JSON.stringify({
+          type: 'user:message:error',
+          agent: data.agent,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    } else if (data.type === 'tool:approval') {
+      const result = decideApproval(conversationId, data.approvalId, data.decision, data.reason);
+      if (result.error) {
+        ws.send(JSON.stringify({
+          type: 'tool:approval:error',
+          approvalId: data.approvalId,
+          error: result.error,
+          timestamp: new Date().toISOString()
+        }));
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    console.log(`🔌 WebSocket disconnected for conversation ${conversationId}`);
+    unwatch();
+    if (conversationClients.has(conversationId)) {
+      conversationClients.get(conversationId).delete(ws);
+      if (conversationClients.get(conversationId).size === 0) {
+        conversationClients.delete(conversationId);
+      }
+    }
+  });
+});
+
+function broadcastToConversation(conversationId, event) {
+  // Keep the event stream of known conversations so it can be inspected after a restart
+  if (conversations.has(conversationId)) {
+    try {
+      conversationStore.appendEvent(conversationId, event);
+    } catch (error) {
+      console.error(`⚠️  Failed to persist event for ${conversationId}:`, error.message);
+    }
+  }
+
+  const clients = conversationClients.get(conversationId);
+  if (clients) {
+    const message = JSON.stringify(event);
+    clients.forEach(client => {
+      if (client.readyState === 1) { // WebSocket.OPEN
+        client.send(message);
+      }
+    });
+  }
+}
+
+// Middleware
+app.use(express.json());
+app.use(express.static(__dirname));
+
+// Enable CORS for local development
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  next();
+});
+
+// Store conversation history (in-memory view of the persistent store)
+const conversationStore = createConversationStore(process.env.CONVERSATION_STORE || 'file');
+const conversations = new Map(); // conversationId -> conversation record
+const conversationControls = new Map(); // conversationId -> { resolve, timeoutId } while running
+
+function persistConversation(conversationId) {
+  const record = conversations.get(conversationId);
+  if (!record) return;
+  try {
+    conversationStore.saveConversation(conversationId, record);
+  } catch (error) {
+    console.error(`⚠️  Failed to persist conversation ${conversationId}:`, error.message);
+  }
+}
+
+// Reload past conversations; runs that were active when the server stopped can no longer progress
+for (const record of conversationStore.listConversations()) {
+  const { id, ...data } = record;
+  if (data.status === 'active') {
+    data.status = 'interrupted';
+  }
+  conversations.set(id, data);
+  if (record.status === 'active') {
+    persistConversation(id);
+  }
+}
+if (conversations.size > 0) {
+  console.log(`📚 Loaded ${conversations.size} conversation(s) from ${conversationStore.type} store`);
+}
+
+// Load agent prompts from files
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+const TOOLS_USAGE = readFileSync(path.join(PROMPTS_DIR, 'tools-usage.txt'), 'utf-8');
+
+// Task board statuses and priorities, and the tools that only exist once a board is in use
+const TASK_STATUSES = ['todo', 'in_progress', 'blocked', 'done'];
+const TASK_PRIORITIES = ['high', 'normal', 'low'];
+const TASK_TOOLS = ['create_tasks', 'list_tasks', 'claim_task', 'update_task'];
+
+// Tool definitions offered to every agent. talk is built per agent (see Agent._getToolDefinitions)
+// because its recipients depend on the team.
+const TOOL_DEFINITIONS = [
+  {
+    name: 'read_message',
+    description: 'Read the most recent message from your inbox queue.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    }
+  },
+  {
+    name: 'create_file',
+    description: 'CREATE a new file NOW. Put the complete file content in the content parameter. DO NOT describe it in text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path like "backend/server.js" or "Dockerfile"'
+        },
+        content: {
+          type: 'string',
+          description: 'Complete file content - NOT a description, the ACTUAL code/config'
+        },
+        encoding: {
+          type: 'string',
+          enum: ['utf-8', 'base64'],
+          description: 'Use "base64" to create a binary file such as an image from base64 content. Default "utf-8"'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file of an existing file to replace it completely; fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'read_file',
+    description: 'READ a file to see what it contains. For large files, pass offset and limit to read only some lines. Binary files can only be read with encoding "base64".',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path to read'
+        },
+        offset: {
+          type: 'integer',
+          description: 'First line to read (1-based). Optional'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum number of lines to read. Optional'
+        },
+        encoding: {
+          type: 'string',
+          enum: ['utf-8', 'base64'],
+          description: 'Use "base64" to read a binary file. Optional'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'search_files',
+    description: 'SEARCH file contents for text, or a regular expression with regex: true. Returns matching lines as path:line: text.',
+    parameters: {
+      type: 'object',
+      properties: {
+        pattern: {
+          type: 'string',
+          description: 'Text to find, e.g. "app.get(" or "PORT", or with regex: true a regular expression, e.g. "app\\.(get|post)\\("'
+        },
+        regex: {
+          type: 'boolean',
+          description: 'Treat pattern as a JavaScript regular expression. Defaults to false'
+        },
+        glob: {
+          type: 'string',
+          description: 'Only search files matching this glob, e.g. "*.js" or "backend/**". Optional'
+        },
+        case_sensitive: {
+          type: 'boolean',
+          description: 'Defaults to true'
+        }
+      },
+      required: ['pattern']
+    }
+  },
+  {
+    name: 'find_files',
+    description: 'FIND files by name with a glob. "*.js" matches at any depth; "backend/**/*.js" matches a path.',
+    parameters: {
+      type: 'object',
+      properties: {
+        glob: {
+          type: 'string',
+          description: 'Glob pattern'
+        }
+      },
+      required: ['glob']
+    }
+  },
+  {
+    name: 'str_replace',
+    description: 'MODIFY an existing file by replacing text. old_string must match exactly ONCE; include surrounding lines to make it unique, or set replace_all to change every occurrence.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to modify'
+        },
+        old_string: {
+          type: 'string',
+          description: 'Exact text to find'
+        },
+        new_string: {
+          type: 'string',
+          description: 'Replacement text'
+        },
+        replace_all: {
+          type: 'boolean',
+          description: 'Replace every occurrence instead of requiring exactly one'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file; the edit fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path', 'old_string', 'new_string']
+    }
+  },
+  {
+    name: 'multi_edit',
+    description: 'MODIFY one file with several exact replacements, applied in order. Either all edits succeed or the file is left unchanged.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to modify'
+        },
+        edits: {
+          type: 'array',
+          description: 'Replacements, each with the same rules as str_replace',
+          items: {
+            type: 'object',
+            properties: {
+              old_string: { type: 'string', description: 'Exact text to find' },
+              new_string: { type: 'string', description: 'Replacement text' },
+              replace_all: { type: 'boolean', description: 'Replace every occurrence' }
+            },
+            required: ['old_string', 'new_string']
+          }
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file; the edit fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path', 'edits']
+    }
+  },
+  {
+    name: 'insert_at_line',
+    description: 'INSERT text before a line of an existing file (1-based). Use line = number of lines + 1 to append.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to modify'
+        },
+        line: {
+          type: 'integer',
+          description: 'Line number the text is inserted before'
+        },
+        content: {
+          type: 'string',
+          description: 'Text to insert (one or more lines)'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file; the edit fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path', 'line', 'content']
+    }
+  },
+  {
+    name: 'replace_lines',
+    description: 'REPLACE a range of lines (1-based, inclusive) of an existing file. Empty content deletes the lines.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to modify'
+        },
+        start_line: {
+          type: 'integer',
+          description: 'First line to replace'
+        },
+        end_line: {
+          type: 'integer',
+          description: 'Last line to replace'
+        },
+        content: {
+          type: 'string',
+          description: 'Replacement text (one or more lines)'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file; the edit fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path', 'start_line', 'end_line', 'content']
+    }
+  },
+  {
+    name: 'apply_patch',
+    description: 'APPLY a unified diff ("--- a/path", "+++ b/path", "@@ ... @@" hunks). Can create (--- /dev/null), modify and delete (+++ /dev/null) several files at once; applies completely or not at all.',
+    parameters: {
+      type: 'object',
+      properties: {
+        patch: {
+          type: 'string',
+          description: 'Unified diff text'
+        },
+        expected_version: {
+          type: 'object',
+          description: 'Versions from read_file by path, e.g. {"backend/app.js": "3f9a1c0b7d2e"}; the patch fails with a conflict if any of them changed since',
+          additionalProperties: { type: 'string' }
+        }
+      },
+      required: ['patch']
+    }
+  },
+  {
+    name: 'list_files',
+    description: 'LIST all files in a directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        directory: {
+          type: 'string',
+          description: 'Directory path like "." or "backend/"'
+        }
+      },
+      required: ['directory']
+    }
+  },
+  {
+    name: 'delete_file',
+    description: 'DELETE a file from the workspace. Path must be within the project workspace. Cannot delete directories.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File path to delete, e.g., "backend/server.js" or "frontend/index.html"'
+        },
+        expected_version: {
+          type: 'string',
+          description: 'Version from read_file; the edit fails with a conflict if the file changed since'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'review_change',
+    description: 'ACCEPT or REJECT a change request another agent sent for files you own. Accepting applies their change as you.',
+    parameters: {
+      type: 'object',
+      properties: {
+        request_id: {
+          type: 'string',
+          description: 'Id from the CHANGE REQUEST message, e.g. "change-backend-1"'
+        },
+        decision: {
+          type: 'string',
+          enum: ['accept', 'reject'],
+          description: 'Your decision'
+        },
+        reason: {
+          type: 'string',
+          description: 'Short explanation sent back to the requester'
+        }
+      },
+      required: ['request_id', 'decision']
+    }
+  },
+  {
+    name: 'lock_file',
+    description: 'LOCK a file before a multi-step change so other agents cannot modify it meanwhile. "write" is exclusive; "read" is shared and only blocks writers. Waits briefly if another agent holds it. The lock is a lease that expires; release it with unlock_file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to lock (it does not have to exist yet)'
+        },
+        mode: {
+          type: 'string',
+          enum: ['write', 'read'],
+          description: 'Lock mode (default "write")'
+        },
+        lease_seconds: {
+          type: 'integer',
+          description: 'How long the lock lasts unless released; capped at 600'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'unlock_file',
+    description: 'UNLOCK a file you locked with lock_file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'File to unlock'
+        }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'create_tasks',
+    description: 'PLAN work as tasks on the shared task board (coordinator only). Each owner is told about their tasks.',
+    parameters: {
+      type: 'object',
+      properties: {
+        tasks: {
+          type: 'array',
+          description: 'Tasks to add',
+          items: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                description: 'Optional short id like "api-routes", so tasks in this call can depend on each other (default task-N)'
+              },
+              title: {
+                type: 'string',
+                description: 'What has to be done, in a few words'
+              },
+              description: {
+                type: 'string',
+                description: 'Details the owner needs'
+              },
+              owner: {
+                type: 'string',
+                description: 'Team member who does the task'
+              },
+              depends_on: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Ids of tasks that must be done first'
+              },
+              acceptance_criteria: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Checks that tell when the task is done'
+              },
+              priority: {
+                type: 'string',
+                enum: TASK_PRIORITIES,
+                description: 'Priority (default "normal")'
+              }
+            },
+            required: ['title', 'owner']
+          }
+        }
+      },
+      required: ['tasks']
+    }
+  },
+  {
+    name: 'list_tasks',
+    description: 'LIST the tasks on the shared task board with their owner, status and dependencies, highest priority first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        owner: {
+          type: 'string',
+          description: 'Only tasks of this team member'
+        },
+        status: {
+          type: 'string',
+          enum: TASK_STATUSES,
+          description: 'Only tasks with this status'
+        }
+      }
+    }
+  },
+  {
+    name: 'claim_task',
+    description: 'CLAIM a task assigned to you before working on it. Fails while its dependencies are not done.',
+    parameters: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'Id of the task, e.g. "task-1"'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  {
+    name: 'update_task',
+    description: 'UPDATE a task: set its status ("done" once the acceptance criteria are met, "blocked" when you cannot continue) and/or add a note. The coordinator can also reassign or reprioritise it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'Id of the task'
+        },
+        status: {
+          type: 'string',
+          enum: TASK_STATUSES,
+          description: 'New status'
+        },
+        note: {
+          type: 'string',
+          description: 'What you did, or why the task is blocked'
+        },
+        owner: {
+          type: 'string',
+          description: 'New owner (coordinator only)'
+        },
+        priority: {
+          type: 'string',
+          enum: TASK_PRIORITIES,
+          description: 'New priority (coordinator only)'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  {
+    name: 'run_command',
+    description: 'RUN a shell command in the project workspace, e.g. "node backend/server.test.js" or "npm test". Every command in the line must start with an allowed binary, there is no network access and npm works offline from a cache. Files the command writes are not journaled, locked, owned or approved like tool edits. Returns the exit code and output.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: {
+          type: 'string',
+          description: 'Command line; every command in it (between ;, &&, || and |) must start with an allowed binary such as node, npm or sh'
+        },
+        cwd: {
+          type: 'string',
+          description: 'Directory to run in, relative to the workspace (default ".")'
+        },
+        timeout_seconds: {
+          type: 'integer',
+          description: 'Time limit in seconds; capped by the server limit'
+        }
+      },
+      required: ['command']
+    }
+  }
+];
+const KNOWN_TOOLS = ['talk', ...TOOL_DEFINITIONS.map(fn => fn.name)];
+
+// Team definitions: which agents take part in a conversation, their prompts, folders and tools
+const TEAMS_DIR = process.env.TEAMS_DIR || path.join(__dirname, 'teams');
+const DEFAULT_TEAM = process.env.DEFAULT_TEAM || 'default';
+const RESERVED_AGENT_NAMES = ['user', 'system'];
+// What happens when an agent writes a file another agent owns
+const OWNERSHIP_MODES = ['off', 'deny', 'request'];
+// A coordinator plans the work on a task board; workers do it
+const AGENT_ROLES = ['worker', 'coordinator'];
+
+function readTeamFile(teamName) {
+  if (!/^[\w-]+$/.test(teamName)) {
+    throw new Error(`Invalid team name: ${teamName}`);
+  }
+  const teamPath = path.join(TEAMS_DIR, `${teamName}.json`);
+  if (!existsSync(teamPath)) {
+    throw new Error(`Team not found: ${teamName}`);
+  }
+  return JSON.parse(readFileSync(teamPath, 'utf-8'));
+}
+
+/**
+ * Validate a team definition and fill in defaults. Throws with a readable message on bad input.
+ */
+function validateTeam(definition) {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.agents) || definition.agents.length === 0) {
+    throw new Error('Team must have a non-empty agents array');
+  }
+
+  const names = new Set();
+  const agents = definition.agents.map((agent, index) => {
+    const name = agent?.name;
+    if (typeof name !== 'string' || !/^[a-z][\w-]*$/.test(name)) {
+      throw new Error(`Agent ${index + 1} needs a lowercase name (letters, digits, - or _)`);
+    }
+    if (RESERVED_AGENT_NAMES.includes(name)) {
+      throw new Error(`Agent name '${name}' is reserved`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate agent name: ${name}`);
+    }
+    names.add(name);
+
+    if (typeof agent.prompt !== 'string' || path.basename(agent.prompt) !== agent.prompt || !existsSync(path.join(PROMPTS_DIR, agent.prompt))) {
+      throw new Error(`Agent '${name}' must reference a prompt file in prompts/ (got ${JSON.stringify(agent.prompt)})`);
+    }
+
+    const folders = agent.folders ?? [];
+    if (!Array.isArray(folders) || folders.some(folder => typeof folder !== 'string' || !folder || folder.startsWith('/') || folder.split(/[\\/]/).includes('..'))) {
+      throw new Error(`Agent '${name}' folders must be relative paths inside the workspace`);
+    }
+
+    if (agent.tools != null) {
+      if (!Array.isArray(agent.tools)) {
+        throw new Error(`Agent '${name}' tools must be an array`);
+      }
+      const unknown = agent.tools.filter(tool => !KNOWN_TOOLS.includes(tool));
+      if (unknown.length > 0) {
+        throw new Error(`Agent '${name}' has unknown tools: ${unknown.join(', ')}. Known tools: ${KNOWN_TOOLS.join(', ')}`);
+      }
+    }
+
+    if (agent.maxTalkCalls !== undefined && !(Number.isInteger(agent.maxTalkCalls) && agent.maxTalkCalls > 0)) {
+      throw new Error(`Agent '${name}' maxTalkCalls must be a positive integer`);
+    }
+
+    const owns = agent.owns ?? [];
+    if (!Array.isArray(owns) || owns.some(pattern => typeof pattern !== 'string' || !pattern || pattern.startsWith('/') || pattern.split(/[\\/]/).includes('..'))) {
+      throw new Error(`Agent '${name}' owns must be a list of workspace-relative globs`);
+    }
+
+    const role = agent.role ?? 'worker';
+    if (!AGENT_ROLES.includes(role)) {
+      throw new Error(`Agent '${name}' role must be one of: ${AGENT_ROLES.join(', ')}`);
+    }
+
+    return {
+      name,
+      prompt: agent.prompt,
+      folders: folders.map(folder => folder.replace(/\/+$/, '')),
+      model: agent.model || null,
+      maxTalkCalls: agent.maxTalkCalls || null, // null: the run policy's maxTalkCalls
+      tools: agent.tools || null,
+      owns,
+      role
+    };
+  });
+
+  const coordinators = agents.filter(agent => agent.role === 'coordinator');
+  if (coordinators.length > 1) {
+    throw new Error(`A team can have only one coordinator (got ${coordinators.map(agent => agent.name).join(', ')})`);
+  }
+  if (coordinators.length === 1 && agents.length === 1) {
+    throw new Error('A coordinator needs at least one other agent to assign tasks to');
+  }
+
+  const ownership = definition.ownership ?? 'off';
+  if (!OWNERSHIP_MODES.includes(ownership)) {
+    throw new Error(`Team ownership must be one of: ${OWNERSHIP_MODES.join(', ')}`);
+  }
+
+  return {
+    name: definition.name || 'custom',
+    description: definition.description || '',
+    ownership,
+    coordinator: coordinators[0]?.name || null,
+    agents
+  };
+}
+
+/**
+ * Load a team by name (teams/<name>.json) or validate an inline definition
+ */
+function loadTeam(team = DEFAULT_TEAM) {
+  return validateTeam(typeof team === 'string' ? readTeamFile(team) : team);
+}
+
+function listTeams() {
+  if (!existsSync(TEAMS_DIR)) return [];
+  return readdirSync(TEAMS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const teamName = file.replace(/\.json$/, '');
+      try {
+        const team = loadTeam(teamName);
+        return { name: teamName, description: team.description, agents: team.agents.map(agent => agent.name), coordinator: team.coordinator };
+      } catch (error) {
+        return { name: teamName, error: error.message };
+      }
+    });
+}
+
+// Prompt files are read per conversation so edits apply without restarting the server
+function loadAgentPrompt(agentConfig, ownership = null, taskBoard = null) {
+  let prompt = readFileSync(path.join(PROMPTS_DIR, agentConfig.prompt), 'utf-8') + '\n\n' + TOOLS_USAGE;
+  if (agentConfig.tools) {
+    prompt += `\n\nNOTE: In this team you can only use these tools: ${agentConfig.tools.join(', ')}.\n`;
+  }
+  if (ownership?.enabled) {
+    prompt += ownership.describeFor(agentConfig.name);
+  }
+  if (taskBoard) {
+    prompt += taskBoard.describeFor(agentConfig.name);
+  }
+  return prompt;
+}
+
+// Tools that change workspace files; path patterns in an approval policy apply to these
+const FILE_WRITE_TOOLS = ['create_file', 'str_replace', 'multi_edit', 'insert_at_line', 'replace_lines', 'delete_file'];
+
+/**
+ * Workspace files a tool call would change (every file of an apply_patch), or [] for other tools
+ */
+function filePathsForToolCall(toolName, args = {}) {
+  if (toolName === 'apply_patch') {
+    try {
+      return parseUnifiedDiff(args.patch || '').map(filePatch => filePatch.newPath || filePatch.oldPath);
+    } catch (error) {
+      return []; // A malformed patch fails on its own without touching any file
+    }
+  }
+  return FILE_WRITE_TOOLS.includes(toolName) && args.path ? [args.path] : [];
+}
+
+/**
+ * Run a file-changing tool call (one of FILE_WRITE_TOOLS or apply_patch) and return its result message
+ */
+function applyFileToolCall(fileTools, agentName, toolName, args, context) {
+  context = { ...context, expectedVersion: args.expected_version || null };
+  switch (toolName) {
+    case 'create_file':
+      return fileTools.createFile(agentName, args.path, args.content, { ...context, encoding: args.encoding || 'utf-8' });
+    case 'str_replace':
+      return fileTools.strReplace(agentName, args.path, args.old_string, args.new_string, { ...context, replaceAll: !!args.replace_all });
+    case 'multi_edit':
+      return fileTools.multiEdit(agentName, args.path, args.edits, context);
+    case 'insert_at_line':
+      return fileTools.insertAtLine(agentName, args.path, args.line, args.content, context);
+    case 'replace_lines':
+      return fileTools.replaceLines(agentName, args.path, args.start_line, args.end_line, args.content, context);
+    case 'apply_patch':
+      return fileTools.applyPatch(agentName, args.patch, context);
+    case 'delete_file':
+      return fileTools.deleteFile(agentName, args.path, context);
+    default:
+      throw new Error(`Not a file-changing tool: ${toolName}`);
+  }
+}
+
+/**
+ * Convert a glob like "backend/**" or "*.env" to a RegExp over workspace-relative paths.
+ * "**" crosses folders, "*" and "?" do not; a trailing "/" matches everything below that folder.
+ */
+function globToRegExp(pattern) {
+  const normalized = pattern.endsWith('/') ? `${pattern}**` : pattern;
+  let source = '';
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (normalized[i + 1] === '/') i++; // "a/**/b" also matches "a/b"
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function normalizeWorkspacePath(filePath) {
+  return path.posix.normalize(String(filePath).replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+}
+
+/**
+ * Validate an approval policy: { tools: [...], paths: [...] }. Throws with a readable message on bad input.
+ */
+function validateApprovalPolicy(policy) {
+  if (!policy) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('approvalPolicy must be an object like { "tools": ["delete_file"], "paths": ["Dockerfile"] }');
+  }
+
+  const tools = policy.tools ?? [];
+  const paths = policy.paths ?? [];
+  if (!Array.isArray(tools) || !Array.isArray(paths)) {
+    throw new Error('approvalPolicy tools and paths must be arrays');
+  }
+  const unknown = tools.filter(tool => !KNOWN_TOOLS.includes(tool));
+  if (unknown.length > 0) {
+    throw new Error(`approvalPolicy has unknown tools: ${unknown.join(', ')}. Known tools: ${KNOWN_TOOLS.join(', ')}`);
+  }
+  if (paths.some(pattern => typeof pattern !== 'string' || !pattern)) {
+    throw new Error('approvalPolicy paths must be non-empty glob strings');
+  }
+
+  return tools.length || paths.length ? { tools, paths } : null;
+}
+
+// Limits of a run. null means no limit; maxTalkCalls applies to agents whose team entry sets none.
+const DEFAULT_RUN_POLICY = {
+  timeoutMs: 180000, // Wall-clock limit of the whole run (3 minutes)
+  idleMs: 20000, // An agent idle this long gets nudged
+  nudgeIntervalMs: 15000, // How often idle agents are checked; 0 turns nudges off
+  nudgeMessage: `You've been idle for a while. What are your next steps?
+          
+- If you're waiting for another agent's response: Check their files with list_files() or read_file() instead of waiting. They may have already created what you need.
+- If you have more work to do: Continue implementing. Use create_file() to write more files.
+- If you asked a question and are waiting: DON'T WAIT. Make reasonable assumptions and keep building.
+- If you're truly done with your work: Mark yourself as complete.
+
+Remember: Your goal is to deliver a COMPLETE implementation, not a partial one. If you've only created 1-2 files, you're probably not done yet.`,
+  maxTalkCalls: 30,
+  maxTurns: null, // Model calls per agent
+  maxToolCalls: null, // Tool calls per agent
+  maxCompletionTokens: 1500, // Per model call
+  maxTokens: null, // Prompt and completion tokens per agent, as reported by the provider
+  maxCostUsd: null, // Estimated cost per agent
+  maxTotalTokens: null, // Tokens of all agents together
+  maxTotalCostUsd: null, // Estimated cost of all agents together
+  textOnlyLimit: 2, // Consecutive answers without a tool call before an agent counts as done
+  maxContextTokens: 100000, // Estimated prompt size an agent's messages are kept under
+  toolResultChars: 4000 // Older tool results are cut to this many characters in the prompt
+};
+
+// [min, max, may be null, whole numbers only] of the numeric run policy fields
+const RUN_POLICY_RANGES = {
+  timeoutMs: [1000, 24 * 60 * 60 * 1000, false],
+  idleMs: [1000, 60 * 60 * 1000, false],
+  nudgeIntervalMs: [0, 60 * 60 * 1000, false],
+  maxTalkCalls: [1, 10000, false],
+  maxTurns: [1, 10000, true],
+  maxToolCalls: [1, 100000, true],
+  maxCompletionTokens: [16, 200000, false],
+  maxTokens: [1, 1000000000, true],
+  maxCostUsd: [0, 100000, true, false],
+  maxTotalTokens: [1, 1000000000, true],
+  maxTotalCostUsd: [0, 100000, true, false],
+  textOnlyLimit: [1, 10, false],
+  maxContextTokens: [4000, 2000000, false],
+  toolResultChars: [200, 1000000, false]
+};
+
+/**
+ * Validate a run policy and fill in the defaults for the fields it leaves out. Throws with a readable message on bad input.
+ */
+function validateRunPolicy(policy, base = DEFAULT_RUN_POLICY) {
+  if (policy == null) return { ...base };
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('runPolicy must be an object like { "timeoutMs": 600000, "maxTurns": 40 }');
+  }
+  const unknown = Object.keys(policy).filter(key => !Object.hasOwn(DEFAULT_RUN_POLICY, key));
+  if (unknown.length > 0) {
+    throw new Error(`runPolicy has unknown fields: ${unknown.join(', ')}. Known fields: ${Object.keys(DEFAULT_RUN_POLICY).join(', ')}`);
+  }
+
+  const effective = { ...base };
+  for (const [key, value] of Object.entries(policy)) {
+    if (key === 'nudgeMessage') {
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error('runPolicy.nudgeMessage must be a non-empty string');
+      }
+    } else {
+      const [min, max, nullable, integer = true] = RUN_POLICY_RANGES[key];
+      const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+      if (!(value === null && nullable) && !(valid && value >= min && value <= max)) {
+        throw new Error(`runPolicy.${key} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}${nullable ? ', or null for no limit' : ''}`);
+      }
+    }
+    effective[key] = value;
+  }
+  return effective;
+}
+
+/**
+ * Cost caps can only be enforced when every agent's model has a price. Throws naming the models that have none.
+ */
+function checkCostCapsPriced(runPolicy, team, provider) {
+  if (runPolicy.maxCostUsd === null && runPolicy.maxTotalCostUsd === null) return;
+  const meter = new UsageMeter();
+  const unpriced = [...new Set(team.agents.map(agent => agent.model || provider.model))].filter(model => !meter.priceOf(model));
+  if (unpriced.length > 0) {
+    throw new Error(`maxCostUsd and maxTotalCostUsd need a price for every agent's model, but ${unpriced.join(', ')} has none. Add it to MODEL_PRICES_FILE or cap tokens with maxTokens instead`);
+  }
+}
+
+/**
+ * Rough token count of a text or chat message, at about 4 characters per token. Close enough to
+ * budget a prompt without a tokenizer for every model.
+ */
+function estimateTokens(value) {
+  if (!value) return 0;
+  if (typeof value === 'string') return Math.ceil(value.length / 4);
+  return 4 + estimateTokens(value.content) + (value.tool_calls ? estimateTokens(JSON.stringify(value.tool_calls)) : 0);
+}
+
+/**
+ * ToolApprovalGate - Holds tool calls that match a conversation's approval policy until a human approves or denies them
+ */
+class ToolApprovalGate {
+  constructor(policy = null) {
+    this.policy = policy;
+    this.pathMatchers = (policy?.paths || []).map(globToRegExp);
+    this.pending = new Map(); // approvalId -> { request, resolve }
+    this.nextId = 1;
+  }
+
+  requiresApproval(toolName, args = {}) {
+    if (!this.policy) return false;
+    if (this.policy.tools.includes(toolName)) return true;
+    return filePathsForToolCall(toolName, args).some(filePath => this.pathMatchers.some(matcher => matcher.test(normalizeWorkspacePath(filePath))));
+  }
+
+  /**
+   * Register a pending call. The returned decision resolves to { approved, reason } once decide() is called.
+   */
+  request({ agent, tool, args }) {
+    const approvalId = `approval-${this.nextId++}`;
+    const request = { approvalId, agent, tool, path: args.path || null, args, requestedAt: new Date().toISOString() };
+    const decision = new Promise((resolve) => {
+      this.pending.set(approvalId, { request, resolve });
+    });
+    return { approvalId, decision };
+  }
+
+  decide(approvalId, approved, reason = null) {
+    const entry = this.pending.get(approvalId);
+    if (!entry) return null;
+    this.pending.delete(approvalId);
+    entry.resolve({ approved, reason });
+    return entry.request;
+  }
+
+  listPending() {
+    return Array.from(this.pending.values()).map(entry => entry.request);
+  }
+
+  // Deny everything still waiting, e.g. when the conversation ends
+  cancelAll(reason) {
+    for (const approvalId of Array.from(this.pending.keys())) {
+      this.decide(approvalId, false, reason);
+    }
+  }
+}
+
+/**
+ * OwnershipRules - Which agent owns which workspace paths, from the `owns` globs of a team.
+ * Paths nobody owns are shared; owned paths may only be written by their owners.
+ */
+class OwnershipRules {
+  constructor(team) {
+    this.mode = team.ownership || 'off';
+    this.rules = team.agents
+      .filter(agent => agent.owns?.length > 0)
+      .map(agent => ({ agent: agent.name, patterns: agent.owns, matchers: agent.owns.map(globToRegExp) }));
+  }
+
+  get enabled() {
+    return this.mode !== 'off' && this.rules.length > 0;
+  }
+
+  ownersOf(filePath) {
+    const normalized = normalizeWorkspacePath(filePath);
+    return this.rules.filter(rule => rule.matchers.some(matcher => matcher.test(normalized))).map(rule => rule.agent);
+  }
+
+  /**
+   * Files of a tool call that agentName may not write, grouped by owner: Map(owner -> [paths]).
+   * Empty when the call is allowed.
+   */
+  blockedWrites(agentName, toolName, args) {
+    const blocked = new Map();
+    if (!this.enabled) return blocked;
+
+    for (const filePath of filePathsForToolCall(toolName, args)) {
+      const owners = this.ownersOf(filePath);
+      if (owners.length > 0 && !owners.includes(agentName)) {
+        if (!blocked.has(owners[0])) {
+          blocked.set(owners[0], []);
+        }
+        blocked.get(owners[0]).push(filePath);
+      }
+    }
+    return blocked;
+  }
+
+  // Prompt section telling an agent what it owns and how writes elsewhere are handled
+  describeFor(agentName) {
+    const own = this.rules.find(rule => rule.agent === agentName);
+    const others = this.rules.filter(rule => rule.agent !== agentName).map(rule => `${rule.agent} owns ${rule.patterns.join(', ')}`);
+    const lines = [
+      '\n\nFILE OWNERSHIP:',
+      own ? `- You own ${own.patterns.join(', ')}` : '- You do not own any files',
+      ...others.map(line => `- ${line}`),
+      '- Files nobody owns (like summary.md) are shared by everyone'
+    ];
+    if (this.mode === 'deny') {
+      lines.push('- Writing a file another agent owns fails. Ask the owner with talk() to make the change');
+    } else {
+      lines.push('- Writing a file another agent owns does not change it: your call is sent to the owner as a change request and their decision arrives in your inbox');
+      lines.push('- When you receive a CHANGE REQUEST for your files, review it and answer with review_change(request_id, "accept" or "reject", reason)');
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * TaskBoard - The tasks of a conversation, planned by the team's coordinator or added by the user.
+ * Each task has an owner, dependencies and acceptance criteria; owners claim a task once its
+ * dependencies are done and report progress on it. Changes come back as descriptions the
+ * conversation turns into messages. The user has the same rights as the coordinator.
+ */
+class TaskBoard {
+  constructor(team, tasks = [], journal = null) {
+    this.coordinator = team.coordinator || null;
+    this.workers = team.agents.map(agent => agent.name).filter(name => name !== this.coordinator);
+    this.journal = journal; // Workspace journal, to link finished tasks to the changes that made them
+    this.tasks = new Map(tasks.map(task => [task.id, task]));
+    this.nextId = 1 + tasks.reduce((max, task) => Math.max(max, Number(task.id.match(/^task-(\d+)$/)?.[1]) || 0), 0);
+  }
+
+  // Teams without a coordinator only use the board once the user adds a task
+  get active() {
+    return !!this.coordinator || this.tasks.size > 0;
+  }
+
+  _isLead(agentName) {
+    return agentName === this.coordinator || agentName === 'user';
+  }
+
+  get(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Unknown task: ${taskId}. Tasks: ${Array.from(this.tasks.keys()).join(', ') || 'none yet'}`);
+    }
+    return task;
+  }
+
+  // Tasks in priority order, oldest first within a priority
+  list({ owner = null, status = null } = {}) {
+    return Array.from(this.tasks.values())
+      .filter(task => (!owner || task.owner === owner) && (!status || task.status === status))
+      .sort((a, b) => TASK_PRIORITIES.indexOf(a.priority) - TASK_PRIORITIES.indexOf(b.priority));
+  }
+
+  /**
+   * Add tasks from a create_tasks call. Ids may be given so tasks in the same call can depend on
+   * each other; the whole call is rejected if any task is invalid.
+   */
+  create(agentName, specs) {
+    if (!Array.isArray(specs) || specs.length === 0) {
+      throw new Error('Invalid tasks: create_tasks needs a non-empty tasks array');
+    }
+
+    const now = new Date().toISOString();
+    let nextId = this.nextId;
+    const batch = new Map();
+    for (const spec of specs) {
+      if (typeof spec?.title !== 'string' || !spec.title.trim()) {
+        throw new Error('Invalid tasks: every task needs a title');
+      }
+      const id = spec.id ?? `task-${nextId++}`;
+      if (typeof id !== 'string' || !/^[a-z0-9][\w-]*$/i.test(id)) {
+        throw new Error(`Invalid tasks: task id ${JSON.stringify(id)} may only contain letters, digits, - and _`);
+      }
+      if (this.tasks.has(id) || batch.has(id)) {
+        throw new Error(`Invalid tasks: duplicate task id ${id}`);
+      }
+      if (spec.owner != null && !this.workers.includes(spec.owner)) {
+        throw new Error(`Invalid tasks: owner of ${id} must be one of ${this.workers.join(', ')} (got ${JSON.stringify(spec.owner)})`);
+      }
+      if (spec.owner == null && !this.coordinator) {
+        throw new Error(`Invalid tasks: ${id} needs an owner, there is no coordinator to assign it`);
+      }
+      if (spec.priority != null && !TASK_PRIORITIES.includes(spec.priority)) {
+        throw new Error(`Invalid tasks: priority of ${id} must be one of ${TASK_PRIORITIES.join(', ')}`);
+      }
+      batch.set(id, {
+        id,
+        title: spec.title.trim(),
+        description: spec.description || '',
+        owner: spec.owner || null,
+        dependsOn: Array.isArray(spec.depends_on) ? spec.depends_on.map(String) : [],
+        acceptanceCriteria: Array.isArray(spec.acceptance_criteria) ? spec.acceptance_criteria.map(String) : [],
+        priority: spec.priority || 'normal',
+        status: 'todo',
+        claimedBy: null,
+        startCheckpoint: null,
+        notes: [],
+        work: [],
+        createdBy: agentName,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+
+    for (const task of batch.values()) {
+      const unknown = task.dependsOn.filter(id => !this.tasks.has(id) && !batch.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Invalid tasks: ${task.id} depends on unknown task(s) ${unknown.join(', ')}`);
+      }
+    }
+    // Existing tasks never depend on new ones, so a cycle can only run through this batch
+    const visiting = new Set();
+    const done = new Set();
+    const visit = (id, trail) => {
+      if (done.has(id) || !batch.has(id)) return;
+      if (visiting.has(id)) {
+        throw new Error(`Invalid tasks: dependency cycle ${[...trail, id].join(' -> ')}`);
+      }
+      visiting.add(id);
+      batch.get(id).dependsOn.forEach(dep => visit(dep, [...trail, id]));
+      visiting.delete(id);
+      done.add(id);
+    };
+    batch.forEach((task, id) => visit(id, []));
+
+    batch.forEach((task, id) => this.tasks.set(id, task));
+    this.nextId = nextId;
+    return Array.from(batch.values());
+  }
+
+  // Dependencies of a task that are not done yet
+  openDependencies(task) {
+    return task.dependsOn.map(id => this.tasks.get(id)).filter(dep => dep && dep.status !== 'done');
+  }
+
+  claim(agentName, taskId) {
+    const task = this.get(taskId);
+    if (task.status === 'done') {
+      throw new Error(`Task ${task.id} is already done`);
+    }
+    if (task.owner && task.owner !== agentName) {
+      throw new Error(`Task ${task.id} is assigned to ${task.owner}. Ask the coordinator with talk() if it should be yours`);
+    }
+    if (task.claimedBy && task.claimedBy !== agentName) {
+      throw new Error(`Task ${task.id} is already claimed by ${task.claimedBy}`);
+    }
+    const open = this.openDependencies(task);
+    if (open.length > 0) {
+      throw new Error(`Task ${task.id} is waiting on unfinished dependencies: ${open.map(dep => `${dep.id} (${dep.status})`).join(', ')}`);
+    }
+
+    const previous = { status: task.status, owner: task.owner, priority: task.priority };
+    task.status = 'in_progress';
+    task.claimedBy = agentName;
+    task.owner = task.owner || agentName;
+    task.startCheckpoint = this.journal?.latestCheckpoint ?? null;
+    task.updatedAt = new Date().toISOString();
+    return { task, previous };
+  }
+
+  // File changes the task's worker made while it was in progress
+  _collectWork(task) {
+    if (!this.journal || task.startCheckpoint === null || !task.claimedBy) return;
+    task.work = this.journal.entries
+      .filter(entry => entry.checkpoint > task.startCheckpoint && entry.agent === task.claimedBy)
+      .map(entry => ({ checkpoint: entry.checkpoint, path: entry.path, tool: entry.tool, toolCallId: entry.toolCallId, turn: entry.turn }));
+  }
+
+  /**
+   * Change a task's status, owner or priority and/or add a note. Owners update their own tasks;
+   * the coordinator (or the user) may update any task and is the only one who reassigns or reprioritises.
+   */
+  update(agentName, taskId, { status, note, owner, priority } = {}) {
+    const task = this.get(taskId);
+    const isLead = this._isLead(agentName);
+    if (!isLead && task.owner !== agentName && task.claimedBy !== agentName) {
+      throw new Error(`Task ${task.id} is not yours (owner: ${task.owner || 'nobody'}). Claim it first with claim_task`);
+    }
+    if (status == null && !note && owner == null && priority == null) {
+      throw new Error('update_task needs a status, a note, an owner or a priority');
+    }
+    if (status != null && !TASK_STATUSES.includes(status)) {
+      throw new Error(`Invalid task status: ${status}. Use one of: ${TASK_STATUSES.join(', ')}`);
+    }
+    if (priority != null) {
+      if (!isLead) {
+        throw new Error('Only the coordinator can reprioritise tasks. Ask them with talk()');
+      }
+      if (!TASK_PRIORITIES.includes(priority)) {
+        throw new Error(`Invalid task priority: ${priority}. Use one of: ${TASK_PRIORITIES.join(', ')}`);
+      }
+    }
+    if (owner != null) {
+      if (!isLead) {
+        throw new Error('Only the coordinator can reassign tasks. Ask them with talk()');
+      }
+      if (!this.workers.includes(owner)) {
+        throw new Error(`Invalid owner: ${owner}. Tasks can be assigned to ${this.workers.join(', ')}`);
+      }
+    }
+    if (status === 'in_progress' || status === 'done') {
+      const open = this.openDependencies(task);
+      if (open.length > 0) {
+        throw new Error(`Task ${task.id} is waiting on unfinished dependencies: ${open.map(dep => `${dep.id} (${dep.status})`).join(', ')}`);
+      }
+    }
+
+    const previous = { status: task.status, owner: task.owner, priority: task.priority };
+    if (owner != null && owner !== task.owner) {
+      task.owner = owner;
+      task.claimedBy = null;
+      if (task.status === 'in_progress') task.status = 'todo';
+    }
+    if (priority != null) {
+      task.priority = priority;
+    }
+    if (status != null && status !== previous.status) {
+      task.status = status;
+      if (status === 'todo') task.claimedBy = null;
+      if (status === 'in_progress') {
+        task.claimedBy = task.claimedBy || (isLead ? task.owner : agentName);
+        task.startCheckpoint = task.startCheckpoint ?? this.journal?.latestCheckpoint ?? null;
+      }
+      if (status === 'done') this._collectWork(task);
+    }
+    if (note) {
+      task.notes.push({ agent: agentName, text: String(note), timestamp: new Date().toISOString() });
+    }
+    task.updatedAt = new Date().toISOString();
+    return { task, previous };
+  }
+
+  /**
+   * Messages a board change should send: assignments to new owners, unblocked work to the owners of
+   * dependent tasks and progress to the coordinator. Returns [{ to, content }].
+   */
+  notificationsFor(agentName, tasks, previous = null) {
+    const notes = [];
+    for (const task of tasks) {
+      if (!previous && !task.owner && this.coordinator && agentName !== this.coordinator) {
+        notes.push({ to: this.coordinator, content: `TASK ADDED by ${agentName} without an owner:\n${this.describe(task)}\n\nAssign it with update_task("${task.id}", owner: ...).` });
+      }
+      const ownerChanged = task.owner && task.owner !== (previous ? previous.owner : null);
+      if (ownerChanged && task.owner !== agentName) {
+        const open = this.openDependencies(task);
+        notes.push({
+          to: task.owner,
+          content: `TASK ASSIGNED ${this.describe(task)}\n\n${open.length > 0
+            ? `Wait for ${open.map(dep => dep.id).join(', ')} to be done before you start; you will be told when it is unblocked.`
+            : `Claim it with claim_task("${task.id}") and start.`}`
+        });
+      }
+      if (!previous) continue;
+
+      // Someone else changed the status or priority of a task the owner keeps
+      const changes = [
+        previous.status !== task.status && `status is now ${task.status}`,
+        previous.priority !== task.priority && `priority is now ${task.priority}`
+      ].filter(Boolean);
+      if (!ownerChanged && task.owner && task.owner !== agentName && changes.length > 0) {
+        const lastNote = task.notes[task.notes.length - 1];
+        notes.push({ to: task.owner, content: `TASK UPDATED ${task.id}: "${task.title}" - ${agentName} changed it, ${changes.join(' and ')}${lastNote?.agent === agentName ? `. Note: ${lastNote.text}` : ''}` });
+      }
+      if (previous.status === task.status) continue;
+
+      if (task.status === 'done') {
+        for (const dependent of this.tasks.values()) {
+          if (dependent.status === 'todo' && dependent.owner && dependent.dependsOn.includes(task.id) && this.openDependencies(dependent).length === 0) {
+            notes.push({ to: dependent.owner, content: `TASK UNBLOCKED ${dependent.id}: "${dependent.title}" can start now that ${task.id} is done. Claim it with claim_task("${dependent.id}").` });
+          }
+        }
+      }
+      if (this.coordinator && agentName !== this.coordinator && ['done', 'blocked'].includes(task.status)) {
+        const lastNote = task.notes[task.notes.length - 1];
+        notes.push({
+          to: this.coordinator,
+          content: `TASK ${task.status.toUpperCase()} ${task.id}: "${task.title}" was marked ${task.status} by ${agentName}${lastNote?.agent === agentName ? `: ${lastNote.text}` : ''}`
+        });
+      }
+    }
+    return notes;
+  }
+
+  // Full description of a task, as sent in assignments
+  describe(task) {
+    const lines = [`${task.id}: ${task.title} (owner: ${task.owner || 'unassigned'}, status: ${task.status}${task.priority !== 'normal' ? `, ${task.priority} priority` : ''})`];
+    if (task.description) lines.push(task.description);
+    if (task.dependsOn.length > 0) lines.push(`Depends on: ${task.dependsOn.join(', ')}`);
+    if (task.acceptanceCriteria.length > 0) {
+      lines.push('Acceptance criteria:', ...task.acceptanceCriteria.map(criterion => `- ${criterion}`));
+    }
+    return lines.join('\n');
+  }
+
+  // One line per task for list_tasks
+  summarize(tasks) {
+    if (tasks.length === 0) return 'No tasks match.';
+    return tasks.map(task => {
+      const details = [`owner: ${task.owner || 'unassigned'}`];
+      if (task.priority !== 'normal') details.push(`${task.priority} priority`);
+      if (task.claimedBy && task.claimedBy !== task.owner) details.push(`claimed by ${task.claimedBy}`);
+      if (task.dependsOn.length > 0) details.push(`depends on ${task.dependsOn.join(', ')}`);
+      if (task.acceptanceCriteria.length > 0) details.push(`accept when: ${task.acceptanceCriteria.join('; ')}`);
+      const lastNote = task.notes[task.notes.length - 1];
+      if (lastNote) details.push(`last note from ${lastNote.agent}: ${lastNote.text}`);
+      return `${task.id} [${task.status}] ${task.title} (${details.join(', ')})`;
+    }).join('\n');
+  }
+
+  // Prompt section explaining the board to the coordinator or to a worker
+  describeFor(agentName) {
+    if (agentName === this.coordinator) {
+      return [
+        '\n\nTASK BOARD:',
+        `- You are the coordinator. The team members you plan for are: ${this.workers.join(', ')}`,
+        '- Break the user request into tasks with create_tasks: give each a clear title, a description, one owner, the ids it depends on and acceptance criteria. Mark what matters most as high priority',
+        '- Owners are told about their tasks, and about dependencies that become done, automatically',
+        '- You are told when a task is done or blocked. Check the work, add follow-up tasks, and reassign, reprioritise or unblock with update_task',
+        '- The user can add and change tasks too. Tasks they add without an owner are sent to you to assign',
+        '- Complete once every task is done or nothing more can be planned'
+      ].join('\n') + '\n';
+    }
+    return [
+      '\n\nTASK BOARD:',
+      `- ${this.coordinator ? `${this.coordinator} is the coordinator and assigns work` : 'Work is tracked'} on a shared task board. Work only on the tasks assigned to you, not on the raw user request`,
+      '- When you get a TASK ASSIGNED message, call claim_task before starting; a task can only be claimed once its dependencies are done',
+      '- When the acceptance criteria are met, call update_task with status "done" and a note on what you built. Use status "blocked" with a note if you cannot continue',
+      '- Use list_tasks to see the whole plan. If you notice missing work, tell the coordinator with talk() instead of doing it yourself',
+      '- Complete when all of your tasks are done'
+    ].join('\n') + '\n';
+  }
+
+  toJSON() {
+    return Array.from(this.tasks.values());
+  }
+}
+
+function buildWorkspaceContext(fileTools) {
+  let files = [];
+  try {
+    files = fileTools.listFiles('.');
+  } catch (error) {
+    console.error('⚠️  Failed to list workspace files for prompt context:', error.message);
+  }
+
+  files = Array.isArray(files) ? files.sort() : [];
+
+  const fileList = files.length
+    ? files.map(file => `- ${file}`).join('\n')
+    : '- (none yet — workspace is empty)';
+
+  return `\n\nCURRENT WORKSPACE FILES:\n${fileList}\n`;
+}
+
+/**
+ * Agent class - Autonomous agent that listens to messages and responds
+ */
+class Agent {
+  constructor(name, systemPrompt, conversationId, messageBus, { provider, fileTools, folders = [], model = null, maxTalkCalls = null, tools = null, teammates = [], approvals = null, ownership = null, taskBoard = null, runPolicy = DEFAULT_RUN_POLICY, usageMeter = new UsageMeter() } = {}) {
+    this.name = name;
+    this.systemPrompt = systemPrompt;
     this.conversationId = conversationId;
     this.messageBus = messageBus;
+    this.provider = provider || createProvider(DEFAULT_PROVIDER_CONFIG);
+    this.fileTools = fileTools || getWorkspaceTools(conversationId);
+    this.folders = folders; // Folders whose files are inlined into the prompt every turn
+    this.model = model; // Per-agent override of the provider's model
+    this.allowedTools = tools; // null means every tool
+    this.teammates = teammates; // Other agents this one can talk() to
+    this.approvals = approvals; // ToolApprovalGate of the conversation, if it has an approval policy
+    this.ownership = ownership; // OwnershipRules of the team
+    this.taskBoard = taskBoard; // TaskBoard of the conversation; its tools appear once it is in use
+    this.changeRequests = new Map(); // Change requests other agents sent for files this agent owns
+    this.changeRequestCount = 0; // Change requests this agent has sent; numbers their ids
+    this.fileChangeCursor = this.fileTools.changeSequence; // Last workspace change this agent was told about
     this.conversationHistory = [];
+    this.runPolicy = runPolicy; // Budgets and limits of the run
     this.talkCallCount = 0;
-    this.maxTalkCalls = 30;
+    this.maxTalkCalls = maxTalkCalls || runPolicy.maxTalkCalls;
+    this.turnCount = 0; // Model calls made so far; tags journal entries
+    this.toolCallCount = 0;
+    this.contextRetries = 0; // Turns retried in a row after the model said the prompt was too long
+    this.lastTurnAt = 0; // When the previous turn was assembled; newer files count as changed
+    this.usageMeter = usageMeter; // Shared with the team, so conversation-wide budgets can be checked
     this.isComplete = false;
     this.lastActivityTime = Date.now();
     this.textOnlyResponses = 0; // Track consecutive text-only responses
     this.inbox = [];
     this.isProcessing = false;
     this.needsAnotherRun = false;
+    this.isStopped = false;
     
     // Subscribe to messages for this agent
-    this.messageBus.on(`message:${this.name}`, this.handleMessage.bind(this));
+    this._onMessage = this.handleMessage.bind(this);
+    this.messageBus.on(`message:${this.name}`, this._onMessage);
     
     console.log(`🤖 Agent '${this.name}' initialized for conversation ${conversationId}`);
   }
@@ -357,7 +4247,7 @@ class Agent {
       return value.length > 200 ? `${value.slice(0, 200)}...` : value;
     };
 
-    ['content', 'old_string', 'new_string', 'message'].forEach((key) => {
+    ['content', 'old_string', 'new_string', 'message', 'patch', 'command'].forEach((key) => {
       if (clone[key]) {
         clone[key] = truncate(clone[key]);
       }
@@ -375,17 +4265,152 @@ class Agent {
       }
       return 'The file does not exist. Use create_file() to create it first, or use list_files() to check what files exist.';
     } else if (errorMessage.includes('locked by')) {
-      return 'Another agent is currently modifying this file. Wait a moment and try again, or work on a different file.';
+      return 'Another agent holds a lock on this file. Work on something else and try again later, or ask the lock holder with talk() when they will be done.';
+    } else if (errorMessage.includes('Invalid lock mode')) {
+      return 'lock_file mode must be "read" (shared, blocks writers) or "write" (exclusive).';
+    } else if (errorMessage.includes('do not hold a lock')) {
+      return 'There is nothing to unlock: the lock was never taken, was already released, or its lease expired.';
+    } else if (errorMessage.includes('Version conflict')) {
+      return 'Someone changed the file after you read it. Their change is shown above - read the file again and redo your edit on top of it instead of overwriting it.';
+    } else if (errorMessage.includes('is a binary file')) {
+      return 'Binary files cannot be read or edited as text. Read them with read_file(path, encoding: "base64"), or replace them with delete_file() and create_file(..., encoding: "base64").';
+    } else if (errorMessage.includes('File too large')) {
+      return 'The file is over the size limit. Read large text files in parts with offset and limit, and keep files you create smaller.';
+    } else if (errorMessage.includes('Invalid base64') || errorMessage.includes('Invalid encoding')) {
+      return 'encoding must be "utf-8" or "base64", and base64 content may only contain A-Z, a-z, 0-9, +, / and = padding.';
     } else if (errorMessage.includes('String not found')) {
       return 'The old_string you specified was not found in the file. Use read_file() to check the current file content.';
+    } else if (errorMessage.includes('String appears')) {
+      return 'The old_string matches more than once, so the edit would be ambiguous. Include more surrounding lines to make it unique, or set replace_all: true to change every occurrence.';
+    } else if (errorMessage.includes('Invalid search pattern')) {
+      return 'With regex: true, search_files takes a JavaScript regular expression. Escape special characters like ( ) . [ ] with a backslash, or leave regex off to search for the text as written.';
+    } else if (errorMessage.includes('Line out of range')) {
+      return 'The line numbers are outside the file. Use read_file() to check the current line count.';
+    } else if (errorMessage.includes('Hunk') || errorMessage.includes('Patch') || errorMessage.includes('hunk header')) {
+      return 'The patch does not fit the current file content. Use read_file() to get the exact current lines and regenerate the patch, or use str_replace() for small changes.';
     } else if (errorMessage.includes('Cannot delete directory')) {
       return 'You tried to delete a directory. delete_file() only works on files. Use list_files() to see the file structure.';
     } else if (errorMessage.includes('Access denied')) {
-      return 'The path you specified is outside the allowed workspace (/tmp/project). Use only paths within the project folder.';
+      return 'The path you specified is outside the allowed workspace. Use only relative paths within the project folder.';
+    } else if (errorMessage.includes('Approval denied')) {
+      return 'A human reviewer rejected this call. Do not retry the same change; follow the reason given, or ask the user with talk() what they want instead.';
+    } else if (errorMessage.includes('Command not allowed') || errorMessage.includes('Command is empty')) {
+      return 'run_command only runs the allowed binaries listed in the error, and every command in the line must start with one (no absolute paths, no $(...)). Use the cwd argument instead of "cd dir &&".';
+    } else if (errorMessage.includes('Command sandbox unavailable')) {
+      return 'Commands cannot run on this server. Check your code by reading it instead, and do not call run_command again.';
+    } else if (errorMessage.includes('Directory not found')) {
+      return 'The cwd you gave does not exist. Use list_files() to check the folder structure.';
+    } else if (errorMessage.includes('Write denied')) {
+      return 'Those files belong to another agent. Ask the owner with talk() to make the change, and keep your own changes in the files you own or in shared files.';
+    } else if (errorMessage.includes('Unknown change request') || errorMessage.includes('Invalid decision')) {
+      return 'Answer only change requests you received, using the exact id from the CHANGE REQUEST message and "accept" or "reject".';
+    } else if (errorMessage.includes('Invalid tasks')) {
+      return 'Nothing was created. Give every task a title and an owner from the team, and only depend on tasks that exist or are in the same call, without cycles.';
+    } else if (errorMessage.includes('Unknown task') || errorMessage.includes('Invalid task status') || errorMessage.includes('Invalid owner')) {
+      return 'Use the task ids, owners and statuses shown by list_tasks. Statuses are todo, in_progress, blocked and done.';
+    } else if (errorMessage.includes('unfinished dependencies')) {
+      return 'This task has to wait for the tasks it depends on. Work on another task of yours meanwhile; you are told when it is unblocked.';
+    } else if (errorMessage.includes('is assigned to') || errorMessage.includes('is not yours') || errorMessage.includes('already claimed') || errorMessage.includes('Only the coordinator')) {
+      return 'Work only on tasks assigned to you. Use list_tasks to find yours, or ask the coordinator with talk() to reassign work.';
+    } else if (errorMessage.includes('budget exhausted')) {
+      return 'The run policy allows no more tool calls. Answer with a short text summary of what you did; you will be marked complete.';
+    } else if (errorMessage.includes('Tool not available')) {
+      return 'This tool is not enabled for you in this team. Use one of your available tools, or ask a teammate with talk().';
     }
     return 'Check the error message and try a different approach.';
   }
 
+  /**
+   * Wait for a human to approve a tool call that matches the approval policy. Throws when denied,
+   * so the denial reaches the model as a tool error like any other failed call.
+   */
+  async _awaitApproval(toolName, args) {
+    // The approver must be able to read the whole call: GET /approvals has the full args, the broadcast a shortened copy
+    const { approvalId, decision } = this.approvals.request({ agent: this.name, tool: toolName, args });
+    const sanitizedArgs = this._sanitizeArgs(args);
+    console.log(`✋ ${this.name.toUpperCase()} waiting for approval of ${toolName}${args.path ? ` on ${args.path}` : ''} (${approvalId})`);
+
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'tool:approval_required',
+      approvalId,
+      agent: this.name,
+      tool: toolName,
+      path: args.path || null,
+      args: sanitizedArgs,
+      argsTruncated: JSON.stringify(sanitizedArgs) !== JSON.stringify(args),
+      timestamp: new Date().toISOString()
+    });
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'agent:status',
+      agent: this.name,
+      status: 'awaiting_approval',
+      timestamp: new Date().toISOString()
+    });
+
+    const { approved, reason } = await decision;
+    console.log(`${approved ? '👍' : '👎'} ${toolName} by ${this.name} ${approved ? 'approved' : 'denied'}${reason ? `: ${reason}` : ''}`);
+
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'tool:approval_resolved',
+      approvalId,
+      agent: this.name,
+      tool: toolName,
+      path: args.path || null,
+      decision: approved ? 'approved' : 'denied',
+      reason,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!approved) {
+      throw new Error(`Approval denied for ${toolName}${args.path ? ` on ${args.path}` : ''}${reason ? `. Reason: ${reason}` : ''}`);
+    }
+    if (this.isStopped) {
+      throw new Error(`Conversation ended before ${toolName} could run`);
+    }
+
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'agent:status',
+      agent: this.name,
+      status: 'thinking',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  _isToolAllowed(toolName) {
+    if (toolName === 'run_command' && !commandSandbox.available) return false;
+    if (TASK_TOOLS.includes(toolName)) {
+      if (!this.taskBoard?.active) return false;
+      if (toolName === 'create_tasks' && this.taskBoard.coordinator !== this.name) return false;
+    }
+    return !this.allowedTools || this.allowedTools.includes(toolName);
+  }
+
+  /**
+   * Tool definitions for this agent's next turn, limited to the tools its team allows
+   */
+  _getToolDefinitions() {
+    const talkTool = {
+      name: 'talk',
+      description: `Send a message to another agent. ${this.maxTalkCalls - this.talkCallCount} calls remaining.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          agentName: {
+            type: 'string',
+            enum: [...this.teammates, 'user'],
+            description: 'Agent to message, or "user" to ask the human a question'
+          },
+          message: {
+            type: 'string',
+            description: 'Your message'
+          }
+        },
+        required: ['agentName', 'message']
+      }
+    };
+    return [talkTool, ...TOOL_DEFINITIONS].filter(fn => this._isToolAllowed(fn.name));
+  }
+
   _queueMessage(message) {
     if (!message) return;
     this.inbox.push(message);
@@ -394,6 +4419,83 @@ class Agent {
       from: message.from,
       preview: this._truncateText(message.content, 50)
     });
+    this._emitStateChanged();
+  }
+
+  /**
+   * Serializable snapshot of everything needed to inspect or rebuild this agent
+   */
+  toState() {
+    return {
+      name: this.name,
+      conversationHistory: this.conversationHistory,
+      inbox: this.inbox,
+      talkCallCount: this.talkCallCount,
+      maxTalkCalls: this.maxTalkCalls,
+      turnCount: this.turnCount,
+      toolCallCount: this.toolCallCount,
+      textOnlyResponses: this.textOnlyResponses,
+      changeRequests: Array.from(this.changeRequests.values()),
+      changeRequestCount: this.changeRequestCount,
+      fileChangeCursor: this.fileChangeCursor,
+      isComplete: this.isComplete,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Rebuild memory from a saved toState() snapshot (used when resuming a conversation)
+   */
+  restoreState(state = {}) {
+    this.conversationHistory = Array.isArray(state.conversationHistory) ? state.conversationHistory : [];
+    this.inbox = Array.isArray(state.inbox) ? state.inbox : [];
+    this.talkCallCount = state.talkCallCount || 0;
+    this.turnCount = state.turnCount || 0;
+    this.toolCallCount = state.toolCallCount || 0;
+    this.changeRequests = new Map((state.changeRequests || []).map(request => [request.id, request]));
+    this.changeRequestCount = state.changeRequestCount || 0;
+    // The change feed is in memory; after a restart it starts over and the saved cursor no longer applies
+    this.fileChangeCursor = Math.min(state.fileChangeCursor || 0, this.fileTools.changeSequence);
+    this.isComplete = !!state.isComplete;
+    this.textOnlyResponses = 0;
+    console.log(`♻️  Agent '${this.name}' restored (${this.conversationHistory.length} history messages, ${this.inbox.length} unread)`);
+  }
+
+  /**
+   * The first budget of the run this agent has used up, as { budget, limit }, or null
+   */
+  _exhaustedBudget() {
+    const policy = this.runPolicy;
+    if (this.talkCallCount >= this.maxTalkCalls) return { budget: 'talk calls', limit: this.maxTalkCalls };
+    if (policy.maxTurns !== null && this.turnCount >= policy.maxTurns) return { budget: 'turns', limit: policy.maxTurns };
+    if (policy.maxToolCalls !== null && this.toolCallCount >= policy.maxToolCalls) return { budget: 'tool calls', limit: policy.maxToolCalls };
+    const usage = this.usageMeter.forAgent(this.name);
+    const total = this.usageMeter.total;
+    if (policy.maxTokens !== null && usage.totalTokens >= policy.maxTokens) return { budget: 'tokens', limit: policy.maxTokens };
+    if (policy.maxCostUsd !== null && usage.costUsd >= policy.maxCostUsd) return { budget: 'cost', limit: policy.maxCostUsd };
+    if (policy.maxTotalTokens !== null && total.totalTokens >= policy.maxTotalTokens) return { budget: 'conversation tokens', limit: policy.maxTotalTokens };
+    if (policy.maxTotalCostUsd !== null && total.costUsd >= policy.maxTotalCostUsd) return { budget: 'conversation cost', limit: policy.maxTotalCostUsd };
+    return null;
+  }
+
+  /**
+   * Stop reacting to messages once the conversation has ended. Unlike complete(), this keeps
+   * isComplete untouched so a resumed run knows which agents still had work left.
+   */
+  stop() {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    this.messageBus.off(`message:${this.name}`, this._onMessage);
+    this.fileTools.lockManager.releaseAll(this.name, 'conversation-ended');
+    this._emitStateChanged();
+  }
+
+  _emitStateChanged() {
+    this.messageBus.emit('agent:state', {
+      conversationId: this.conversationId,
+      agentName: this.name,
+      state: this.toState()
+    });
   }
 
   _broadcastInboxEvent(action, extra = {}) {
@@ -432,58 +4534,260 @@ class Agent {
     if (this.isProcessing) return;
     this.isProcessing = true;
     try {
-      while (this.needsAnotherRun && !this.isComplete) {
+      while (this.needsAnotherRun && !this.isComplete && !this.isStopped) {
         this.needsAnotherRun = false;
         await this._executeAgentTurn();
+        this._emitStateChanged();
       }
     } finally {
       this.isProcessing = false;
     }
   }
 
-  _buildMessages() {
-    // Build agent-specific folder context
-    const agentFolderMap = {
-      'backend': 'backend',
-      'frontend': 'frontend',
-      'devops': 'devops'
+  /**
+   * Tell the agent which files others (agents, commands or people) changed since its last turn
+   */
+  _noteWorkspaceChanges() {
+    const { changes, latest } = this.fileTools.changesSince(this.fileChangeCursor, this.name);
+    this.fileChangeCursor = latest;
+    if (changes.length === 0) return;
+
+    // One line per file with its latest change
+    const byPath = new Map();
+    for (const change of changes) {
+      byPath.delete(change.path);
+      byPath.set(change.path, change);
+    }
+    const lines = Array.from(byPath.values()).map(change => `- ${change.path} ${change.change} by ${change.agent || 'someone outside the agent tools'}`);
+    const shown = lines.length > 30 ? [...lines.slice(0, 30), `- ... and ${lines.length - 30} more`] : lines;
+    this.conversationHistory.push({
+      role: 'system',
+      content: `Files changed in the workspace since your last turn:\n${shown.join('\n')}\nRead them again before editing them.`
+    });
+  }
+
+  /**
+   * Inline the files of this agent's folders, at most budgetTokens of them. When not all fit, files changed
+   * since the agent's last turn or named in its recent messages come first, then the newest; the rest are
+   * only listed so the agent knows to read_file them.
+   */
+  _buildFolderContext(budgetTokens) {
+    const files = [];
+    for (const agentFolder of this.folders) {
+      try {
+        for (const relativePath of this.fileTools.listFiles(agentFolder)) {
+          // Construct full path relative to workspace root
+          const fullPath = path.join(agentFolder, relativePath);
+          try {
+            files.push(this.fileTools.fileInfo(fullPath));
+          } catch (err) {
+            // Skip files that can't be read (might be locked or deleted)
+          }
+        }
+      } catch (error) {
+        // Folder doesn't exist yet or can't be accessed - that's fine
+      }
+    }
+    if (files.length === 0) return '';
+
+    const recentText = this.conversationHistory.slice(-CONTEXT_RECENT_MESSAGES)
+      .map(msg => `${msg.content || ''} ${msg.tool_calls ? JSON.stringify(msg.tool_calls) : ''}`)
+      .join('\n');
+    const relevant = (file) => Date.parse(file.mtime) > this.lastTurnAt || recentText.includes(file.path);
+    files.sort((a, b) => (relevant(b) - relevant(a)) || Date.parse(b.mtime) - Date.parse(a.mtime));
+
+    const fileContents = [];
+    const skipped = [];
+    let used = 0;
+    for (const file of files) {
+      let entry;
+      try {
+        // Only a preview of each file, so one large or binary file cannot fill the context
+        const preview = this.fileTools.previewFile(file.path);
+        if (preview.binary) {
+          entry = `=== ${file.path} (binary ${preview.type}, ${preview.size} bytes) ===\n`;
+        } else if (preview.truncated) {
+          entry = `=== ${file.path} (first ${Buffer.byteLength(preview.content)} of ${preview.size} bytes) ===\n${preview.content}\n... [truncated - use read_file("${file.path}", offset, limit) for the rest]\n`;
+        } else {
+          entry = `=== ${file.path} ===\n${preview.content}\n`;
+        }
+      } catch (err) {
+        continue;
+      }
+      if (used + estimateTokens(entry) > budgetTokens) {
+        skipped.push(`- ${file.path} (${file.size} bytes)`);
+        continue;
+      }
+      used += estimateTokens(entry);
+      fileContents.push(entry);
+    }
+
+    const folderList = this.folders.map(folder => `${folder}/`).join(', ');
+    let folderContext = `\n\nYOUR FOLDER FILES (${folderList}):\n${fileContents.join('\n')}\n`;
+    if (skipped.length > 0) {
+      folderContext += `\nNot shown to fit your context window (use read_file() when you need them):\n${skipped.join('\n')}\n`;
+    }
+    folderContext += `\nNOTE: You can ONLY see files from your ${folderList} folder automatically. For other files, use read_file() to look them up.\n`;
+    return folderContext;
+  }
+
+  /**
+   * History as sent to the model: tool results and long tool call arguments (file contents, mostly) before
+   * the latest tool call round are cut to the run policy's toolResultChars. The history itself keeps them whole.
+   */
+  _assembleHistory() {
+    const limit = this.runPolicy.toolResultChars;
+    let latestAssistant = -1;
+    for (let i = this.conversationHistory.length - 1; i >= 0; i--) {
+      if (this.conversationHistory[i].role === 'assistant' && this.conversationHistory[i].tool_calls?.length) {
+        latestAssistant = i;
+        break;
+      }
+    }
+    const cut = (text, what) => `${text.slice(0, limit)}\n... [${text.length - limit} more characters cut from this ${what}]`;
+    return this.conversationHistory.map((msg, i) => {
+      if (msg.role === 'tool' && i < latestAssistant && msg.content?.length > limit) {
+        return { ...msg, content: cut(msg.content, 'old result - repeat the call if you need them') };
+      }
+      if (msg.role === 'assistant' && i < latestAssistant && msg.tool_calls?.some(call => call.function.arguments?.length > limit)) {
+        // Cut inside the argument values so the arguments stay valid JSON
+        const tool_calls = msg.tool_calls.map(call => {
+          if ((call.function.arguments || '').length <= limit) return call;
+          let args;
+          try {
+            args = JSON.parse(call.function.arguments);
+          } catch (error) {
+            return { ...call, function: { ...call.function, arguments: '{}' } };
+          }
+          const shortened = Object.fromEntries(Object.entries(args).map(([key, value]) =>
+            [key, typeof value === 'string' && value.length > limit ? cut(value, 'old argument') : value]));
+          return { ...call, function: { ...call.function, arguments: JSON.stringify(shortened) } };
+        });
+        return { ...msg, tool_calls };
+      }
+      return msg;
+    });
+  }
+
+  /**
+   * Condense the oldest history messages into one summary message once the history needs more than
+   * budgetTokens. The newest messages are kept, and the cut is made before a message that is not a tool
+   * response, so every tool call kept still has its responses right after it.
+   * Returns true when the history was compacted.
+   */
+  _compactHistory(budgetTokens, keepRecent = 2) {
+    const history = this.conversationHistory;
+    const assembled = this._assembleHistory();
+    const tokensBefore = assembled.reduce((sum, msg) => sum + estimateTokens(msg), 0);
+    if (tokensBefore <= budgetTokens) return false;
+
+    // Keep the newest messages that fit half the budget, and at least keepRecent of them
+    let keepFrom = history.length;
+    let keptTokens = 0;
+    while (keepFrom > 0) {
+      const cost = estimateTokens(assembled[keepFrom - 1]);
+      if (history.length - keepFrom >= keepRecent && keptTokens + cost > budgetTokens / 2) break;
+      keptTokens += cost;
+      keepFrom--;
+    }
+    while (keepFrom < history.length && history[keepFrom].role === 'tool') {
+      keepFrom++;
+    }
+
+    const hasSummary = history[0]?.role === 'system' && history[0].content?.startsWith(CONTEXT_SUMMARY_HEADER);
+    const start = hasSummary ? 1 : 0;
+    if (keepFrom <= start) return false;
+
+    const lines = hasSummary ? history[0].content.split('\n').slice(1) : [];
+    // The summary gets at most a quarter of the budget; its oldest lines go first
+    const droppedBefore = /^- \((\d+) older entries dropped\)$/.exec(lines[0] || '');
+    let dropped = 0;
+    if (droppedBefore) {
+      lines.shift();
+      dropped = Number(droppedBefore[1]);
+    }
+    lines.push(...this._summarizeMessages(history.slice(start, keepFrom)));
+    while (lines.length > 1 && estimateTokens(lines.join('\n')) > budgetTokens / 4) {
+      lines.shift();
+      dropped++;
+    }
+    if (dropped > 0) {
+      lines.unshift(`- (${dropped} older entries dropped)`);
+    }
+
+    // A tool response whose call was condensed away would be rejected by the model API
+    const kept = history.slice(keepFrom);
+    const keptCallIds = new Set(kept.flatMap(msg => (msg.tool_calls || []).map(call => call.id)));
+    const removed = history.length - start - kept.length;
+    this.conversationHistory = [
+      { role: 'system', content: [CONTEXT_SUMMARY_HEADER, ...lines].join('\n') },
+      ...kept.filter(msg => msg.role !== 'tool' || keptCallIds.has(msg.tool_call_id))
+    ];
+    const tokensAfter = this._assembleHistory().reduce((sum, msg) => sum + estimateTokens(msg), 0);
+    console.log(`🗜️  Agent '${this.name}' compacted ${removed} history messages (~${tokensBefore} -> ~${tokensAfter} tokens)`);
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'agent:context_compacted',
+      agent: this.name,
+      messages: removed,
+      tokensBefore,
+      tokensAfter,
+      timestamp: new Date().toISOString()
+    });
+    this._emitStateChanged();
+    return true;
+  }
+
+  /**
+   * One line per thing that happened in these messages: what the agent said and called (with failures),
+   * and what it was told. Repeated lines are kept once.
+   */
+  _summarizeMessages(messages) {
+    const results = new Map(messages.filter(msg => msg.role === 'tool').map(msg => [msg.tool_call_id, msg.content || '']));
+    const lines = [];
+    const add = (line) => {
+      if (lines[lines.length - 1] !== line) lines.push(line);
     };
-    
-    const agentFolder = agentFolderMap[this.name] || '';
-    let folderContext = '';
-    
-    if (agentFolder) {
-      try {
-        const folderFiles = fileTools.listFiles(agentFolder);
-        if (folderFiles.length > 0) {
-          const fileContents = [];
-          for (const relativePath of folderFiles) {
-            // Construct full path relative to workspace root
-            const fullPath = path.join(agentFolder, relativePath);
-            try {
-              const content = fileTools.readFile(fullPath);
-              fileContents.push(`=== ${fullPath} ===\n${content}\n`);
-            } catch (err) {
-              // Skip files that can't be read (might be locked or deleted)
-              continue;
-            }
-          }
-          
-          if (fileContents.length > 0) {
-            folderContext = `\n\nYOUR FOLDER FILES (${agentFolder}/):\n${fileContents.join('\n')}\n`;
-            folderContext += `\nNOTE: You can ONLY see files from your ${agentFolder}/ folder automatically. For other files, use read_file() to look them up.\n`;
+    for (const msg of messages) {
+      if (msg.role === 'assistant') {
+        if (msg.content) add(`- You said: ${this._truncateText(msg.content.replace(/\s+/g, ' '), 200)}`);
+        for (const call of msg.tool_calls || []) {
+          let args = {};
+          try {
+            args = JSON.parse(call.function.arguments || '{}');
+          } catch (error) {
+            // Unparseable arguments still show the tool name
           }
+          const target = args.path || args.agentName || args.task_id || args.directory || args.pattern || args.command || '';
+          const result = results.get(call.id) || '';
+          const outcome = result.startsWith('ERROR') ? ` - failed: ${this._truncateText(result.split('\n')[0].replace(/^ERROR: /, ''), 120)}` : '';
+          add(`- You called ${call.function.name}(${this._truncateText(String(target), 80)})${outcome}`);
         }
-      } catch (error) {
-        // Folder doesn't exist yet or can't be accessed - that's fine
+      } else if (msg.role !== 'tool' && msg.content) {
+        add(`- ${msg.role === 'user' ? '' : 'Note: '}${this._truncateText(msg.content.replace(/\s+/g, ' '), 160)}`);
       }
     }
-    
+    return lines;
+  }
+
+  /**
+   * Messages for the next model call, kept under the run policy's maxContextTokens: the system prompt, tool
+   * definitions and completion are set aside, folder files get up to half of what is left, and the history
+   * gets the rest, condensed by _compactHistory when it no longer fits.
+   */
+  _buildMessages() {
+    const budget = this.runPolicy.maxContextTokens;
+    const fixed = estimateTokens(this.systemPrompt) + estimateTokens(JSON.stringify(this._getToolDefinitions())) + this.runPolicy.maxCompletionTokens;
+    const available = Math.max(budget - fixed, 0);
+    const folderContext = this._buildFolderContext(Math.min(Math.floor(budget * CONTEXT_FILES_SHARE), Math.floor(available / 2)));
+    this.lastTurnAt = Date.now();
+
     const systemContent = this.systemPrompt + folderContext;
-    
+    // A system prompt that fills the budget alone still leaves the history a minimum to work with
+    this._compactHistory(Math.max(available - estimateTokens(folderContext), Math.floor(budget / 10)));
+
     const messages = [
       { role: 'system', content: systemContent },
-      ...this.conversationHistory
+      ...this._assembleHistory()
     ];
 
     // CRITICAL: Verify that ALL assistant messages with tool_calls have all tool responses
@@ -617,6 +4921,9 @@ class Agent {
   async handleMessage(message) {
     this.updateActivity();
 
+    if (message?.changeRequest) {
+      this.changeRequests.set(message.changeRequest.id, message.changeRequest);
+    }
     if (message) {
       const shouldQueue = message.queue === true;
       if (shouldQueue) {
@@ -642,7 +4949,7 @@ class Agent {
    * Execute one agent reasoning turn
    */
   async _executeAgentTurn() {
-    if (this.isComplete) {
+    if (this.isComplete || this.isStopped) {
       return;
     }
 
@@ -654,196 +4961,26 @@ class Agent {
         timestamp: new Date().toISOString()
       });
 
-      if (this.talkCallCount >= this.maxTalkCalls) {
-        console.log(`⚠️  Agent '${this.name}' has reached max talk calls (${this.maxTalkCalls}), marking as complete`);
+      const exhausted = this._exhaustedBudget();
+      if (exhausted) {
+        console.log(`⚠️  Agent '${this.name}' has used up its ${exhausted.budget} (${exhausted.limit}), marking as complete`);
+        this.messageBus.emit('ws:broadcast', this.conversationId, {
+          type: 'agent:budget_exhausted',
+          agent: this.name,
+          ...exhausted,
+          timestamp: new Date().toISOString()
+        });
         this.complete();
         return;
       }
       
       console.log(`🧠 Agent '${this.name}' is thinking... (calls remaining: ${this.maxTalkCalls - this.talkCallCount})`);
       
+      this.turnCount++;
+      this._noteWorkspaceChanges();
       const messages = this._buildMessages();
       
-      const functions = [
-        {
-          name: 'talk',
-          description: `Send a message to another agent. ${this.maxTalkCalls - this.talkCallCount} calls remaining.`,
-          parameters: {
-            type: 'object',
-            properties: {
-              agentName: {
-                type: 'string',
-                enum: ['backend', 'devops', 'frontend'],
-                description: 'Agent to message'
-              },
-              message: {
-                type: 'string',
-                description: 'Your message'
-              }
-            },
-            required: ['agentName', 'message']
-          }
-        },
-        {
-          name: 'read_message',
-          description: 'Read the most recent message from your inbox queue.',
-          parameters: {
-            type: 'object',
-            properties: {},
-            additionalProperties: false
-          }
-        },
-        {
-          name: 'create_file',
-          description: 'CREATE a new file NOW. Put the complete file content in the content parameter. DO NOT describe it in text.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path like "backend/server.js" or "Dockerfile"'
-              },
-              content: {
-                type: 'string',
-                description: 'Complete file content - NOT a description, the ACTUAL code/config'
-              }
-            },
-            required: ['path', 'content']
-          }
-        },
-        {
-          name: 'read_file',
-          description: 'READ a file to see what it contains.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to read'
-              }
-            },
-            required: ['path']
-          }
-        },
-        {
-          name: 'str_replace',
-          description: 'MODIFY an existing file by replacing text. old_string must match exactly.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'File to modify'
-              },
-              old_string: {
-                type: 'string',
-                description: 'Exact text to find'
-              },
-              new_string: {
-                type: 'string',
-                description: 'Replacement text'
-              }
-            },
-            required: ['path', 'old_string', 'new_string']
-          }
-        },
-        {
-          name: 'list_files',
-          description: 'LIST all files in a directory.',
-          parameters: {
-            type: 'object',
-            properties: {
-              directory: {
-                type: 'string',
-                description: 'Directory path like "." or "backend/"'
-              }
-            },
-            required: ['directory']
-          }
-        },
-        {
-          name: 'delete_file',
-          description: 'DELETE a file from the workspace. Path must be within /tmp/project. Cannot delete directories.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'File path to delete, e.g., "backend/server.js" or "frontend/index.html"'
-              }
-            },
-            required: ['path']
-          }
-        },
-        {
-          name: 'create_file',
-          description: 'CREATE a new file NOW. Put the complete file content in the content parameter. DO NOT describe it in text.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path like "backend/server.js" or "Dockerfile"'
-              },
-              content: {
-                type: 'string',
-                description: 'Complete file content - NOT a description, the ACTUAL code/config'
-              }
-            },
-            required: ['path', 'content']
-          }
-        },
-        {
-          name: 'read_file',
-          description: 'READ a file to see what it contains.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'Path to read'
-              }
-            },
-            required: ['path']
-          }
-        },
-        {
-          name: 'str_replace',
-          description: 'MODIFY an existing file by replacing text. old_string must match exactly.',
-          parameters: {
-            type: 'object',
-            properties: {
-              path: {
-                type: 'string',
-                description: 'File to modify'
-              },
-              old_string: {
-                type: 'string',
-                description: 'Exact text to find'
-              },
-              new_string: {
-                type: 'string',
-                description: 'Replacement text'
-              }
-            },
-            required: ['path', 'old_string', 'new_string']
-          }
-        },
-        {
-          name: 'list_files',
-          description: 'LIST all files in a directory.',
-          parameters: {
-            type: 'object',
-            properties: {
-              directory: {
-                type: 'string',
-                description: 'Directory path like "." or "backend/"'
-              }
-            },
-            required: ['directory']
-          }
-        }
-      ];
+      const functions = this._getToolDefinitions();
       
       const totalInteractions = this.conversationHistory.filter(m => m.role === 'user').length;
       let toolChoice = 'auto';
@@ -911,14 +5048,33 @@ class Agent {
         }
       }
       
-      const result = await openaiClient.chat.completions.create({
-        model: 'gpt-5.1',
+      const model = this.model || this.provider.model;
+      const result = await this.provider.createChatCompletion({
+        model,
         messages: messages,
         tools: tools,
         tool_choice: toolChoice,
         temperature: 0.3,
-        max_completion_tokens: 1500
+        max_completion_tokens: this.runPolicy.maxCompletionTokens
+      }, {
+        agentName: this.name,
+        conversationId: this.conversationId
+      });
+
+      this.contextRetries = 0;
+      // Tokens are spent even when the response is dropped below
+      this.messageBus.emit('usage:recorded', {
+        agent: this.name,
+        turn: this.turnCount,
+        model: result.model || model,
+        usage: this.usageMeter.record(this.name, model, result.usage, result.model)
       });
+
+      // The conversation ended while the model was thinking - drop the response so history stays consistent
+      if (this.isStopped) {
+        console.log(`⏹️  Agent '${this.name}' was stopped during its turn, discarding response`);
+        return;
+      }
       
       const responseMessage = result.choices[0].message;
       
@@ -1034,7 +5190,55 @@ Try again with:
             timestamp: new Date().toISOString()
           });
 
+          const callLocks = []; // Write locks taken just for this call, released when it ends
           try {
+            // The model only sees allowed tools, but scripted and replayed runs can still ask for others
+            if (!this._isToolAllowed(functionName)) {
+              throw new Error(`Tool not available: ${functionName}. Your tools: ${this._getToolDefinitions().map(fn => fn.name).join(', ')}`);
+            }
+            if (this.runPolicy.maxToolCalls !== null && this.toolCallCount >= this.runPolicy.maxToolCalls) {
+              throw new Error(`Tool call budget exhausted: you have used all ${this.runPolicy.maxToolCalls} tool calls of this run`);
+            }
+            this.toolCallCount++;
+            // Writes into another agent's files are refused, or handed to the owner as a change request
+            const blockedWrites = this.ownership?.blockedWrites(this.name, functionName, functionArgs) || new Map();
+            if (blockedWrites.size > 0) {
+              const owned = Array.from(blockedWrites, ([owner, paths]) => `${paths.join(', ')} (owned by ${owner})`).join(' and ');
+              if (this.ownership.mode === 'deny') {
+                throw new Error(`Write denied: ${owned}. Ask the owner with talk() to make this change`);
+              }
+              if (blockedWrites.size > 1) {
+                throw new Error(`Write denied: this ${functionName} touches ${owned}. Split it into one change per owner`);
+              }
+
+              const [[owner, paths]] = blockedWrites;
+              const result = this._sendChangeRequest(owner, functionName, functionArgs, paths);
+              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
+              const insertIndex = getToolResponseInsertionIndex();
+              this.conversationHistory.splice(insertIndex, 0, {
+                role: 'tool',
+                tool_call_id: toolCallId,
+                content: result
+              });
+              processedToolCallIds.add(toolCallId);
+
+              this.messageBus.emit('ws:broadcast', this.conversationId, {
+                type: 'tool:result',
+                agent: this.name,
+                tool: functionName,
+                result,
+                timestamp: new Date().toISOString()
+              });
+              continue;
+            }
+            if (this.approvals?.requiresApproval(functionName, functionArgs)) {
+              await this._awaitApproval(functionName, functionArgs);
+            }
+            // Queue behind other agents' locks on the files this call writes instead of failing at once
+            for (const filePath of filePathsForToolCall(functionName, functionArgs)) {
+              const lock = await this.fileTools.lockFile(this.name, filePath, { mode: 'write', implicit: true });
+              if (!lock.reentrant) callLocks.push(lock.path);
+            }
             if (functionName === 'talk') {
               const result = await this.talk(functionArgs.agentName, functionArgs.message);
               // CRITICAL: Insert tool response IMMEDIATELY after assistant message
@@ -1051,10 +5255,59 @@ Try again with:
                 role: 'system',
                 content: `${functionName} succeeded and message to ${functionArgs.agentName} was sent. Proceed with next planned changes.`
               });
-            } else if (functionName === 'create_file') {
-              const result = fileTools.createFile(this.name, functionArgs.path, functionArgs.content);
-              console.log(`📝 ${this.name.toUpperCase()} created file: ${functionArgs.path}`);
-              
+            } else if (functionName === 'read_file') {
+              let content;
+              if (functionArgs.encoding === 'base64') {
+                const file = this.fileTools.readFileBase64(functionArgs.path);
+                content = `[${functionArgs.path}, ${file.type}, ${file.size} bytes, version ${file.version}, base64]\n${file.content}`;
+              } else if (functionArgs.offset !== undefined || functionArgs.limit !== undefined) {
+                const part = this.fileTools.readFileLines(functionArgs.path, functionArgs.offset ?? 1, functionArgs.limit ?? null);
+                content = `[Lines ${part.startLine}-${part.endLine} of ${part.totalLines} in ${functionArgs.path}, version ${part.version}]\n${part.content}`;
+              } else {
+                const fileContent = this.fileTools.readFile(functionArgs.path);
+                content = `[${functionArgs.path}, version ${contentVersion(fileContent)}]\n${fileContent}`;
+              }
+              console.log(`📖 ${this.name.toUpperCase()} read file: ${functionArgs.path}`);
+            
+              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
+              const insertIndex = getToolResponseInsertionIndex();
+              this.conversationHistory.splice(insertIndex, 0, {
+                role: 'tool',
+                tool_call_id: toolCallId,
+                content: content
+              });
+              processedToolCallIds.add(toolCallId);
+            
+              this.messageBus.emit('ws:broadcast', this.conversationId, {
+              type: 'file:read',
+              agent: this.name,
+              path: functionArgs.path,
+              timestamp: new Date().toISOString()
+            });
+
+              this.messageBus.emit('ws:broadcast', this.conversationId, {
+              type: 'tool:result',
+              agent: this.name,
+              tool: functionName,
+              result: content.length > 200 ? `${content.slice(0, 200)}...` : content,
+              timestamp: new Date().toISOString()
+            });
+
+              // Defer system message - must add AFTER all tool responses
+              deferredSystemMessages.push({
+                role: 'system',
+                content: `${functionName} succeeded for file ${functionArgs.path}. Proceed with next planned changes.`
+              });
+            } else if (FILE_WRITE_TOOLS.includes(functionName) || functionName === 'apply_patch') {
+              const result = applyFileToolCall(this.fileTools, this.name, functionName, functionArgs, { turn: this.turnCount, toolCallId });
+              if (functionName === 'create_file') {
+                console.log(`📝 ${this.name.toUpperCase()} created file: ${functionArgs.path}`);
+              } else if (functionName === 'delete_file') {
+                console.log(`🗑️ ${this.name.toUpperCase()} deleted file: ${functionArgs.path}`);
+              } else {
+                console.log(`✏️ ${this.name.toUpperCase()} ${functionName}: ${result}`);
+              }
+
               // CRITICAL: Insert tool response IMMEDIATELY after assistant message
               const insertIndex = getToolResponseInsertionIndex();
               this.conversationHistory.splice(insertIndex, 0, {
@@ -1063,21 +5316,91 @@ Try again with:
                 content: result
               });
               processedToolCallIds.add(toolCallId);
-              
-              // Emit file event
-              this.messageBus.emit('file:created', {
+
+              this._broadcastFileChanges(toolCallId, functionName);
+
+              this.messageBus.emit('ws:broadcast', this.conversationId, {
+                type: 'tool:result',
                 agent: this.name,
-                path: functionArgs.path,
+                tool: functionName,
+                result,
                 timestamp: new Date().toISOString()
               });
-              
+
+              // Defer system message - must add AFTER all tool responses
+              const outcome = functionName === 'create_file' ? ` and file ${functionArgs.path} is successfully created`
+                : functionName === 'delete_file' ? ` and file ${functionArgs.path} is successfully deleted`
+                  : `. ${result}`;
+              deferredSystemMessages.push({
+                role: 'system',
+                content: `${functionName} succeeded${outcome}. Proceed with next planned changes.`
+              });
+            } else if (functionName === 'search_files' || functionName === 'find_files') {
+              let result;
+              if (functionName === 'search_files') {
+                const { matches, truncated } = await this.fileTools.searchFiles(functionArgs.pattern, {
+                  glob: functionArgs.glob || null,
+                  caseSensitive: functionArgs.case_sensitive !== false,
+                  regex: functionArgs.regex === true
+                });
+                result = matches.length === 0
+                  ? `No matches for ${functionArgs.regex === true ? `/${functionArgs.pattern}/` : JSON.stringify(functionArgs.pattern)}`
+                  : matches.map(m => `${m.path}:${m.line}: ${m.text}`).join('\n') + (truncated ? `\n[Only the first ${matches.length} matches are shown - narrow the pattern or glob]` : '');
+              } else {
+                const files = this.fileTools.findFiles(functionArgs.glob);
+                result = files.length === 0 ? `No files match ${functionArgs.glob}` : files.join('\n');
+              }
+              console.log(`🔎 ${this.name.toUpperCase()} ${functionName}: ${functionArgs.pattern || functionArgs.glob}`);
+
+              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
+              const insertIndex = getToolResponseInsertionIndex();
+              this.conversationHistory.splice(insertIndex, 0, {
+                role: 'tool',
+                tool_call_id: toolCallId,
+                content: result
+              });
+              processedToolCallIds.add(toolCallId);
+
               this.messageBus.emit('ws:broadcast', this.conversationId, {
-                type: 'file:created',
+                type: 'tool:result',
                 agent: this.name,
-                path: functionArgs.path,
-                content: functionArgs.content.substring(0, 200) + '...', // Truncate for WS
+                tool: functionName,
+                result: result.length > 200 ? `${result.slice(0, 200)}...` : result,
                 timestamp: new Date().toISOString()
               });
+            } else if (functionName === 'review_change') {
+              const request = this.changeRequests.get(functionArgs.request_id);
+              if (!request) {
+                throw new Error(`Unknown change request: ${functionArgs.request_id}. Pending: ${Array.from(this.changeRequests.keys()).join(', ') || 'none'}`);
+              }
+              if (functionArgs.decision !== 'accept' && functionArgs.decision !== 'reject') {
+                throw new Error(`Invalid decision: ${functionArgs.decision}. Use "accept" or "reject"`);
+              }
+              this.changeRequests.delete(request.id);
+
+              let result;
+              if (functionArgs.decision === 'accept') {
+                try {
+                  result = await this._applyChangeRequest(request, toolCallId);
+                } catch (error) {
+                  this._answerChangeRequest(request, 'failed', error.message);
+                  throw new Error(`Change request ${request.id} could not be applied: ${error.message}`);
+                }
+                this._answerChangeRequest(request, 'accepted', functionArgs.reason);
+              } else {
+                this._answerChangeRequest(request, 'rejected', functionArgs.reason);
+                result = `Rejected change request ${request.id}; ${request.from} has been told.`;
+              }
+              console.log(`📋 ${this.name.toUpperCase()} ${functionArgs.decision}ed ${request.id} from ${request.from}`);
+
+              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
+              const insertIndex = getToolResponseInsertionIndex();
+              this.conversationHistory.splice(insertIndex, 0, {
+                role: 'tool',
+                tool_call_id: toolCallId,
+                content: result
+              });
+              processedToolCallIds.add(toolCallId);
 
               this.messageBus.emit('ws:broadcast', this.conversationId, {
                 type: 'tool:result',
@@ -1086,49 +5409,95 @@ Try again with:
                 result,
                 timestamp: new Date().toISOString()
               });
+            } else if (TASK_TOOLS.includes(functionName)) {
+              const result = this._runTaskTool(functionName, functionArgs);
+              console.log(`🗂️  ${this.name.toUpperCase()} ${functionName}${functionArgs.task_id ? ` ${functionArgs.task_id}` : ''}`);
 
-              // Defer system message - must add AFTER all tool responses
-              deferredSystemMessages.push({
-                role: 'system',
-                content: `${functionName} succeeded and file ${functionArgs.path} is successfully created. Proceed with next planned changes.`
-              });
-            } else if (functionName === 'read_file') {
-              const content = fileTools.readFile(functionArgs.path);
-              console.log(`📖 ${this.name.toUpperCase()} read file: ${functionArgs.path}`);
-            
               // CRITICAL: Insert tool response IMMEDIATELY after assistant message
               const insertIndex = getToolResponseInsertionIndex();
               this.conversationHistory.splice(insertIndex, 0, {
                 role: 'tool',
                 tool_call_id: toolCallId,
-                content: content
+                content: result
               });
               processedToolCallIds.add(toolCallId);
-            
+
               this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'file:read',
-              agent: this.name,
-              path: functionArgs.path,
-              timestamp: new Date().toISOString()
-            });
+                type: 'tool:result',
+                agent: this.name,
+                tool: functionName,
+                result: result.length > 200 ? `${result.slice(0, 200)}...` : result,
+                timestamp: new Date().toISOString()
+              });
+            } else if (functionName === 'lock_file' || functionName === 'unlock_file') {
+              let result;
+              if (functionName === 'lock_file') {
+                const mode = functionArgs.mode || 'write';
+                const leaseMs = functionArgs.lease_seconds > 0
+                  ? Math.min(functionArgs.lease_seconds * 1000, LOCK_MAX_LEASE_MS)
+                  : this.fileTools.lockManager.leaseMs;
+                const lock = await this.fileTools.lockFile(this.name, functionArgs.path, { mode, leaseMs });
+                result = `Locked ${functionArgs.path} for ${lock.mode === 'write' ? 'writing' : 'reading'} until ${new Date(lock.expiresAt).toISOString()}. Call unlock_file("${functionArgs.path}") as soon as you are done.`;
+                console.log(`🔒 ${this.name.toUpperCase()} locked ${functionArgs.path} (${lock.mode})`);
+              } else {
+                result = this.fileTools.unlockFile(this.name, functionArgs.path);
+                console.log(`🔓 ${this.name.toUpperCase()} unlocked ${functionArgs.path}`);
+              }
+
+              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
+              const insertIndex = getToolResponseInsertionIndex();
+              this.conversationHistory.splice(insertIndex, 0, {
+                role: 'tool',
+                tool_call_id: toolCallId,
+                content: result
+              });
+              processedToolCallIds.add(toolCallId);
 
               this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'tool:result',
-              agent: this.name,
-              tool: functionName,
-              result: content.length > 200 ? `${content.slice(0, 200)}...` : content,
-              timestamp: new Date().toISOString()
-            });
+                type: 'tool:result',
+                agent: this.name,
+                tool: functionName,
+                result,
+                timestamp: new Date().toISOString()
+              });
+            } else if (functionName === 'run_command') {
+              const cwd = this.fileTools.resolveDirectory(functionArgs.cwd || '.');
+              const timeoutMs = functionArgs.timeout_seconds > 0
+                ? Math.min(functionArgs.timeout_seconds * 1000, commandSandbox.timeoutMs)
+                : commandSandbox.timeoutMs;
+              const broadcastCommandEvent = (type, fields) => {
+                this.messageBus.emit('ws:broadcast', this.conversationId, {
+                  type,
+                  agent: this.name,
+                  commandId: toolCallId,
+                  ...fields,
+                  timestamp: new Date().toISOString()
+                });
+              };
+              console.log(`▶️  ${this.name.toUpperCase()} running: ${functionArgs.command}`);
 
-              // Defer system message - must add AFTER all tool responses
-              deferredSystemMessages.push({
-                role: 'system',
-                content: `${functionName} succeeded for file ${functionArgs.path}. Proceed with next planned changes.`
+              broadcastCommandEvent('command:started', { command: functionArgs.command, cwd: functionArgs.cwd || '.' });
+              const run = await commandSandbox.run(functionArgs.command, {
+                workspaceRoot: this.fileTools.workspaceRoot,
+                cwd,
+                timeoutMs,
+                onOutput: (stream, data) => {
+                  this.updateActivity(); // A command that is still printing is not an idle agent
+                  broadcastCommandEvent('command:output', { stream, data });
+                }
               });
-            } else if (functionName === 'str_replace') {
-              const result = fileTools.strReplace(this.name, functionArgs.path, functionArgs.old_string, functionArgs.new_string);
-              console.log(`✏️ ${this.name.toUpperCase()} modified file: ${functionArgs.path}`);
-            
+              broadcastCommandEvent('command:exit', { exitCode: run.exitCode, signal: run.signal, timedOut: run.timedOut, durationMs: run.durationMs });
+              console.log(`⏹️  ${this.name.toUpperCase()} command exited with ${run.exitCode ?? run.signal}${run.timedOut ? ' (timed out)' : ''}`);
+
+              const status = run.exitCode !== null ? `Exit code: ${run.exitCode}` : `Exit code: none (killed by ${run.signal})`;
+              const result = [
+                `${status} after ${(run.durationMs / 1000).toFixed(1)}s`,
+                run.stdout && `--- stdout ---\n${run.stdout}`,
+                run.stderr && `--- stderr ---\n${run.stderr}`,
+                run.truncated && `[Output truncated at ${commandSandbox.outputLimit} characters]`,
+                run.timedOut && `[Timed out after ${timeoutMs / 1000}s and was killed]`
+              ].filter(Boolean).join('\n');
+
               // CRITICAL: Insert tool response IMMEDIATELY after assistant message
               const insertIndex = getToolResponseInsertionIndex();
               this.conversationHistory.splice(insertIndex, 0, {
@@ -1137,36 +5506,16 @@ Try again with:
                 content: result
               });
               processedToolCallIds.add(toolCallId);
-            
-              this.messageBus.emit('file:modified', {
-              agent: this.name,
-              path: functionArgs.path,
-              timestamp: new Date().toISOString()
-            });
-            
-              this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'file:modified',
-              agent: this.name,
-              path: functionArgs.path,
-              changes: `Replaced "${functionArgs.old_string}" with "${functionArgs.new_string}"`,
-              timestamp: new Date().toISOString()
-            });
 
               this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'tool:result',
-              agent: this.name,
-              tool: functionName,
-              result,
-              timestamp: new Date().toISOString()
-            });
-
-              // Defer system message - must add AFTER all tool responses
-              deferredSystemMessages.push({
-                role: 'system',
-                content: `${functionName} succeeded for file ${functionArgs.path}. Proceed with next planned changes.`
+                type: 'tool:result',
+                agent: this.name,
+                tool: functionName,
+                result: status,
+                timestamp: new Date().toISOString()
               });
             } else if (functionName === 'list_files') {
-              const files = fileTools.listFiles(functionArgs.directory || '.');
+              const files = this.fileTools.listFiles(functionArgs.directory || '.');
               console.log(`📂 ${this.name.toUpperCase()} listed files in: ${functionArgs.directory || '.'}`);
             
               this.conversationHistory.push({
@@ -1197,39 +5546,6 @@ Try again with:
                 role: 'system',
                 content: `${functionName} succeeded for directory ${functionArgs.directory || '.'}. Proceed with next planned changes.`
               });
-            } else if (functionName === 'delete_file') {
-              const result = fileTools.deleteFile(this.name, functionArgs.path);
-              console.log(`🗑️ ${this.name.toUpperCase()} deleted file: ${functionArgs.path}`);
-            
-              // CRITICAL: Insert tool response IMMEDIATELY after assistant message
-              const insertIndex = getToolResponseInsertionIndex();
-              this.conversationHistory.splice(insertIndex, 0, {
-                role: 'tool',
-                tool_call_id: toolCallId,
-                content: result
-              });
-              processedToolCallIds.add(toolCallId);
-            
-              this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'file:deleted',
-              agent: this.name,
-              path: functionArgs.path,
-              timestamp: new Date().toISOString()
-            });
-
-              this.messageBus.emit('ws:broadcast', this.conversationId, {
-              type: 'tool:result',
-              agent: this.name,
-              tool: functionName,
-              result,
-              timestamp: new Date().toISOString()
-            });
-
-              // Defer system message - must add AFTER all tool responses
-              deferredSystemMessages.push({
-                role: 'system',
-                content: `${functionName} succeeded and file ${functionArgs.path} is successfully deleted. Proceed with next planned changes.`
-              });
             } else if (functionName === 'read_message') {
               const delivery = this._readNextInboxMessage();
               // CRITICAL: Insert tool response IMMEDIATELY after assistant message
@@ -1270,6 +5586,8 @@ Try again with:
                 error: error.message,
                 timestamp: new Date().toISOString()
               });
+            } finally {
+              callLocks.forEach(lockPath => this.fileTools.lockManager.release(lockPath, this.name));
             }
           }
         } finally {
@@ -1339,17 +5657,17 @@ Try again with:
         // Agent responded with text but no function call
         this.textOnlyResponses++;
         
-        if (this.textOnlyResponses >= 2) {
-          // After 2 consecutive text-only responses, assume they're done
+        if (this.textOnlyResponses >= this.runPolicy.textOnlyLimit) {
+          // After enough consecutive text-only responses, assume they're done
           console.log(`✅ Agent '${this.name}' chose not to continue (${this.textOnlyResponses} text-only responses)`);
           this.complete();
         } else {
-          // First text-only response - give them a nudge to take action
-          console.log(`⚠️  Agent '${this.name}' responded with text only (${this.textOnlyResponses}/2)`);
+          // Below the limit - give them a nudge to take action
+          console.log(`⚠️  Agent '${this.name}' responded with text only (${this.textOnlyResponses}/${this.runPolicy.textOnlyLimit})`);
           
           // Send immediate nudge to take action
           setTimeout(() => {
-            if (!this.isComplete) {
+            if (!this.isComplete && !this.isStopped) {
               console.log(`🔔 Re-prompting '${this.name}' to take action...`);
               this.messageBus.emit(`message:${this.name}`, {
                 from: 'system',
@@ -1370,90 +5688,570 @@ What action will you take now?`,
       
     } catch (error) {
       console.error(`❌ Error in agent '${this.name}':`, error.message);
+      // The prompt was too long for the model after all: condense harder and try the turn again
+      if (/context length|context_length_exceeded|context window|prompt is too long|too many tokens/i.test(error.message) && this.contextRetries < 2) {
+        this.contextRetries++;
+        const historyTokens = this._assembleHistory().reduce((sum, msg) => sum + estimateTokens(msg), 0);
+        this._compactHistory(Math.floor(historyTokens / 4), 2);
+        this.messageBus.emit(`message:${this.name}`, {
+          from: 'system',
+          to: this.name,
+          content: 'Your earlier messages were condensed to fit the model\'s context window. Continue where you left off.',
+          autoRun: true,
+          deliverImmediately: true,
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+      this.complete();
+    }
+  }
+  
+  /**
+   * Broadcast a file:* event for every file a tool call changed, as recorded in the journal
+   */
+  _broadcastFileChanges(toolCallId, toolName) {
+    for (const change of this.fileTools.journal.entriesFor(toolCallId)) {
+      const eventType = change.before === null ? 'file:created' : change.after === null ? 'file:deleted' : 'file:modified';
+      this.messageBus.emit('ws:broadcast', this.conversationId, {
+        type: eventType,
+        agent: this.name,
+        path: change.path,
+        changes: toolName,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Run one of the TASK_TOOLS against the conversation's task board and return its result message.
+   * Changes are announced on the message bus; the conversation tells the affected agents.
+   */
+  _runTaskTool(toolName, args) {
+    const board = this.taskBoard;
+    switch (toolName) {
+      case 'create_tasks': {
+        const tasks = board.create(this.name, args.tasks);
+        this.messageBus.emit('tasks:changed', { agent: this.name, action: 'created', tasks });
+        return `Created ${tasks.length} task(s); their owners have been told:\n${board.summarize(tasks)}`;
+      }
+      case 'list_tasks':
+        return board.summarize(board.list({ owner: args.owner || null, status: args.status || null }));
+      case 'claim_task': {
+        const { task, previous } = board.claim(this.name, args.task_id);
+        this.messageBus.emit('tasks:changed', { agent: this.name, action: 'updated', tasks: [task], previous });
+        return `Claimed ${board.describe(task)}\n\nWhen the acceptance criteria are met, call update_task("${task.id}", status: "done") with a note.`;
+      }
+      case 'update_task': {
+        const { task, previous } = board.update(this.name, args.task_id, { status: args.status, note: args.note, owner: args.owner, priority: args.priority });
+        this.messageBus.emit('tasks:changed', { agent: this.name, action: 'updated', tasks: [task], previous });
+        return `Updated ${task.id}: status ${task.status}, owner ${task.owner || 'unassigned'}, ${task.priority} priority`;
+      }
+      default:
+        throw new Error(`Not a task tool: ${toolName}`);
+    }
+  }
+
+  /**
+   * Hand a write into another agent's files to that agent's inbox instead of applying it
+   */
+  _sendChangeRequest(owner, toolName, args, paths) {
+    const request = {
+      id: `change-${this.name}-${++this.changeRequestCount}`,
+      from: this.name,
+      owner,
+      tool: toolName,
+      args,
+      paths,
+      createdAt: new Date().toISOString()
+    };
+    console.log(`📋 ${this.name.toUpperCase()} sent change request ${request.id} to ${owner} (${toolName} on ${paths.join(', ')})`);
+
+    this.messageBus.emit(`message:${owner}`, {
+      from: this.name,
+      to: owner,
+      content: `CHANGE REQUEST ${request.id}: ${this.name} wants to run ${toolName} on ${paths.join(', ')}, which you own:\n${JSON.stringify(args, null, 2)}\n\nReview it, then call review_change("${request.id}", "accept" or "reject", reason).`,
+      changeRequest: request,
+      timestamp: request.createdAt,
+      queue: true
+    });
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'change:requested',
+      requestId: request.id,
+      agent: this.name,
+      owner,
+      tool: toolName,
+      paths,
+      args: this._sanitizeArgs(args),
+      timestamp: request.createdAt
+    });
+    this._emitStateChanged();
+
+    return `${paths.join(', ')} belongs to ${owner}, so nothing was written. Your ${toolName} was sent to ${owner} as change request ${request.id}; their decision will arrive in your inbox. Continue with other work meanwhile.`;
+  }
+
+  /**
+   * Apply an accepted change request as this (owning) agent, under the same approval and lock rules as its own writes
+   */
+  async _applyChangeRequest(request, toolCallId) {
+    if (this.approvals?.requiresApproval(request.tool, request.args)) {
+      await this._awaitApproval(request.tool, request.args);
+    }
+    const held = [];
+    try {
+      for (const filePath of request.paths) {
+        const lock = await this.fileTools.lockFile(this.name, filePath, { mode: 'write', implicit: true });
+        if (!lock.reentrant) held.push(lock.path);
+      }
+      const result = applyFileToolCall(this.fileTools, this.name, request.tool, request.args, { turn: this.turnCount, toolCallId });
+      this._broadcastFileChanges(toolCallId, request.tool);
+      return `Accepted change request ${request.id} from ${request.from}. ${result}`;
+    } finally {
+      held.forEach(lockPath => this.fileTools.lockManager.release(lockPath, this.name));
+    }
+  }
+
+  // Tell the requesting agent what happened to its change request
+  _answerChangeRequest(request, status, reason = '') {
+    const outcome = {
+      accepted: 'accepted and applied',
+      rejected: 'rejected',
+      failed: 'accepted, but it could not be applied'
+    }[status];
+    this.messageBus.emit(`message:${request.from}`, {
+      from: this.name,
+      to: request.from,
+      content: `${this.name} ${outcome} your change request ${request.id} (${request.tool} on ${request.paths.join(', ')})${reason ? `: ${reason}` : '.'}`,
+      timestamp: new Date().toISOString(),
+      queue: true
+    });
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'change:resolved',
+      requestId: request.id,
+      agent: this.name,
+      from: request.from,
+      status,
+      reason: reason || null,
+      timestamp: new Date().toISOString()
+    });
+    this._emitStateChanged();
+  }
+
+  /**
+   * Talk function - Send message to another agent
+   */
+  async talk(agentName, message) {
+    if (this.talkCallCount >= this.maxTalkCalls) {
+      const errorMsg = `Cannot talk: Agent '${this.name}' has reached maximum talk calls (${this.maxTalkCalls})`;
+      console.log(`⛔ ${errorMsg}`);
+      return errorMsg;
+    }
+    if (agentName !== 'user' && !this.teammates.includes(agentName)) {
+      return `Cannot talk: '${agentName}' is not on this team. You can talk to: ${[...this.teammates, 'user'].join(', ')}`;
+    }
+    
+    this.talkCallCount++;
+    console.log(`\n💬 ${this.name.toUpperCase()} Agent calling talk() [${this.talkCallCount}/${this.maxTalkCalls}] -> '${agentName}':`);
+    console.log(`   "${message}"\n`);
+    
+    // Emit message to the message bus (the human reads theirs from the WebSocket stream)
+    if (agentName !== 'user') {
+      this.messageBus.emit(`message:${agentName}`, {
+        from: this.name,
+        to: agentName,
+        content: message,
+        timestamp: new Date().toISOString(),
+        queue: true
+      });
+    }
+    
+    // Emit event for WebSocket
+    this.messageBus.emit('ws:broadcast', this.conversationId, {
+      type: 'agent:talk',
+      agent: this.name,
+      to: agentName,
+      message: message,
+      callNum: this.talkCallCount,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Store in conversation history
+    this.messageBus.emit('conversation:message', {
+      conversationId: this.conversationId,
+      agent: this.name,
+      to: agentName,
+      message: message,
+      callCount: this.talkCallCount,
+      timestamp: new Date().toISOString()
+    });
+    
+    // Check if we've reached the limit
+    if (this.talkCallCount >= this.maxTalkCalls) {
+      console.log(`⚠️  Agent '${this.name}' has used all talk calls, marking as complete`);
       this.complete();
     }
+
+    if (agentName === 'user') {
+      return 'Message sent successfully to the user. Their answer, if any, will arrive in your inbox - keep working in the meantime.';
+    }
+    
+    return `Message sent successfully to ${agentName}`;
+  }
+  
+  /**
+   * Mark this agent as complete
+   */
+  complete() {
+    if (!this.isComplete) {
+      this.isComplete = true;
+      console.log(`🏁 Agent '${this.name}' marked as complete`);
+      this.fileTools.lockManager.releaseAll(this.name, 'agent-complete');
+      this.messageBus.emit('agent:complete', {
+        conversationId: this.conversationId,
+        agentName: this.name
+      });
+      
+      this.messageBus.emit('ws:broadcast', this.conversationId, {
+        type: 'agent:status',
+        agent: this.name,
+        status: 'complete',
+        timestamp: new Date().toISOString()
+      });
+      this._emitStateChanged();
+    }
+  }
+}
+
+/**
+ * Create the agents of a conversation and drive them until they all complete, time out or are stopped.
+ * Shared by /start-conversation and /conversations/:id/resume. The team (see loadTeam) decides which
+ * agents take part. With agentStates, agents are rebuilt
+ * from their saved history, inbox and counters instead of starting fresh.
+ */
+function runConversation({ conversationId, topic, team, provider, fileTools, record = false, agentStates = null, approvalPolicy = null, runPolicy = DEFAULT_RUN_POLICY, kickoff }) {
+  const stored = conversations.get(conversationId);
+  const messageBus = new EventEmitter();
+  const fullConversation = stored.conversation;
+  const completedAgents = new Set();
+  const recordedEvents = [];
+  const agentCount = team.agents.length;
+  const approvals = new ToolApprovalGate(approvalPolicy);
+  const ownership = new OwnershipRules(team);
+  const taskBoard = new TaskBoard(team, stored.tasks || [], fileTools.journal);
+  const usageMeter = new UsageMeter(stored.usage);
+  let planFallbackSent = false;
+  const unwatch = watchWorkspace(conversationId);
+
+  // Collect messages as they happen
+  messageBus.on('conversation:message', (data) => {
+    fullConversation.push({
+      agent: data.agent,
+      to: data.to,
+      message: data.message,
+      callCount: data.callCount,
+      timestamp: data.timestamp
+    });
+    persistConversation(conversationId);
+  });
+
+  // Persist agent memory (history, inbox, counters) as it changes
+  messageBus.on('agent:state', (data) => {
+    try {
+      conversationStore.saveAgentState(data.conversationId, data.agentName, data.state);
+    } catch (error) {
+      console.error(`⚠️  Failed to persist state for agent '${data.agentName}':`, error.message);
+    }
+  });
+  
+  // Setup WebSocket broadcaster
+  messageBus.on('ws:broadcast', (convId, event) => {
+    if (convId === conversationId) {
+      broadcastToConversation(convId, event);
+      if (record) {
+        recordedEvents.push(event);
+      }
+    }
+  });
+  
+  // Keep the running totals with the conversation and stream each call's usage to clients
+  messageBus.on('usage:recorded', ({ agent, turn, model, usage }) => {
+    stored.usage = usageMeter.toJSON();
+    persistConversation(conversationId);
+    broadcastToConversation(conversationId, {
+      type: 'usage:update',
+      agent,
+      turn,
+      model,
+      usage,
+      agentUsage: usageMeter.forAgent(agent),
+      totalUsage: usageMeter.total,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Keep the task board with the conversation, show changes to clients and tell the agents involved
+  messageBus.on('tasks:changed', ({ agent, action, tasks, previous = null }) => {
+    const firstPlan = action === 'created' && agent === taskBoard.coordinator && taskBoard.tasks.size === tasks.length;
+    stored.tasks = taskBoard.toJSON();
+    persistConversation(conversationId);
+
+    for (const task of tasks) {
+      broadcastToConversation(conversationId, {
+        type: `task:${action}`,
+        agent,
+        task,
+        previousStatus: previous?.status ?? null,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const notifications = taskBoard.notificationsFor(agent, tasks, previous);
+    // Agents the first plan leaves out would otherwise wait for work until the conversation times out
+    if (firstPlan) {
+      for (const worker of taskBoard.workers) {
+        if (taskBoard.list({ owner: worker }).length === 0) {
+          notifications.push({ to: worker, content: `The coordinator's plan has no tasks for you (use list_tasks to see it). Complete unless a teammate asks you for help.` });
+        }
+      }
+    }
+    for (const { to, content } of notifications) {
+      messageBus.emit(`message:${to}`, { from: agent, to, content, timestamp: new Date().toISOString(), queue: true });
+    }
+  });
+
+  // Track agent completion
+  messageBus.on('agent:complete', (data) => {
+    completedAgents.add(data.agentName);
+    console.log(`\n✓ Agent '${data.agentName}' completed (${completedAgents.size}/${agentCount} agents done)\n`);
+
+    // Without a plan the workers were never started; fall back to letting them pick their own work
+    if (data.agentName === team.coordinator && taskBoard.tasks.size === 0 && !planFallbackSent) {
+      planFallbackSent = true;
+      for (const worker of taskBoard.workers) {
+        messageBus.emit(`message:${worker}`, {
+          from: 'system',
+          to: worker,
+          content: `The coordinator finished without planning any tasks. User request: ${topic}. Please analyze this request from your domain perspective and contribute what you can, or complete if it is not relevant to you.`,
+          timestamp: new Date().toISOString(),
+          queue: true
+        });
+      }
+    }
+  });
+  
+  messageBus.on('agent:resumed', (data) => {
+    if (completedAgents.has(data.agentName)) {
+      completedAgents.delete(data.agentName);
+    }
+    console.log(`\n↺ Agent '${data.agentName}' resumed work (reason: ${data.reason || 'new message'})\n`);
+  });
+  
+  const workspaceContext = buildWorkspaceContext(fileTools);
+  // Create the team's agents with workspace awareness
+  // (one shared provider instance, so scripted runs keep a single cursor per agent)
+  const agents = {};
+  for (const agentConfig of team.agents) {
+    agents[agentConfig.name] = new Agent(agentConfig.name, loadAgentPrompt(agentConfig, ownership, team.coordinator ? taskBoard : null) + workspaceContext, conversationId, messageBus, {
+      provider,
+      fileTools,
+      folders: agentConfig.folders,
+      model: agentConfig.model,
+      maxTalkCalls: agentConfig.maxTalkCalls,
+      tools: agentConfig.tools,
+      teammates: team.agents.map(other => other.name).filter(name => name !== agentConfig.name),
+      approvals,
+      ownership,
+      taskBoard,
+      runPolicy,
+      usageMeter
+    });
+  }
+
+  if (agentStates) {
+    for (const [name, agent] of Object.entries(agents)) {
+      if (agentStates[name]) {
+        agent.restoreState(agentStates[name]);
+      }
+      if (agent.isComplete) {
+        completedAgents.add(name);
+      }
+    }
   }
   
-  /**
-   * Talk function - Send message to another agent
-   */
-  async talk(agentName, message) {
-    if (this.talkCallCount >= this.maxTalkCalls) {
-      const errorMsg = `Cannot talk: Agent '${this.name}' has reached maximum talk calls (${this.maxTalkCalls})`;
-      console.log(`⛔ ${errorMsg}`);
-      return errorMsg;
+  // Nudge mechanism: check for idle agents periodically (a nudgeIntervalMs of 0 turns it off)
+  const nudgeInterval = runPolicy.nudgeIntervalMs > 0 && setInterval(() => {
+    for (const [name, agent] of Object.entries(agents)) {
+      if (!agent.isComplete && agent.getIdleTime() > runPolicy.idleMs) {
+        console.log(`⏰ Nudging idle agent: ${name} (idle for ${Math.round(agent.getIdleTime()/1000)}s)`);
+        
+        messageBus.emit(`message:${name}`, {
+          from: 'system',
+          to: name,
+          content: runPolicy.nudgeMessage,
+          timestamp: new Date().toISOString()
+        });
+        
+        agent.updateActivity(); // Reset timer after nudge
+      }
     }
+  }, runPolicy.nudgeIntervalMs);
+  
+  // Create a promise that resolves when conversation is complete
+  const conversationComplete = new Promise((resolve, reject) => {
+    // Store timeout ID so we can clear it if needed
+    const timeoutId = setTimeout(() => {
+      console.log(`\n⏰ Conversation timeout reached (${Math.round(runPolicy.timeoutMs / 1000)}s)\n`);
+      resolve('timeout');
+    }, runPolicy.timeoutMs);
     
-    this.talkCallCount++;
-    console.log(`\n💬 ${this.name.toUpperCase()} Agent calling talk() [${this.talkCallCount}/${this.maxTalkCalls}] -> '${agentName}':`);
-    console.log(`   "${message}"\n`);
+    // Store resolve function to manually stop
+    conversationControls.set(conversationId, { resolve, timeoutId, agents, messageBus, approvals, taskBoard });
     
-    // Emit message to the message bus
-    this.messageBus.emit(`message:${agentName}`, {
-      from: this.name,
-      to: agentName,
-      content: message,
-      timestamp: new Date().toISOString(),
-      queue: true
-    });
+    // Check for completion
+    const checkComplete = () => {
+      if (completedAgents.size >= agentCount) {
+        clearTimeout(timeoutId);
+        console.log(`\n🎉 All ${agentCount} agents have completed!\n`);
+        resolve('complete');
+      }
+    };
     
-    // Emit event for WebSocket
-    this.messageBus.emit('ws:broadcast', this.conversationId, {
-      type: 'agent:talk',
-      agent: this.name,
-      to: agentName,
-      message: message,
-      callNum: this.talkCallCount,
-      timestamp: new Date().toISOString()
-    });
+    messageBus.on('agent:complete', checkComplete);
+  });
+  
+  // Kick the agents off once WebSocket clients had a chance to connect
+  setTimeout(() => kickoff(messageBus, agents), 1000); // Increased delay to allow WS connection
+  
+  // Handle conversation completion in background
+  conversationComplete.then(result => {
+    // Stop nudging
+    clearInterval(nudgeInterval);
+    conversationControls.delete(conversationId);
+
+    // Abandoned agents must not keep working; their saved state is what a resume starts from
+    for (const agent of Object.values(agents)) {
+      agent.stop();
+    }
+    approvals.cancelAll('Conversation ended before a decision was made');
+    unwatch();
     
-    // Store in conversation history
-    this.messageBus.emit('conversation:message', {
-      conversationId: this.conversationId,
-      agent: this.name,
-      message: message,
-      callCount: this.talkCallCount,
+    // Broadcast completion
+    broadcastToConversation(conversationId, {
+      type: 'conversation:complete',
+      conversationId,
+      summary: `Conversation completed with ${fullConversation.length} messages exchanged`,
+      status: result,
       timestamp: new Date().toISOString()
     });
     
-    // Check if we've reached the limit
-    if (this.talkCallCount >= this.maxTalkCalls) {
-      console.log(`⚠️  Agent '${this.name}' has used all talk calls, marking as complete`);
-      this.complete();
+    // Update stored conversation with final status
+    stored.status = result;
+    stored.finishedAt = new Date().toISOString();
+    persistConversation(conversationId);
+
+    if (record) {
+      try {
+        const recordingPath = saveRecording(conversationId, provider.toRecording({
+          conversationId,
+          topic,
+          status: result,
+          createdAt: stored.createdAt,
+          events: recordedEvents,
+          workspace: hashWorkspaceFiles(fileTools)
+        }));
+        console.log(`💾 Recording saved to ${recordingPath}`);
+      } catch (error) {
+        console.error(`❌ Failed to save recording for ${conversationId}:`, error.message);
+      }
     }
     
-    return `Message sent successfully to ${agentName}`;
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`✅ Conversation ${conversationId} finished`);
+    console.log(`📊 Total messages exchanged: ${fullConversation.length}`);
+    console.log(`${'='.repeat(80)}\n`);
+  });
+
+  return agents;
+}
+
+/**
+ * Resolve a provider from a request body option, falling back to a saved or default config
+ */
+function resolveProviderConfig(providerOptions, fallbackConfig = DEFAULT_PROVIDER_CONFIG) {
+  // Script files are read from the server's disk, so a request may not name one
+  if (providerOptions?.scriptFile !== undefined) {
+    throw new Error('scriptFile can only be set with LLM_SCRIPT_FILE; pass the script inline as "script"');
   }
-  
-  /**
-   * Mark this agent as complete
-   */
-  complete() {
-    if (!this.isComplete) {
-      this.isComplete = true;
-      console.log(`🏁 Agent '${this.name}' marked as complete`);
-      this.messageBus.emit('agent:complete', {
-        conversationId: this.conversationId,
-        agentName: this.name
-      });
-      
-      this.messageBus.emit('ws:broadcast', this.conversationId, {
-        type: 'agent:status',
-        agent: this.name,
-        status: 'complete',
-        timestamp: new Date().toISOString()
-      });
+  // A provider with an explicit type replaces the fallback; otherwise overrides (e.g. model) are merged in
+  const config = providerOptions?.type
+    ? providerOptions
+    : { ...fallbackConfig, ...providerOptions };
+  // A key from the fallback must not follow a caller's baseURL to another host
+  if (providerOptions?.baseURL !== undefined && providerOptions.baseURL !== fallbackConfig.baseURL) {
+    return { ...config, apiKey: providerOptions.apiKey };
+  }
+  return config;
+}
+
+const seedUploads = new Map(); // uploadId -> validated files of an uploaded archive, until used or expired
+
+/**
+ * Write validated seed files into a new conversation's workspace
+ */
+function seedWorkspace(workspaceRoot, files) {
+  for (const file of files) {
+    const fullPath = path.resolve(workspaceRoot, file.path);
+    if (!fullPath.startsWith(workspaceRoot + path.sep)) {
+      throw new Error(`Unsafe path in seed: ${file.path}`);
     }
+    mkdirSync(path.dirname(fullPath), { recursive: true });
+    writeFileSync(fullPath, file.data);
   }
 }
 
+/**
+ * POST /workspaces/uploads
+ * Upload a zip or tar(.gz) archive to seed a conversation with; the body is the archive itself.
+ * Answers with an uploadId for `seed: { upload }` in /start-conversation.
+ */
+app.post('/workspaces/uploads', express.raw({ type: () => true, limit: SEED_MAX_BYTES }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the zip or tar.gz archive as the request body' });
+  }
+
+  let seed;
+  try {
+    const isZip = req.body.readUInt32LE(0) === 0x04034b50 || req.body.readUInt32LE(0) === 0x06054b50;
+    const entries = isZip ? readZipArchive(req.body, SEED_MAX_BYTES) : readTarArchive(req.body, SEED_MAX_BYTES);
+    seed = validateSeedFiles(entries);
+  } catch (error) {
+    // zlib reports an archive that inflates past the limit as a buffer error
+    const message = error.code === 'ERR_BUFFER_TOO_LARGE' ? `Seed is too large (limit ${SEED_MAX_BYTES} bytes)` : error.message;
+    return res.status(400).json({ error: 'Invalid archive', details: message });
+  }
+
+  const uploadId = `upload-${createHash('sha256').update(req.body).update(String(Date.now())).digest('hex').slice(0, 16)}`;
+  const expiresAt = Date.now() + SEED_UPLOAD_TTL_MS;
+  seedUploads.set(uploadId, { name: req.query.name || null, ...seed, expiresAt });
+  setTimeout(() => seedUploads.delete(uploadId), SEED_UPLOAD_TTL_MS).unref();
+
+  console.log(`📥 Seed upload ${uploadId}: ${seed.files.length} file(s), ${seed.totalBytes} bytes`);
+  res.json({
+    uploadId,
+    files: seed.files.length,
+    totalBytes: seed.totalBytes,
+    skipped: seed.skipped,
+    expiresAt: new Date(expiresAt).toISOString()
+  });
+});
+
 /**
  * POST /start-conversation
- * Start an autonomous conversation between Backend and DevOps agents
+ * Start an autonomous conversation between the agents of a team (default: backend, frontend, devops)
  */
 app.post('/start-conversation', async (req, res) => {
   try {
-    const { topic } = req.body;
+    const { topic, provider: providerOptions, record = RECORD_BY_DEFAULT, workspaceFrom, seed: seedOption, team: teamOption, approvalPolicy: approvalPolicyOption, runPolicy: runPolicyOption, gitWorkspace = GIT_WORKSPACE_BY_DEFAULT } = req.body;
 
     if (!topic) {
       return res.status(400).json({ 
@@ -1462,80 +6260,192 @@ app.post('/start-conversation', async (req, res) => {
       });
     }
 
-    const conversationId = Date.now().toString();
-    const messageBus = new EventEmitter();
-    const fullConversation = [];
-    const completedAgents = new Set();
+    let team;
+    try {
+      team = loadTeam(teamOption || DEFAULT_TEAM);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid team',
+        details: error.message,
+        example: { team: 'extended' }
+      });
+    }
+
+    let approvalPolicy;
+    try {
+      approvalPolicy = validateApprovalPolicy(approvalPolicyOption);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid approval policy',
+        details: error.message,
+        example: { approvalPolicy: { tools: ['delete_file'], paths: ['Dockerfile', 'devops/**'] } }
+      });
+    }
+
+    let runPolicy;
+    try {
+      runPolicy = validateRunPolicy(runPolicyOption);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid run policy',
+        details: error.message,
+        example: { runPolicy: { timeoutMs: 600000, maxTurns: 40, maxTokens: 200000 } }
+      });
+    }
+
+    let providerConfig;
+    let provider;
+    try {
+      providerConfig = resolveProviderConfig(providerOptions);
+      provider = createProvider(providerConfig);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid provider configuration',
+        details: error.message,
+        example: { provider: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1', model: 'llama3.1' } }
+      });
+    }
+    try {
+      checkCostCapsPriced(runPolicy, team, provider);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid run policy',
+        details: error.message,
+        example: { runPolicy: { maxTokens: 200000 } }
+      });
+    }
+    if (record) {
+      provider = new RecordingProvider(provider);
+    }
+
+    // Optionally start from an existing codebase: an uploaded archive or a local directory
+    let seed = null;
+    if (seedOption) {
+      if (workspaceFrom) {
+        return res.status(400).json({ error: 'Use either workspaceFrom or seed, not both' });
+      }
+      try {
+        if (seedOption.upload) {
+          const upload = seedUploads.get(seedOption.upload);
+          if (!upload) {
+            return res.status(404).json({ error: `Upload not found or expired: ${seedOption.upload}` });
+          }
+          seed = { type: 'upload', source: upload.name || seedOption.upload, files: upload.files };
+        } else if (seedOption.path) {
+          seed = { type: 'path', source: seedOption.path, files: validateSeedFiles(readSeedDirectory(seedOption.path)).files };
+        } else {
+          throw new Error('seed needs an upload id or a path');
+        }
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid seed',
+          details: error.message,
+          example: { seed: { upload: 'upload-<id from POST /workspaces/uploads>' } }
+        });
+      }
+    }
+
+    let conversationId = Date.now().toString();
+    // Two requests in the same millisecond must not share a workspace
+    while (conversations.has(conversationId)) {
+      conversationId = (Number(conversationId) + 1).toString();
+    }
+
+    // Optionally start from a copy of a previous conversation's workspace
+    if (workspaceFrom) {
+      let sourceRoot;
+      try {
+        sourceRoot = getWorkspacePath(workspaceFrom);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (!existsSync(sourceRoot)) {
+        return res.status(404).json({ error: `Workspace not found for conversation ${workspaceFrom}` });
+      }
+      cpSync(sourceRoot, getWorkspacePath(conversationId), { recursive: true });
+    }
+    if (seed) {
+      seedWorkspace(getWorkspacePath(conversationId), seed.files);
+      if (seed.type === 'upload') {
+        seedUploads.delete(seedOption.upload);
+      }
+      console.log(`🌱 Seeded workspace of ${conversationId} with ${seed.files.length} file(s) from ${seed.source}`);
+    }
+    const seedSummary = seed ? { type: seed.type, source: seed.source, files: seed.files.length } : null;
+    const fileTools = getWorkspaceTools(conversationId);
+    if (gitWorkspace) {
+      try {
+        fileTools.enableGit();
+      } catch (error) {
+        return res.status(500).json({ error: 'Failed to initialize the workspace git repository', details: error.message });
+      }
+    }
     
     console.log(`\n${'='.repeat(80)}`);
     console.log(`🚀 Starting autonomous conversation ${conversationId}`);
     console.log(`📝 Topic: "${topic}"`);
+    console.log(`🧩 Provider: ${provider.type} (${provider.model})`);
+    console.log(`👥 Team: ${team.name} (${team.agents.map(agent => agent.name).join(', ')})`);
     console.log(`${'='.repeat(80)}\n`);
 
-    // Collect messages as they happen
-    messageBus.on('conversation:message', (data) => {
-      fullConversation.push({
-        agent: data.agent,
-        message: data.message,
-        callCount: data.callCount,
-        timestamp: data.timestamp
-      });
-    });
-    
-    // Setup WebSocket broadcaster
-    messageBus.on('ws:broadcast', (convId, event) => {
-      if (convId === conversationId) {
-        broadcastToConversation(convId, event);
-      }
-    });
-    
-    // Track agent completion
-    messageBus.on('agent:complete', (data) => {
-      completedAgents.add(data.agentName);
-      console.log(`\n✓ Agent '${data.agentName}' completed (${completedAgents.size}/3 agents done)\n`);
-    });
-    
-    messageBus.on('agent:resumed', (data) => {
-      if (completedAgents.has(data.agentName)) {
-        completedAgents.delete(data.agentName);
-      }
-      console.log(`\n↺ Agent '${data.agentName}' resumed work (reason: ${data.reason || 'new message'})\n`);
+    // Store conversation initially. The provider config is kept (minus secrets and inline
+    // recordings) so a resumed run can talk to the same model.
+    const { apiKey, recording, ...persistedProviderConfig } = providerConfig;
+    conversations.set(conversationId, {
+      topic,
+      conversation: [],
+      createdAt: new Date().toISOString(),
+      status: 'active',
+      provider: provider.describe(),
+      providerConfig: persistedProviderConfig,
+      workspace: fileTools.workspaceRoot,
+      workspaceFrom: workspaceFrom || null,
+      seed: seedSummary,
+      gitWorkspace: !!fileTools.git,
+      team,
+      approvalPolicy,
+      runPolicy
     });
-    
-    const workspaceContext = buildWorkspaceContext();
-    // Create all three agents with workspace awareness
-    const backendAgent = new Agent('backend', BACKEND_PROMPT + workspaceContext, conversationId, messageBus);
-    const devopsAgent = new Agent('devops', DEVOPS_PROMPT + workspaceContext, conversationId, messageBus);
-    const frontendAgent = new Agent('frontend', FRONTEND_PROMPT + workspaceContext, conversationId, messageBus);
-    
-    const agents = { backend: backendAgent, devops: devopsAgent, frontend: frontendAgent };
-    
-    // Nudge mechanism: check for idle agents periodically
-    const nudgeInterval = setInterval(() => {
-      const IDLE_THRESHOLD = 20000; // 20 seconds of inactivity
-      
-      for (const [name, agent] of Object.entries(agents)) {
-        if (!agent.isComplete && agent.getIdleTime() > IDLE_THRESHOLD) {
-          console.log(`⏰ Nudging idle agent: ${name} (idle for ${Math.round(agent.getIdleTime()/1000)}s)`);
-          
-          messageBus.emit(`message:${name}`, {
-            from: 'system',
-            to: name,
-            content: `You've been idle for a while. What are your next steps?
-            
-- If you're waiting for another agent's response: Check their files with list_files() or read_file() instead of waiting. They may have already created what you need.
-- If you have more work to do: Continue implementing. Use create_file() to write more files.
-- If you asked a question and are waiting: DON'T WAIT. Make reasonable assumptions and keep building.
-- If you're truly done with your work: Mark yourself as complete.
+    persistConversation(conversationId);
 
-Remember: Your goal is to deliver a COMPLETE implementation, not a partial one. If you've only created 1-2 files, you're probably not done yet.`,
+    runConversation({
+      conversationId,
+      topic,
+      team,
+      provider,
+      fileTools,
+      record,
+      approvalPolicy,
+      runPolicy,
+      // Start the conversation by sending initial message to ALL agents
+      kickoff: (messageBus) => {
+        // A seeded workspace is an existing project to extend, not a blank slate
+        const existingProject = seedSummary
+          ? ` The workspace already contains an existing project (${seedSummary.files} files). Explore it with list_files, find_files and read_file before changing anything, and extend or fix it instead of starting over.`
+          : '';
+        // With a coordinator only it sees the request; the others start from the tasks it assigns
+        if (team.coordinator) {
+          const workers = team.agents.filter(agent => agent.name !== team.coordinator).map(agent => agent.name);
+          messageBus.emit(`message:${team.coordinator}`, {
+            from: 'system',
+            to: team.coordinator,
+            content: `User request: ${topic}.${existingProject} Break this request into tasks for ${workers.join(', ')} with create_tasks. Give every task one owner, the tasks it depends on and acceptance criteria.`,
             timestamp: new Date().toISOString()
           });
-          
-          agent.updateActivity(); // Reset timer after nudge
+          return;
+        }
+
+        const initialMsg = {
+          from: 'system',
+          content: `User request: ${topic}.${existingProject} Please analyze this request from your domain perspective (the team is: ${team.agents.map(agent => agent.name).join(', ')}). Use the talk function to coordinate with other agents as needed. In case this request is not relevant to you and you cannot anyhow contribute - you can complete immediately without talking.`,
+          timestamp: new Date().toISOString()
+        };
+        
+        for (const agentConfig of team.agents) {
+          messageBus.emit(`message:${agentConfig.name}`, { ...initialMsg, to: agentConfig.name });
         }
       }
-    }, 15000); // Check every 15 seconds
+    });
     
     // Notify WebSocket clients that conversation started
     setTimeout(() => {
@@ -1543,97 +6453,384 @@ Remember: Your goal is to deliver a COMPLETE implementation, not a partial one.
         type: 'conversation:started',
         conversationId,
         topic,
+        agents: team.agents.map(agent => agent.name),
         timestamp: new Date().toISOString()
       });
     }, 500);
-    
-    // Create a promise that resolves when conversation is complete
-    const conversationComplete = new Promise((resolve, reject) => {
-      // Store timeout ID so we can clear it if needed
-      const timeoutId = setTimeout(() => {
-        console.log('\n⏰ Conversation timeout reached (3 minutes)\n');
-        resolve('timeout');
-      }, 180000); // 3 minutes timeout
-      
-      // Store resolve function to manually stop
-      conversations.set(conversationId + '_control', { resolve, timeoutId });
-      
-      // Check for completion
-      const checkComplete = () => {
-        if (completedAgents.size >= 3) {
-          clearTimeout(timeoutId);
-          console.log('\n🎉 All 3 agents have completed!\n');
-          resolve('complete');
-        }
-      };
-      
-      messageBus.on('agent:complete', checkComplete);
+
+    // Return immediately
+    res.json({
+      success: true,
+      conversationId,
+      topic,
+      provider: provider.describe(),
+      recording: record ? `/recordings/${conversationId}` : null,
+      workspace: fileTools.workspaceRoot,
+      seed: seedSummary,
+      gitWorkspace: !!fileTools.git,
+      team: { name: team.name, agents: team.agents.map(agent => agent.name), coordinator: team.coordinator },
+      approvalPolicy,
+      runPolicy,
+      message: 'Conversation started successfully. Connect to WebSocket for updates.',
+      wsUrl: `ws://${req.headers.host}/ws?conversationId=${conversationId}`
     });
-    
-    // Start the conversation by sending initial message to ALL agents
-    setTimeout(() => {
-      const initialMsg = {
-        from: 'system',
-        content: `User request: ${topic}. Please analyze this request from your domain perspective (Backend, Frontend, or DevOps). Use the talk function to coordinate with other agents as needed. In case this request is not relevant to you and you cannot anyhow contribute - you can complete immediately without talking.`,
-        timestamp: new Date().toISOString()
-      };
-      
-      messageBus.emit('message:backend', { ...initialMsg, to: 'backend' });
-      messageBus.emit('message:frontend', { ...initialMsg, to: 'frontend' });
-      messageBus.emit('message:devops', { ...initialMsg, to: 'devops' });
-    }, 1000); // Increased delay to allow WS connection
-    
-    // Handle conversation completion in background
-    conversationComplete.then(result => {
-      // Stop nudging
-      clearInterval(nudgeInterval);
-      
-      // Broadcast completion
-      broadcastToConversation(conversationId, {
-        type: 'conversation:complete',
-        conversationId,
-        summary: `Conversation completed with ${fullConversation.length} messages exchanged`,
-        status: result,
-        timestamp: new Date().toISOString()
+
+  } catch (error) {
+    console.error('❌ Error in conversation:', error);
+    res.status(500).json({ 
+      error: 'Failed to conduct conversation',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * POST /conversations/:id/resume
+ * Continue a stopped, timed-out or interrupted conversation with the agents' memory intact
+ */
+app.post('/conversations/:id/resume', (req, res) => {
+  try {
+    const { id: conversationId } = req.params;
+    const { instruction, provider: providerOptions, runPolicy: runPolicyOption } = req.body || {};
+    const stored = conversations.get(conversationId);
+
+    if (!stored) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    if (conversationControls.has(conversationId)) {
+      return res.status(409).json({ error: 'Conversation is still running' });
+    }
+
+    const agentStates = conversationStore.getAgentStates(conversationId);
+    if (Object.keys(agentStates).length === 0) {
+      return res.status(409).json({ error: 'No saved agent state for this conversation' });
+    }
+    const hasOpenWork = Object.values(agentStates).some(state => !state.isComplete || state.inbox?.length > 0);
+    if (!hasOpenWork && !instruction) {
+      return res.status(409).json({
+        error: 'All agents already completed. Pass an instruction to give them follow-up work.',
+        example: { instruction: 'Add input validation to every endpoint' }
       });
-      
-      // Update stored conversation with final status
-      const stored = conversations.get(conversationId);
-      if (stored) {
-        stored.status = result;
-        stored.conversation = fullConversation;
+    }
+
+    let provider;
+    try {
+      provider = createProvider(resolveProviderConfig(providerOptions, stored.providerConfig || DEFAULT_PROVIDER_CONFIG));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid provider configuration', details: error.message });
+    }
+    // Fields given here override the saved policy for this and later resumes
+    let runPolicy;
+    try {
+      runPolicy = validateRunPolicy(runPolicyOption, { ...DEFAULT_RUN_POLICY, ...stored.runPolicy });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid run policy', details: error.message });
+    }
+    const fileTools = getWorkspaceTools(conversationId);
+    // Conversations saved before teams existed ran the default roster
+    let team;
+    try {
+      team = validateTeam(stored.team || readTeamFile('default'));
+    } catch (error) {
+      return res.status(409).json({ error: 'Saved team is no longer valid', details: error.message });
+    }
+    try {
+      checkCostCapsPriced(runPolicy, team, provider);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid run policy', details: error.message });
+    }
+
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`⏯️  Resuming conversation ${conversationId} (was: ${stored.status})`);
+    if (instruction) {
+      console.log(`📝 Follow-up: "${instruction}"`);
+    }
+    console.log(`${'='.repeat(80)}\n`);
+
+    stored.status = 'active';
+    stored.finishedAt = null;
+    stored.provider = provider.describe();
+    stored.runPolicy = runPolicy;
+    stored.resumes = [...(stored.resumes || []), { instruction: instruction || null, timestamp: new Date().toISOString() }];
+    persistConversation(conversationId);
+
+    runConversation({
+      conversationId,
+      topic: stored.topic,
+      team,
+      provider,
+      fileTools,
+      agentStates,
+      approvalPolicy: stored.approvalPolicy || null,
+      runPolicy,
+      kickoff: (messageBus, agents) => {
+        for (const [name, agent] of Object.entries(agents)) {
+          if (instruction && team.coordinator) {
+            // The coordinator turns the follow-up into tasks; workers hear about the ones they are given
+            if (name === team.coordinator) {
+              agent._resumeFromCompletion('follow_up');
+              messageBus.emit(`message:${name}`, {
+                from: 'system',
+                to: name,
+                content: `The user has a follow-up request for this project: ${instruction}. Check the task board with list_tasks and what has been built, then add the tasks it needs with create_tasks.`,
+                timestamp: new Date().toISOString()
+              });
+            } else if (!agent.isComplete) {
+              messageBus.emit(`message:${name}`, {
+                from: 'system',
+                to: name,
+                content: 'The conversation was interrupted and has now been resumed. Review your history, inbox and tasks (list_tasks), then continue where you left off.',
+                timestamp: new Date().toISOString()
+              });
+            }
+          } else if (instruction) {
+            // Follow-up work reopens agents that had already finished
+            agent._resumeFromCompletion('follow_up');
+            messageBus.emit(`message:${name}`, {
+              from: 'system',
+              to: name,
+              content: `The user has a follow-up request for this project: ${instruction}. Review what has already been built, then decide from your domain perspective what you need to do.`,
+              timestamp: new Date().toISOString()
+            });
+          } else if (!agent.isComplete) {
+            messageBus.emit(`message:${name}`, {
+              from: 'system',
+              to: name,
+              content: 'The conversation was interrupted and has now been resumed. Review your history and inbox, then continue where you left off.',
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
       }
-      
-      console.log(`\n${'='.repeat(80)}`);
-      console.log(`✅ Conversation ${conversationId} finished`);
-      console.log(`📊 Total messages exchanged: ${fullConversation.length}`);
-      console.log(`${'='.repeat(80)}\n`);
     });
-    
-    // Store conversation initially
-    conversations.set(conversationId, {
-      topic,
-      conversation: fullConversation,
-      createdAt: new Date().toISOString(),
-      status: 'active'
+
+    broadcastToConversation(conversationId, {
+      type: 'conversation:resumed',
+      conversationId,
+      topic: stored.topic,
+      agents: team.agents.map(agent => agent.name),
+      instruction: instruction || null,
+      timestamp: new Date().toISOString()
     });
 
-    // Return immediately
     res.json({
       success: true,
       conversationId,
-      topic,
-      message: 'Conversation started successfully. Connect to WebSocket for updates.',
+      topic: stored.topic,
+      provider: provider.describe(),
+      agents: Object.fromEntries(Object.entries(agentStates).map(([name, state]) => [name, {
+        isComplete: !!state.isComplete && !instruction,
+        talkCallCount: state.talkCallCount,
+        unread: state.inbox?.length || 0
+      }])),
+      runPolicy,
+      message: 'Conversation resumed. Connect to WebSocket for updates.',
       wsUrl: `ws://${req.headers.host}/ws?conversationId=${conversationId}`
     });
+  } catch (error) {
+    console.error('❌ Error resuming conversation:', error);
+    res.status(500).json({ error: 'Failed to resume conversation', details: error.message });
+  }
+});
+
+/**
+ * Queue a message from the human into an agent's inbox.
+ * Returns { status } on success or { status, error } when it cannot be delivered.
+ */
+function sendUserMessage(conversationId, agentName, message) {
+  if (!conversations.has(conversationId)) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  const control = conversationControls.get(conversationId);
+  if (!control) {
+    return { status: 409, error: 'Conversation is not running. Resume it to message its agents.' };
+  }
+  if (typeof message !== 'string' || !message.trim()) {
+    return { status: 400, error: 'message is required' };
+  }
+  if (!control.agents[agentName]) {
+    return { status: 400, error: `Unknown agent: ${agentName}. Use one of: ${Object.keys(control.agents).join(', ')}` };
+  }
+
+  const timestamp = new Date().toISOString();
+  console.log(`\n👤 USER -> '${agentName}': "${message}"\n`);
+
+  broadcastToConversation(conversationId, {
+    type: 'user:message',
+    agent: agentName,
+    message,
+    timestamp
+  });
+  control.messageBus.emit('conversation:message', {
+    conversationId,
+    agent: 'user',
+    to: agentName,
+    message,
+    timestamp
+  });
+  // Queued like any agent-to-agent talk, so the agent picks it up with read_message()
+  control.messageBus.emit(`message:${agentName}`, {
+    from: 'user',
+    to: agentName,
+    content: message,
+    timestamp,
+    queue: true
+  });
+
+  return { status: 200 };
+}
 
+/**
+ * Approve or deny a pending tool call of a running conversation.
+ * Returns { status, request } on success or { status, error } when there is nothing to decide.
+ */
+function decideApproval(conversationId, approvalId, decision, reason) {
+  if (!conversations.has(conversationId)) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  const control = conversationControls.get(conversationId);
+  if (!control) {
+    return { status: 409, error: 'Conversation is not running' };
+  }
+  if (decision !== 'approve' && decision !== 'deny') {
+    return { status: 400, error: 'decision must be "approve" or "deny"' };
+  }
+
+  const request = control.approvals.decide(approvalId, decision === 'approve', reason || null);
+  if (!request) {
+    return { status: 404, error: `No pending approval ${approvalId}` };
+  }
+  return { status: 200, request };
+}
+
+/**
+ * GET /conversations/:id/approvals
+ * List tool calls waiting for approval
+ */
+app.get('/conversations/:id/approvals', (req, res) => {
+  const stored = conversations.get(req.params.id);
+  if (!stored) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const control = conversationControls.get(req.params.id);
+  res.json({
+    approvalPolicy: stored.approvalPolicy || null,
+    pending: control ? control.approvals.listPending() : []
+  });
+});
+
+/**
+ * POST /conversations/:id/approvals/:approvalId
+ * Approve or deny a pending tool call
+ */
+app.post('/conversations/:id/approvals/:approvalId', (req, res) => {
+  const { decision, reason } = req.body || {};
+  const result = decideApproval(req.params.id, req.params.approvalId, decision, reason);
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, example: { decision: 'deny', reason: 'Keep the existing Dockerfile' } });
+  }
+
+  res.json({ success: true, approvalId: req.params.approvalId, decision, tool: result.request.tool, path: result.request.path });
+});
+
+/**
+ * Change the task board of a running conversation as the user. `change(board)` returns the changed
+ * tasks and their previous state; the conversation announces them like an agent's change.
+ * Returns { status, tasks } on success or { status, error } when the change is refused.
+ */
+function changeTasks(conversationId, action, change) {
+  if (!conversations.has(conversationId)) {
+    return { status: 404, error: 'Conversation not found' };
+  }
+  const control = conversationControls.get(conversationId);
+  if (!control) {
+    return { status: 409, error: 'Conversation is not running. Resume it to change its tasks.' };
+  }
+
+  let result;
+  try {
+    result = change(control.taskBoard);
   } catch (error) {
-    console.error('❌ Error in conversation:', error);
-    res.status(500).json({ 
-      error: 'Failed to conduct conversation',
-      details: error.message 
+    return { status: error.message.startsWith('Unknown task') ? 404 : 400, error: error.message };
+  }
+  control.messageBus.emit('tasks:changed', { agent: 'user', action, tasks: result.tasks, previous: result.previous || null });
+  return { status: action === 'created' ? 201 : 200, tasks: result.tasks };
+}
+
+/**
+ * GET /conversations/:id/tasks
+ * The conversation's task board, highest priority first
+ */
+app.get('/conversations/:id/tasks', (req, res) => {
+  const stored = conversations.get(req.params.id);
+  if (!stored) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const control = conversationControls.get(req.params.id);
+  const board = control ? control.taskBoard : new TaskBoard(stored.team || { agents: [] }, stored.tasks || []);
+  res.json({
+    coordinator: board.coordinator,
+    owners: board.workers,
+    statuses: TASK_STATUSES,
+    priorities: TASK_PRIORITIES,
+    tasks: board.list()
+  });
+});
+
+/**
+ * POST /conversations/:id/tasks
+ * Add a task to a running conversation; its owner (or else the coordinator) is told
+ */
+app.post('/conversations/:id/tasks', (req, res) => {
+  const { title, description, owner, dependsOn, acceptanceCriteria, priority } = req.body || {};
+  const result = changeTasks(req.params.id, 'created', board => ({
+    tasks: board.create('user', [{ title, description, owner, depends_on: dependsOn, acceptance_criteria: acceptanceCriteria, priority }])
+  }));
+
+  if (result.error) {
+    return res.status(result.status).json({
+      error: result.error,
+      example: { title: 'Add rate limiting', owner: 'backend', priority: 'high', acceptanceCriteria: ['More than 100 requests a minute get a 429'] }
     });
   }
+
+  res.status(result.status).json({ success: true, task: result.tasks[0] });
+});
+
+/**
+ * PATCH /conversations/:id/tasks/:taskId
+ * Change a task's status, owner or priority, or add a note, as the user
+ */
+app.patch('/conversations/:id/tasks/:taskId', (req, res) => {
+  const { status, owner, priority, note } = req.body || {};
+  const result = changeTasks(req.params.id, 'updated', (board) => {
+    const { task, previous } = board.update('user', req.params.taskId, { status, owner, priority, note });
+    return { tasks: [task], previous };
+  });
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, example: { priority: 'high', note: 'Needed for the demo' } });
+  }
+
+  res.json({ success: true, task: result.tasks[0] });
+});
+
+/**
+ * POST /conversations/:id/messages
+ * Send a message from the human to one agent of a running conversation
+ */
+app.post('/conversations/:id/messages', (req, res) => {
+  const { agent, message } = req.body || {};
+  const result = sendUserMessage(req.params.id, agent, message);
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, example: { agent: 'backend', message: 'Use PostgreSQL, not MongoDB' } });
+  }
+
+  res.json({ success: true, message: `Message queued for ${agent}` });
 });
 
 /**
@@ -1647,7 +6844,7 @@ app.post('/stop-conversation', (req, res) => {
     return res.status(400).json({ error: 'Conversation ID is required' });
   }
   
-  const control = conversations.get(conversationId + '_control');
+  const control = conversationControls.get(conversationId);
   
   if (control) {
     clearTimeout(control.timeoutId);
@@ -1663,26 +6860,26 @@ app.post('/stop-conversation', (req, res) => {
 
 /**
  * POST /wipe-workspace
- * Clears the /tmp/project workspace
+ * Clears one conversation's workspace
  */
 app.post('/wipe-workspace', (req, res) => {
   try {
     const { conversationId: targetConversationId } = req.body || {};
-    fileTools.wipeWorkspace();
 
-    const eventPayload = {
+    if (!targetConversationId) {
+      return res.status(400).json({ error: 'Conversation ID is required' });
+    }
+    if (!conversations.has(targetConversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    getWorkspaceTools(targetConversationId).wipeWorkspace();
+
+    broadcastToConversation(targetConversationId, {
       type: 'workspace:wiped',
       timestamp: new Date().toISOString(),
       message: 'Workspace reset to empty state'
-    };
-
-    if (targetConversationId) {
-      broadcastToConversation(targetConversationId, eventPayload);
-    } else {
-      for (const convId of conversationClients.keys()) {
-        broadcastToConversation(convId, eventPayload);
-      }
-    }
+    });
 
     res.json({ success: true, message: 'Workspace wiped successfully' });
   } catch (error) {
@@ -1691,6 +6888,147 @@ app.post('/wipe-workspace', (req, res) => {
   }
 });
 
+function parseCheckpoint(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const checkpoint = Number(value);
+  return Number.isInteger(checkpoint) ? checkpoint : NaN;
+}
+
+/**
+ * GET /conversations/:id/checkpoints
+ * List the workspace checkpoints (one per file change, tagged with agent, turn and tool_call_id)
+ */
+app.get('/conversations/:id/checkpoints', (req, res) => {
+  if (!conversations.has(req.params.id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const { journal } = getWorkspaceTools(req.params.id);
+  res.json({ latest: journal.latestCheckpoint, checkpoints: journal.listCheckpoints() });
+});
+
+/**
+ * GET /conversations/:id/checkpoints/diff?from=&to=
+ * Per-file line diffs between two checkpoints (defaults: from 0 to the latest)
+ */
+app.get('/conversations/:id/checkpoints/diff', (req, res) => {
+  if (!conversations.has(req.params.id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const fileTools = getWorkspaceTools(req.params.id);
+  const from = parseCheckpoint(req.query.from, 0);
+  const to = parseCheckpoint(req.query.to, fileTools.journal.latestCheckpoint);
+  try {
+    res.json({ from, to, files: fileTools.diffCheckpoints(from, to) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /conversations/:id/rollback
+ * Restore the workspace to a checkpoint
+ */
+app.post('/conversations/:id/rollback', (req, res) => {
+  const { id: conversationId } = req.params;
+  if (!conversations.has(conversationId)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const fileTools = getWorkspaceTools(conversationId);
+  const checkpoint = parseCheckpoint(req.body?.checkpoint, undefined);
+  if (checkpoint === undefined) {
+    return res.status(400).json({ error: 'checkpoint is required', example: { checkpoint: 3 } });
+  }
+
+  let result;
+  try {
+    result = fileTools.rollbackTo(checkpoint);
+  } catch (error) {
+    const status = error.message.includes('locked by') ? 409 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+
+  console.log(`⏪ Workspace of ${conversationId} rolled back to checkpoint ${checkpoint} (${result.restored.length} file(s))`);
+  broadcastToConversation(conversationId, {
+    type: 'workspace:rollback',
+    checkpoint,
+    files: result.restored,
+    latestCheckpoint: result.latestCheckpoint,
+    timestamp: new Date().toISOString()
+  });
+
+  res.json({ success: true, ...result });
+});
+
+/**
+ * The workspace repository of a conversation, or null after sending an error response
+ */
+function getRequestGitWorkspace(req, res) {
+  if (!conversations.has(req.params.id)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  const { git } = getWorkspaceTools(req.params.id);
+  if (!git) {
+    res.status(409).json({ error: 'This conversation does not have a git-backed workspace. Start it with "gitWorkspace": true.' });
+    return null;
+  }
+  return git;
+}
+
+/**
+ * GET /conversations/:id/git/log
+ * Commits of a git-backed workspace, newest first (one per agent tool call)
+ */
+app.get('/conversations/:id/git/log', async (req, res) => {
+  const git = getRequestGitWorkspace(req, res);
+  if (!git) return;
+
+  const limit = Math.min(Number(req.query.limit) || 200, 1000);
+  res.json({ commits: await git.log(limit) });
+});
+
+/**
+ * GET /conversations/:id/git/commits/:sha
+ * One commit with its diff
+ */
+app.get('/conversations/:id/git/commits/:sha', async (req, res) => {
+  const git = getRequestGitWorkspace(req, res);
+  if (!git) return;
+
+  if (!/^[0-9a-f]{4,40}$/i.test(req.params.sha)) {
+    return res.status(400).json({ error: 'Invalid commit sha' });
+  }
+  try {
+    res.json(await git.show(req.params.sha));
+  } catch (error) {
+    res.status(404).json({ error: `Commit not found: ${req.params.sha}` });
+  }
+});
+
+/**
+ * GET /conversations/:id/git/blame?path=
+ * Which agent wrote each line of a file
+ */
+app.get('/conversations/:id/git/blame', async (req, res) => {
+  const git = getRequestGitWorkspace(req, res);
+  if (!git) return;
+
+  const filePath = req.query.path;
+  if (!filePath) {
+    return res.status(400).json({ error: 'path query parameter is required' });
+  }
+  try {
+    // Validate like any other workspace path before handing it to git
+    getWorkspaceTools(req.params.id)._validatePath(filePath);
+    res.json({ path: filePath, lines: await git.blame(filePath) });
+  } catch (error) {
+    res.status(404).json({ error: error.message.split('\n')[0] });
+  }
+});
+
 /**
  * GET /conversations/:id
  * Retrieve a past conversation
@@ -1703,7 +7041,42 @@ app.get('/conversations/:id', (req, res) => {
     return res.status(404).json({ error: 'Conversation not found' });
   }
 
-  res.json(conversation);
+  // Conversations saved before run policies existed ran on the defaults
+  res.json({ ...conversation, runPolicy: { ...DEFAULT_RUN_POLICY, ...conversation.runPolicy } });
+});
+
+/**
+ * GET /conversations/:id/agents
+ * Retrieve each agent's saved state (history, inbox, talk counters)
+ */
+app.get('/conversations/:id/agents', (req, res) => {
+  const { id } = req.params;
+  if (!conversations.has(id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  try {
+    res.json({ agents: conversationStore.getAgentStates(id) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load agent state', details: error.message });
+  }
+});
+
+/**
+ * GET /conversations/:id/events
+ * Retrieve the full WebSocket event stream of a conversation
+ */
+app.get('/conversations/:id/events', (req, res) => {
+  const { id } = req.params;
+  if (!conversations.has(id)) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  try {
+    res.json({ events: conversationStore.getEvents(id) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load events', details: error.message });
+  }
 });
 
 /**
@@ -1715,36 +7088,210 @@ app.get('/conversations', (req, res) => {
     id,
     topic: data.topic,
     createdAt: data.createdAt,
+    finishedAt: data.finishedAt,
     messageCount: data.conversation.length,
-    status: data.status
+    status: data.status,
+    provider: data.provider,
+    usage: data.usage?.total || null,
+    agents: data.team ? data.team.agents.map(agent => agent.name) : ['backend', 'frontend', 'devops']
   }));
 
   res.json({ conversations: allConversations });
 });
 
+/**
+ * GET /teams
+ * List the team definitions in teams/ that /start-conversation accepts
+ */
+app.get('/teams', (req, res) => {
+  res.json({ defaultTeam: DEFAULT_TEAM, teams: listTeams() });
+});
+
+/**
+ * GET /recordings
+ * List recorded runs that can be replayed
+ */
+app.get('/recordings', (req, res) => {
+  if (!existsSync(RECORDINGS_DIR)) {
+    return res.json({ recordings: [] });
+  }
+
+  const recordings = readdirSync(RECORDINGS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        const recording = JSON.parse(readFileSync(path.join(RECORDINGS_DIR, file), 'utf-8'));
+        return {
+          id: path.basename(file, '.json'),
+          topic: recording.topic,
+          status: recording.status,
+          provider: recording.provider,
+          turns: Object.fromEntries(Object.entries(recording.agents || {}).map(([agent, turns]) => [agent, turns.length]))
+        };
+      } catch (error) {
+        return { id: path.basename(file, '.json'), error: error.message };
+      }
+    });
+
+  res.json({ recordings });
+});
+
+/**
+ * GET /recordings/:id
+ * Download a full recording (usable as a test fixture)
+ */
+app.get('/recordings/:id', (req, res) => {
+  try {
+    res.json(loadRecording(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 /**
  * GET /health
  * Health check endpoint
  */
 app.get('/health', (req, res) => {
+  let defaultProvider;
+  try {
+    defaultProvider = createProvider(DEFAULT_PROVIDER_CONFIG).describe();
+  } catch (error) {
+    defaultProvider = { type: DEFAULT_PROVIDER_CONFIG.type, error: error.message };
+  }
+
+  const activeConversations = Array.from(conversations.entries())
+    .filter(([, data]) => data.status === 'active')
+    .map(([id, data]) => ({ id, provider: data.provider }));
+
   res.json({ 
     status: 'ok',
     timestamp: new Date().toISOString(),
     openaiConfigured: !!process.env.OPENAI_API_KEY,
+    provider: defaultProvider,
+    conversationStore: conversationStore.type,
+    commandSandbox: commandSandbox.describe(),
+    activeConversations,
     version: '2.0-autonomous'
   });
 });
 
-// API endpoint to list all files in workspace
+/**
+ * Resolve the workspace named by ?conversationId=... or answer with an error
+ */
+function getRequestWorkspace(req, res) {
+  const { conversationId } = req.query;
+  if (!conversationId) {
+    res.status(400).json({ error: 'conversationId query parameter is required' });
+    return null;
+  }
+  if (!conversations.has(conversationId)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  return getWorkspaceTools(conversationId);
+}
+
+// API endpoint to list all files in a conversation's workspace
 app.get('/api/files', (req, res) => {
   try {
+    const fileTools = getRequestWorkspace(req, res);
+    if (!fileTools) return;
     const files = fileTools.listFiles('.');
-    res.json({ files });
+    res.json({ files, entries: files.map(file => fileTools.fileInfo(file)) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// API endpoint to search a conversation's workspace: ?pattern= (literal text, or a regex with regex=true)
+// or ?glob= (file names only)
+app.get('/api/search', async (req, res) => {
+  try {
+    const fileTools = getRequestWorkspace(req, res);
+    if (!fileTools) return;
+
+    const { pattern, glob, caseSensitive, regex } = req.query;
+    if (!pattern && !glob) {
+      return res.status(400).json({ error: 'pattern or glob query parameter is required' });
+    }
+    if (!pattern) {
+      return res.json({ files: fileTools.findFiles(glob) });
+    }
+
+    const maxResults = req.query.maxResults === undefined ? 200 : Number(req.query.maxResults);
+    if (!Number.isInteger(maxResults) || maxResults < 1) {
+      return res.status(400).json({ error: 'maxResults must be a positive integer (at most 1000 are returned)' });
+    }
+    res.json(await fileTools.searchFiles(pattern, {
+      glob: glob || null,
+      caseSensitive: caseSensitive !== 'false',
+      maxResults: Math.min(maxResults, 1000),
+      regex: regex === 'true'
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API endpoint to see who holds or waits for a lock on which file of a conversation's workspace
+app.get('/api/locks', (req, res) => {
+  const fileTools = getRequestWorkspace(req, res);
+  if (!fileTools) return;
+  res.json({ locks: fileTools.lockManager.list() });
+});
+
+// API endpoint to download a workspace, or one folder of it, as an archive:
+// ?conversationId=&format=zip|tar.gz&folder=&checkpoint=
+app.get('/api/workspace/archive', (req, res) => {
+  const fileTools = getRequestWorkspace(req, res);
+  if (!fileTools) return;
+
+  const { conversationId } = req.query;
+  const format = ARCHIVE_FORMATS[req.query.format || 'zip'];
+  if (!format) {
+    return res.status(400).json({ error: `Unknown archive format: ${req.query.format}. Use zip or tar.gz` });
+  }
+  const folder = req.query.folder || '.';
+  const checkpoint = parseCheckpoint(req.query.checkpoint, fileTools.journal.latestCheckpoint);
+
+  let files;
+  try {
+    // Archives are limited like seeds, so an export can always be uploaded again
+    files = fileTools.snapshotFiles({ folder, checkpoint, maxBytes: SEED_MAX_BYTES });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // The manifest says which agent wrote each file; it goes at the root of the archive
+  const generatedAt = new Date();
+  const manifest = {
+    conversationId,
+    topic: conversations.get(conversationId).topic,
+    folder,
+    checkpoint,
+    generatedAt: generatedAt.toISOString(),
+    files: files.map(file => ({ path: file.path, size: file.data.length, version: contentVersion(file.data), author: file.author }))
+  };
+  const entries = [
+    ...files.map(file => ({ name: file.path, data: file.data, mtime: file.mtime })),
+    { name: ARCHIVE_MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2) + '\n'), mtime: generatedAt }
+  ];
+
+  let archive;
+  try {
+    archive = format.build(entries);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const folderSuffix = folder === '.' ? '' : `-${folder.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^_+|_+$/g, '')}`;
+  console.log(`📦 Exported ${files.length} file(s) of ${conversationId} as ${format.extension}`);
+  res.set('Content-Type', format.contentType);
+  res.set('Content-Disposition', `attachment; filename="${conversationId}${folderSuffix}.${format.extension}"`);
+  res.send(archive);
+});
+
 // API endpoint to read a file's content
 // Use a regex route to match /api/files/ followed by any path
 app.get(/^\/api\/files\/(.+)$/, (req, res) => {
@@ -1758,11 +7305,20 @@ app.get(/^\/api\/files\/(.+)$/, (req, res) => {
       return res.status(400).json({ error: 'File path is required' });
     }
     
+    const fileTools = getRequestWorkspace(req, res);
+    if (!fileTools) return;
+
     // Decode the file path (it comes URL encoded)
     const decodedPath = decodeURIComponent(match[1]);
     
+    // Text comes back as is; binary files, and text beyond ?encoding=base64, as base64
+    const info = fileTools.fileInfo(decodedPath);
+    if (info.binary || req.query.encoding === 'base64') {
+      const file = fileTools.readFileBase64(decodedPath);
+      return res.json({ ...file, path: decodedPath, encoding: 'base64' });
+    }
     const content = fileTools.readFile(decodedPath);
-    res.json({ path: decodedPath, content });
+    res.json({ ...info, path: decodedPath, encoding: 'utf-8', content, version: contentVersion(content) });
   } catch (error) {
     res.status(404).json({ error: error.message });
   }
@@ -1784,6 +7340,7 @@ app.get('/', (req, res) => {
         'POST /start-conversation': 'Start an autonomous conversation between agents',
         'GET /conversations': 'List all conversations',
         'GET /conversations/:id': 'Get a specific conversation',
+        'GET /recordings': 'List recorded runs available for replay',
         'GET /health': 'Health check'
       },
       example: {
@@ -0,0 +1,138 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Tool Approvals - Matching calls wait for a human decision");
+
+// Longer than the 200 characters broadcast over the WebSocket, so the approver must fetch the full call
+const dockerfile = `FROM node:20\n${Array.from({ length: 12 }, (_, i) => `RUN echo "build step ${i + 1}"\n`).join('')}CMD ["node", "server.js"]\n`;
+
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/old.js', content: "// old\n" } }] },
+    { tool_calls: [{ name: 'delete_file', arguments: { path: 'backend/old.js' } }] },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'Dockerfile', content: dockerfile } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Start with a policy covering deletes and the Dockerfile
+    console.log("\n1. Starting a conversation with an approval policy...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        topic: 'Approval test',
+        provider: { type: 'scripted', script },
+        approvalPolicy: { tools: ['delete_file'], paths: ['Dockerfile'] }
+      })
+    });
+    const { conversationId } = await startRes.json();
+
+    // 2. Deny the delete over REST, approve the Dockerfile over the WebSocket
+    console.log("\n2. Answering approval requests...");
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const requests = [];
+    const resolved = [];
+    let approvedArgs = null;
+    const result = await new Promise((resolve) => {
+      ws.on('message', async (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'tool:approval_required') {
+          requests.push(event);
+          console.log(`✋ ${event.agent} asks to run ${event.tool} on ${event.path}`);
+          if (event.tool === 'delete_file') {
+            const { pending } = await (await fetch(`${API_URL}/conversations/${conversationId}/approvals`)).json();
+            if (!pending.some(p => p.approvalId === event.approvalId)) {
+              console.error('❌ Pending approval not listed');
+            }
+            await fetch(`${API_URL}/conversations/${conversationId}/approvals/${event.approvalId}`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ decision: 'deny', reason: 'Keep old.js' })
+            });
+          } else {
+            const { pending } = await (await fetch(`${API_URL}/conversations/${conversationId}/approvals`)).json();
+            approvedArgs = pending.find(p => p.approvalId === event.approvalId)?.args;
+            ws.send(JSON.stringify({ type: 'tool:approval', approvalId: event.approvalId, decision: 'approve' }));
+          }
+        } else if (event.type === 'tool:approval_resolved') {
+          resolved.push(event);
+        } else if (event.type === 'conversation:complete') {
+          resolve(event.status);
+        }
+      });
+      setTimeout(() => resolve('test-timeout'), 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 3. Check the outcome
+    console.log("\n3. Analyzing results...");
+    if (result !== 'complete' || requests.length !== 2) {
+      console.error(`❌ FAILURE: Expected 2 approval requests and completion, got ${requests.length} (${result})`);
+      return finish(1);
+    }
+    if (resolved.map(e => e.decision).join(',') !== 'denied,approved') {
+      console.error(`❌ FAILURE: Unexpected decisions: ${resolved.map(e => e.decision).join(',')}`);
+      return finish(1);
+    }
+
+    // The broadcast was shortened, the REST listing had the whole content
+    const dockerRequest = requests.find(e => e.tool === 'create_file');
+    if (!dockerRequest.argsTruncated || dockerRequest.args.content.length >= dockerfile.length || approvedArgs?.content !== dockerfile) {
+      console.error(`❌ FAILURE: Approver did not get the full create_file content: ${JSON.stringify(approvedArgs)}`);
+      return finish(1);
+    }
+    console.log(`✅ Approver saw all ${dockerfile.length} characters of the Dockerfile`);
+
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (!workspace.files.includes('backend/old.js') || !workspace.files.includes('Dockerfile')) {
+      console.error(`❌ FAILURE: Unexpected workspace: ${workspace.files.join(', ')}`);
+      return finish(1);
+    }
+
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const denial = agents.backend.conversationHistory.find(m => m.role === 'tool' && m.content.includes('Approval denied'));
+    if (!denial || !denial.content.includes('Keep old.js')) {
+      console.error('❌ FAILURE: The denial was not returned to the agent as a tool error');
+      return finish(1);
+    }
+    console.log(`✅ Agent saw: ${denial.content.split('\n')[0]}`);
+
+    console.log("\n✅ SUCCESS: Denied calls were skipped and approved calls ran.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
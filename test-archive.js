@@ -0,0 +1,165 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Workspace Archive - Export a workspace as zip or tar.gz with a manifest");
+
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/server.js', content: "const port = 8080;\n" } }] },
+    { tool_calls: [{ name: 'str_replace', arguments: { path: 'backend/server.js', old_string: '8080', new_string: '3000' } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/index.html', content: '<h1>App</h1>\n' } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// name -> content of every file in a zip, read through the local file headers
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf-8');
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+// name -> content of every file in a tar.gz
+function readTarGz(buffer) {
+  const tar = zlib.gunzipSync(buffer);
+  const files = {};
+  for (let offset = 0; offset + 512 <= tar.length && tar[offset] !== 0;) {
+    const field = (start, length) => tar.toString('utf-8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const name = (prefix ? `${prefix}/` : '') + field(0, 100);
+    const size = parseInt(field(124, 12), 8);
+    files[name] = tar.toString('utf-8', offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+async function download(query) {
+  const res = await fetch(`${API_URL}/api/workspace/archive?${query}`);
+  return { status: res.status, disposition: res.headers.get('content-disposition'), body: Buffer.from(await res.arrayBuffer()) };
+}
+
+async function runTest() {
+  // A small archive limit (SEED_MAX_BYTES) that the scripted files fit in
+  const workspaceDir = mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', PROJECT_WORKSPACE: workspaceDir, SEED_MAX_BYTES: '4096' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(workspaceDir, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation
+    console.log("\n1. Running the scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Archive test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        if (JSON.parse(data).type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. Zip of the whole workspace with a manifest
+    console.log("\n2. Downloading a zip...");
+    const zip = await download(`conversationId=${conversationId}&format=zip`);
+    const zipped = readZip(zip.body);
+    const manifest = JSON.parse(zipped['agents-manifest.json'] || '{}');
+    const authors = Object.fromEntries((manifest.files || []).map(file => [file.path, file.author]));
+    if (zip.status !== 200 || zip.disposition !== `attachment; filename="${conversationId}.zip"`
+      || zipped['backend/server.js'] !== 'const port = 3000;\n' || zipped['frontend/index.html'] !== '<h1>App</h1>\n'
+      || manifest.conversationId !== conversationId || authors['backend/server.js'] !== 'backend' || authors['frontend/index.html'] !== 'frontend') {
+      console.error(`❌ FAILURE: Unexpected zip (${zip.status}): ${JSON.stringify(zipped)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${Object.keys(zipped).join(', ')}`);
+
+    // 3. tar.gz of one folder at the checkpoint where backend/server.js was created
+    console.log("\n3. Downloading a tar.gz of backend/ at a checkpoint...");
+    const { checkpoints } = await (await fetch(`${API_URL}/conversations/${conversationId}/checkpoints`)).json();
+    const created = checkpoints.find(c => c.tool === 'create_file' && c.path === 'backend/server.js');
+    const tarball = await download(`conversationId=${conversationId}&format=tar.gz&folder=backend&checkpoint=${created.checkpoint}`);
+    const tarred = readTarGz(tarball.body);
+    if (tarball.status !== 200 || !tarball.disposition.endsWith(`${conversationId}-backend.tar.gz"`)
+      || JSON.stringify(Object.keys(tarred).sort()) !== JSON.stringify(['agents-manifest.json', 'backend/server.js'])
+      || tarred['backend/server.js'] !== 'const port = 8080;\n' || JSON.parse(tarred['agents-manifest.json']).checkpoint !== created.checkpoint) {
+      console.error(`❌ FAILURE: Unexpected tar.gz (${tarball.status}): ${JSON.stringify(tarred)}`);
+      return finish(1);
+    }
+    console.log(`✅ backend/server.js as of checkpoint ${created.checkpoint}: ${JSON.stringify(tarred['backend/server.js'])}`);
+
+    // 4. Bad requests
+    console.log("\n4. Rejecting bad requests...");
+    const badFormat = await download(`conversationId=${conversationId}&format=rar`);
+    const badCheckpoint = await download(`conversationId=${conversationId}&checkpoint=99`);
+    const outside = await download(`conversationId=${conversationId}&folder=../other`);
+    if (badFormat.status !== 400 || badCheckpoint.status !== 400 || outside.status !== 400) {
+      console.error(`❌ FAILURE: Expected 400s, got ${badFormat.status}, ${badCheckpoint.status} and ${outside.status}`);
+      return finish(1);
+    }
+    console.log("✅ Unknown format, unknown checkpoint and a folder outside the workspace were rejected");
+
+    // 5. A workspace over the size limit is refused; a folder that fits can still be exported
+    console.log("\n5. Exporting past the size limit...");
+    mkdirSync(path.join(workspaceDir, conversationId, 'docs'), { recursive: true });
+    writeFileSync(path.join(workspaceDir, conversationId, 'docs', 'big.txt'), 'x'.repeat(5000));
+    const tooLarge = await download(`conversationId=${conversationId}&format=zip`);
+    const folderOnly = await download(`conversationId=${conversationId}&format=zip&folder=backend`);
+    if (tooLarge.status !== 400 || !JSON.parse(tooLarge.body).error.includes('more than the 4096 bytes') || folderOnly.status !== 200) {
+      console.error(`❌ FAILURE: Expected a 400 for the whole workspace and 200 for backend/, got ${tooLarge.status} (${tooLarge.body}) and ${folderOnly.status}`);
+      return finish(1);
+    }
+    console.log(`✅ ${JSON.parse(tooLarge.body).error}`);
+
+    console.log("\n✅ SUCCESS: Workspaces can be exported with a manifest of who wrote what.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
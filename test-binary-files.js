@@ -0,0 +1,127 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Binary Files - Assets go through base64, big and binary files stay out of the text tools");
+
+// An 8-byte PNG signature plus a few bytes with NULs is enough to count as binary
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]).toString('base64');
+
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/logo.png', content: png, encoding: 'base64' } },
+        { name: 'create_file', arguments: { path: 'backend/big.txt', content: 'x'.repeat(3000) } },
+        { name: 'create_file', arguments: { path: 'backend/notes.txt', content: 'Notes\n' } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'read_file', arguments: { path: 'backend/logo.png' } },
+        { name: 'read_file', arguments: { path: 'backend/logo.png', encoding: 'base64' } },
+        { name: 'str_replace', arguments: { path: 'backend/logo.png', old_string: 'PNG', new_string: 'JPG' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', MAX_FILE_SIZE: '2048' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation
+    console.log("\n1. Running the scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Binary files test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. The oversized file and the text operations on the PNG failed
+    console.log("\n2. Checking refused calls...");
+    const errors = events.filter(e => e.type === 'tool:error').map(e => e.error);
+    const expected = [
+      'File too large: backend/big.txt would be 3000 bytes, the limit is 2048',
+      'backend/logo.png is a binary file (image/png, 12 bytes). Read it with encoding "base64"',
+      'backend/logo.png is a binary file (image/png, 12 bytes). Read it with encoding "base64"'
+    ];
+    if (JSON.stringify(errors) !== JSON.stringify(expected)) {
+      console.error(`❌ FAILURE: Unexpected errors: ${JSON.stringify(errors)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${errors.length} calls refused`);
+
+    // 3. read_file returned the PNG as base64
+    console.log("\n3. Checking the base64 read...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const read = agents.backend.conversationHistory.find(m => m.role === 'tool' && m.content.startsWith('[backend/logo.png, image/png, 12 bytes'));
+    if (!read || !read.content.endsWith(`, base64]\n${png}`)) {
+      console.error(`❌ FAILURE: Unexpected base64 read: ${JSON.stringify(read?.content)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${read.content.split('\n')[0]}`);
+
+    // 4. /api/files reports metadata and serves the PNG as base64
+    console.log("\n4. Checking /api/files...");
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    const logo = workspace.entries.find(e => e.path === 'backend/logo.png');
+    const notes = workspace.entries.find(e => e.path === 'backend/notes.txt');
+    if (workspace.files.includes('backend/big.txt') || logo?.size !== 12 || logo.type !== 'image/png' || !logo.binary
+      || logo.lastModifiedBy !== 'backend' || notes?.type !== 'text/plain' || notes.binary || !notes.mtime) {
+      console.error(`❌ FAILURE: Unexpected entries: ${JSON.stringify(workspace.entries)}`);
+      return finish(1);
+    }
+    const file = await (await fetch(`${API_URL}/api/files/backend/logo.png?conversationId=${conversationId}`)).json();
+    if (file.encoding !== 'base64' || file.content !== png) {
+      console.error(`❌ FAILURE: Unexpected file response: ${JSON.stringify(file)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${workspace.entries.map(e => `${e.path} (${e.type}, ${e.size} bytes)`).join(', ')}`);
+
+    console.log("\n✅ SUCCESS: Binary and oversized files are handled safely.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
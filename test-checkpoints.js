@@ -0,0 +1,145 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Checkpoints - File changes are journaled and can be rolled back");
+
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/app.js', content: "const port = 3000;\n" } }] },
+    {
+      tool_calls: [
+        { name: 'str_replace', arguments: { path: 'backend/app.js', old_string: '3000', new_string: '8080' } },
+        { name: 'create_file', arguments: { path: 'backend/extra.js', content: "// extra\n" } }
+      ]
+    }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/index.html', content: '<h1>Hi</h1>\n' } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function readFile(conversationId, filePath) {
+  const res = await fetch(`${API_URL}/api/files/${filePath}?conversationId=${conversationId}`);
+  return res.ok ? (await res.json()).content : null;
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run a scripted conversation that creates and edits files
+    console.log("\n1. Running a scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Checkpoint test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    let rollbackEvent = null;
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        if (JSON.parse(data).type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+
+    // 2. Checkpoints carry agent, turn and tool_call_id
+    console.log("\n2. Listing checkpoints...");
+    const { latest, checkpoints } = await (await fetch(`${API_URL}/conversations/${conversationId}/checkpoints`)).json();
+    if (latest !== 4 || checkpoints.length !== 5) {
+      console.error(`❌ FAILURE: Expected 4 changes, got ${latest}`);
+      return finish(1);
+    }
+    const edit = checkpoints.find(c => c.tool === 'str_replace');
+    if (edit.agent !== 'backend' || edit.turn !== 2 || !edit.toolCallId) {
+      console.error(`❌ FAILURE: str_replace checkpoint is missing tags: ${JSON.stringify(edit)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${latest} checkpoints, e.g. #${edit.checkpoint} ${edit.tool} by ${edit.agent} (turn ${edit.turn}, ${edit.toolCallId})`);
+
+    // 3. Diff from the initial state to the edit
+    console.log("\n3. Diffing checkpoints...");
+    const createdAt = checkpoints.find(c => c.tool === 'create_file' && c.path === 'backend/app.js').checkpoint;
+    const diff = await (await fetch(`${API_URL}/conversations/${conversationId}/checkpoints/diff?from=${createdAt}&to=${edit.checkpoint}`)).json();
+    const appDiff = diff.files.find(f => f.path === 'backend/app.js');
+    if (!appDiff || appDiff.status !== 'modified' || !appDiff.diff.includes('-const port = 3000;') || !appDiff.diff.includes('+const port = 8080;')) {
+      console.error(`❌ FAILURE: Unexpected diff: ${JSON.stringify(diff)}`);
+      return finish(1);
+    }
+    console.log(`✅ Diff:\n${appDiff.diff}`);
+
+    // 4. Roll back to right after backend/app.js was created
+    console.log("\n4. Rolling back...");
+    ws.on('message', (data) => {
+      const event = JSON.parse(data);
+      if (event.type === 'workspace:rollback') rollbackEvent = event;
+    });
+    const rollback = await (await fetch(`${API_URL}/conversations/${conversationId}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checkpoint: createdAt })
+    })).json();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    ws.close();
+
+    const appContent = await readFile(conversationId, 'backend/app.js');
+    const extra = await readFile(conversationId, 'backend/extra.js');
+    if (appContent !== 'const port = 3000;\n' || extra !== null) {
+      console.error(`❌ FAILURE: Workspace not restored (app.js: ${appContent}, extra.js: ${extra})`);
+      return finish(1);
+    }
+    if (!rollbackEvent || rollbackEvent.checkpoint !== createdAt) {
+      console.error('❌ FAILURE: Rollback was not broadcast');
+      return finish(1);
+    }
+    console.log(`✅ Restored ${rollback.restored.map(f => f.path).join(', ')}`);
+
+    // 5. The rollback can itself be undone
+    console.log("\n5. Undoing the rollback...");
+    await fetch(`${API_URL}/conversations/${conversationId}/rollback`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checkpoint: latest })
+    });
+    if (await readFile(conversationId, 'backend/app.js') !== 'const port = 8080;\n' || await readFile(conversationId, 'backend/extra.js') === null) {
+      console.error('❌ FAILURE: Rolling forward did not restore the later state');
+      return finish(1);
+    }
+    console.log("✅ Rolled forward again");
+
+    console.log("\n✅ SUCCESS: Checkpoints can be listed, diffed and rolled back.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
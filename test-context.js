@@ -0,0 +1,150 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+const MAX_CONTEXT_TOKENS = 13000;
+
+console.log("🧪 Testing Context Window - Long runs are condensed to fit the context budget");
+
+// Backend fills its folder with more than its share of the budget, then reads a large file over and over
+const line = (n) => `export const value${n} = '${'x'.repeat(60)}';\n`;
+const fileOf = (lines) => Array.from({ length: lines }, (_, i) => line(i)).join('');
+const script = {
+  backend: [
+    {
+      tool_calls: ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(name => (
+        { name: 'create_file', arguments: { path: `backend/${name}.js`, content: fileOf(45) } }
+      ))
+    },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'docs/big.txt', content: fileOf(60) } }] },
+    ...Array.from({ length: 14 }, () => ({ tool_calls: [{ name: 'read_file', arguments: { path: 'docs/big.txt' } }] })),
+    { content: 'Writing the last file.', tool_calls: [{ name: 'create_file', arguments: { path: 'backend/done.js', content: "module.exports = 'done';\n" } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// Same estimate as the server: about 4 characters per token, plus a little per message
+const tokens = (text) => Math.ceil((text || '').length / 4);
+const estimate = (request) => tokens(JSON.stringify(request.tools.map(tool => tool.function)))
+  + request.messages.reduce((sum, msg) => sum + 4 + tokens(msg.content) + (msg.tool_calls ? tokens(JSON.stringify(msg.tool_calls)) : 0), 0)
+  + request.max_completion_tokens;
+
+// Every assistant tool call must be answered right after it, and no tool response may lack its call
+function pairingErrors(messages) {
+  const errors = [];
+  for (let i = 0; i < messages.length; i++) {
+    const msg = messages[i];
+    if (msg.role === 'tool' && !(messages[i - 1]?.role === 'tool' || messages[i - 1]?.tool_calls)) {
+      errors.push(`orphan tool response ${msg.tool_call_id} at ${i}`);
+    }
+    if (!msg.tool_calls) continue;
+    const answered = [];
+    for (let j = i + 1; j < messages.length && messages[j].role === 'tool'; j++) {
+      answered.push(messages[j].tool_call_id);
+    }
+    const missing = msg.tool_calls.filter(call => !answered.includes(call.id));
+    if (missing.length > 0) errors.push(`unanswered calls at ${i}: ${missing.map(call => call.id).join(', ')}`);
+  }
+  return errors;
+}
+
+async function runTest() {
+  const recordingsDir = mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), RECORDINGS_DIR: recordingsDir, CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(recordingsDir, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the long backend script with a small context budget, recording every request
+    console.log("\n1. Running with a small context budget...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        topic: 'Context test',
+        provider: { type: 'scripted', script },
+        record: true,
+        runPolicy: { maxContextTokens: MAX_CONTEXT_TOKENS, toolResultChars: 500, maxCompletionTokens: 500, textOnlyLimit: 1, nudgeIntervalMs: 0 }
+      })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve(event.status);
+      });
+      setTimeout(() => resolve('test-timeout'), 60000); // 60s timeout
+    });
+    ws.close();
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (result !== 'complete' || !workspace.files.includes('backend/done.js')) {
+      console.error(`❌ FAILURE: The backend did not finish its script (${result}, files: ${workspace.files.join(', ')})`);
+      return finish(1);
+    }
+    console.log(`✅ Completed all ${script.backend.length} backend steps`);
+
+    // 2. Every request stayed within the budget and kept tool calls paired with their responses
+    console.log("\n2. Checking the requests sent to the model...");
+    const recording = await (await fetch(`${API_URL}/recordings/${conversationId}`)).json();
+    const requests = recording.agents.backend.map(turn => turn.request);
+    const largest = Math.max(...requests.map(estimate));
+    const unpaired = requests.flatMap((request, turn) => pairingErrors(request.messages).map(error => `turn ${turn + 1}: ${error}`));
+    if (largest > MAX_CONTEXT_TOKENS || unpaired.length > 0) {
+      console.error(`❌ FAILURE: Largest request ~${largest} tokens; pairing errors: ${unpaired.join('; ')}`);
+      return finish(1);
+    }
+    console.log(`✅ ${requests.length} requests, the largest ~${largest} of ${MAX_CONTEXT_TOKENS} tokens, all tool calls paired`);
+
+    // 3. Older turns were summarised, old tool results cut and only some folder files inlined
+    console.log("\n3. Checking how the context was condensed...");
+    const last = requests[requests.length - 1].messages;
+    const summary = last.find(msg => msg.role === 'system' && msg.content.startsWith('SUMMARY OF YOUR EARLIER WORK'));
+    const compacted = events.filter(e => e.type === 'agent:context_compacted' && e.agent === 'backend');
+    const cut = requests.some(request => request.messages.some(msg => msg.role === 'tool' && msg.content.includes('more characters cut from this old result')));
+    const listedOnly = requests.some(request => request.messages[0].content.includes('Not shown to fit your context window'));
+    if (!summary?.content.includes('- You called create_file(backend/a.js)') || !summary.content.includes('- You called read_file(docs/big.txt)')
+      || compacted.length === 0 || !cut || !listedOnly) {
+      console.error(`❌ FAILURE: summary: ${JSON.stringify(summary?.content.slice(0, 300))}, compactions: ${compacted.length}, cut: ${cut}, listed only: ${listedOnly}`);
+      return finish(1);
+    }
+    console.log(`✅ ${compacted.length} compaction(s); summary starts: ${summary.content.split('\n').slice(1, 3).join(' / ')}`);
+
+    console.log("\n✅ SUCCESS: Long runs stay within the context budget with tool calls intact.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,116 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Conversation Store - Conversations must survive a server restart");
+
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'talk', arguments: { agentName: 'devops', message: 'Ping from backend' } }] }
+  ]
+};
+
+function startServer(dataDir) {
+  return spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), DATA_DIR: dataDir, CONVERSATION_STORE: 'file' },
+    stdio: 'ignore'
+  });
+}
+
+async function stopServer(serverProcess) {
+  await new Promise((resolve) => {
+    serverProcess.once('exit', resolve);
+    serverProcess.kill();
+  });
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const dataDir = mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+  let serverProcess = startServer(dataDir);
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(dataDir, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run a short scripted conversation
+    console.log("\n1. Running a scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Persist me', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        if (JSON.parse(data).type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+    // Give the server a moment to persist the final status after broadcasting completion
+    await new Promise(resolve => setTimeout(resolve, 200));
+    console.log(`✅ Conversation ${conversationId} finished`);
+
+    // 2. Restart the server
+    console.log("\n2. Restarting the server...");
+    await stopServer(serverProcess);
+    serverProcess = startServer(dataDir);
+    await waitForServer();
+
+    // 3. Inspect the conversation after the restart
+    console.log("\n3. Inspecting the conversation after restart...");
+    const { conversations } = await (await fetch(`${API_URL}/conversations`)).json();
+    const listed = conversations.find(c => c.id === conversationId);
+    if (!listed || listed.topic !== 'Persist me' || listed.status !== 'complete' || listed.messageCount !== 1) {
+      console.error(`❌ FAILURE: Conversation not listed correctly: ${JSON.stringify(listed)}`);
+      return finish(1);
+    }
+    console.log(`✅ Listed with status '${listed.status}' and ${listed.messageCount} message(s)`);
+
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    if (!agents.backend?.conversationHistory?.length || agents.backend.talkCallCount !== 1) {
+      console.error(`❌ FAILURE: Backend agent state missing: ${JSON.stringify(agents.backend).slice(0, 200)}`);
+      return finish(1);
+    }
+    console.log(`✅ Backend history restored (${agents.backend.conversationHistory.length} messages)`);
+
+    const { events } = await (await fetch(`${API_URL}/conversations/${conversationId}/events`)).json();
+    if (!events.some(e => e.type === 'agent:talk') || !events.some(e => e.type === 'conversation:complete')) {
+      console.error(`❌ FAILURE: Event stream incomplete (${events.length} events)`);
+      return finish(1);
+    }
+    console.log(`✅ Event stream restored (${events.length} events)`);
+
+    console.log("\n✅ SUCCESS: Conversation metadata, agent state and events survived the restart.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,166 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Edit Tools - multi_edit, line edits, apply_patch and ambiguity checks");
+
+const original = "const a = 1;\nconst b = 1;\nconst c = 3;\n";
+
+const patch = `--- a/src/app.js
++++ b/src/app.js
+@@ -1,3 +1,3 @@
+ const x = 10;
+-const y = 20;
++const y = 25;
+ const z = 30;
+--- /dev/null
++++ b/src/new.js
+@@ -0,0 +1,2 @@
++// created by patch
++module.exports = {};
+--- a/src/old.js
++++ /dev/null
+@@ -1 +0,0 @@
+-// old
+`;
+
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'src/values.js', content: original } },
+        { name: 'create_file', arguments: { path: 'src/app.js', content: "const x = 10;\nconst y = 20;\nconst z = 30;\n" } },
+        { name: 'create_file', arguments: { path: 'src/old.js', content: "// old\n" } }
+      ]
+    },
+    {
+      tool_calls: [
+        // Ambiguous: "= 1;" appears twice
+        { name: 'str_replace', arguments: { path: 'src/values.js', old_string: '= 1;', new_string: '= 2;' } },
+        // Second edit fails, so the first must not be applied either
+        {
+          name: 'multi_edit',
+          arguments: {
+            path: 'src/values.js',
+            edits: [
+              { old_string: 'const c = 3;', new_string: 'const c = 4;' },
+              { old_string: 'missing', new_string: 'x' }
+            ]
+          }
+        }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'str_replace', arguments: { path: 'src/values.js', old_string: '= 1;', new_string: '= 2;', replace_all: true } },
+        {
+          name: 'multi_edit',
+          arguments: {
+            path: 'src/values.js',
+            edits: [
+              { old_string: 'const a', new_string: 'let a' },
+              { old_string: 'const c = 3;', new_string: 'const c = 4;' }
+            ]
+          }
+        },
+        { name: 'insert_at_line', arguments: { path: 'src/values.js', line: 1, content: "'use strict';\n" } },
+        { name: 'replace_lines', arguments: { path: 'src/values.js', start_line: 3, end_line: 3, content: 'const b = 5;' } },
+        { name: 'apply_patch', arguments: { patch } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function readFile(conversationId, filePath) {
+  const res = await fetch(`${API_URL}/api/files/${filePath}?conversationId=${conversationId}`);
+  return res.ok ? (await res.json()).content : null;
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted edits
+    console.log("\n1. Running scripted edits...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Edit tools test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const errors = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'tool:error') {
+          errors.push(event);
+          console.log(`⚠️  ${event.tool}: ${event.error.split('\n')[0]}`);
+        }
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. The ambiguous replace and the failing multi_edit were rejected
+    console.log("\n2. Checking rejected edits...");
+    const ambiguous = errors.find(e => e.tool === 'str_replace' && e.error.includes('appears 2 times'));
+    const atomic = errors.find(e => e.tool === 'multi_edit' && e.error.includes('no edits were applied'));
+    if (!ambiguous || !atomic || errors.length !== 2) {
+      console.error(`❌ FAILURE: Unexpected tool errors: ${JSON.stringify(errors)}`);
+      return finish(1);
+    }
+    console.log("✅ Ambiguous str_replace and partial multi_edit were rejected");
+
+    // 3. The successful edits produced the expected content
+    console.log("\n3. Checking file contents...");
+    const expectedValues = "'use strict';\nlet a = 2;\nconst b = 5;\nconst c = 4;\n";
+    const values = await readFile(conversationId, 'src/values.js');
+    if (values !== expectedValues) {
+      console.error(`❌ FAILURE: src/values.js is ${JSON.stringify(values)}, expected ${JSON.stringify(expectedValues)}`);
+      return finish(1);
+    }
+    const app = await readFile(conversationId, 'src/app.js');
+    const created = await readFile(conversationId, 'src/new.js');
+    const deleted = await readFile(conversationId, 'src/old.js');
+    if (app !== "const x = 10;\nconst y = 25;\nconst z = 30;\n" || created !== "// created by patch\nmodule.exports = {};\n" || deleted !== null) {
+      console.error(`❌ FAILURE: Patch not applied (app: ${JSON.stringify(app)}, new: ${JSON.stringify(created)}, old exists: ${deleted !== null})`);
+      return finish(1);
+    }
+    console.log("✅ All edits applied as expected");
+
+    console.log("\n✅ SUCCESS: Edit tools work and reject ambiguous or partial edits.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
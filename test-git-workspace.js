@@ -0,0 +1,152 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Git Workspace - Each agent file change becomes a commit");
+
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/app.js', content: "const port = 3000;\nmodule.exports = port;\n" } }] },
+    { tool_calls: [{ name: 'str_replace', arguments: { path: 'backend/app.js', old_string: '3000', new_string: '8080' } }] }
+  ],
+  // One patch, two files - one of them named like a glob - gives a single commit
+  frontend: [
+    {
+      tool_calls: [
+        { name: 'apply_patch', arguments: { patch: "--- /dev/null\n+++ b/frontend/[id].js\n@@ -0,0 +1 @@\n+export default 'page';\n--- /dev/null\n+++ b/frontend/index.js\n@@ -0,0 +1 @@\n+export default 'index';\n" } }
+      ]
+    }
+  ],
+  devops: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'Dockerfile', content: 'FROM node:20\n' } },
+        { name: 'read_file', arguments: { path: '.git/config' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runConversation(body) {
+  const startRes = await fetch(`${API_URL}/start-conversation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const { conversationId } = await startRes.json();
+  const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+  const events = [];
+  await new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const event = JSON.parse(data);
+      events.push(event);
+      if (event.type === 'conversation:complete') resolve();
+    });
+    setTimeout(resolve, 30000); // 30s timeout
+  });
+  ws.close();
+  return { conversationId, events };
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run a conversation in a git-backed workspace
+    console.log("\n1. Running a conversation with gitWorkspace...");
+    const { conversationId, events } = await runConversation({ topic: 'Git test', gitWorkspace: true, provider: { type: 'scripted', script } });
+
+    // 2. One commit per tool call, authored by the agent
+    console.log("\n2. Reading the git log...");
+    const { commits } = await (await fetch(`${API_URL}/conversations/${conversationId}/git/log`)).json();
+    const agentCommits = commits.filter(c => c.author !== 'user');
+    if (agentCommits.length !== 4 || commits[commits.length - 1].subject !== 'Initial workspace') {
+      console.error(`❌ FAILURE: Expected 4 agent commits after the initial one: ${JSON.stringify(commits)}`);
+      return finish(1);
+    }
+    const edit = agentCommits.find(c => c.subject === 'str_replace backend/app.js');
+    if (!edit || edit.author !== 'backend' || !edit.toolCallId) {
+      console.error(`❌ FAILURE: Edit commit is missing author or tool_call_id: ${JSON.stringify(edit)}`);
+      return finish(1);
+    }
+    const patch = agentCommits.find(c => c.author === 'frontend');
+    if (patch?.subject !== 'apply_patch frontend/[id].js, frontend/index.js' || patch.files.length !== 2) {
+      console.error(`❌ FAILURE: Expected one commit for both patched files: ${JSON.stringify(patch)}`);
+      return finish(1);
+    }
+    agentCommits.forEach(c => console.log(`✅ ${c.sha.slice(0, 7)} ${c.author}: ${c.subject} (${c.toolCallId})`));
+
+    // 3. Commit diff and blame
+    console.log("\n3. Checking diff and blame...");
+    const commit = await (await fetch(`${API_URL}/conversations/${conversationId}/git/commits/${edit.sha}`)).json();
+    if (!commit.diff.includes('-const port = 3000;') || !commit.diff.includes('+const port = 8080;')) {
+      console.error(`❌ FAILURE: Unexpected commit diff: ${commit.diff}`);
+      return finish(1);
+    }
+    const blame = await (await fetch(`${API_URL}/conversations/${conversationId}/git/blame?path=backend/app.js`)).json();
+    if (blame.lines.length !== 2 || blame.lines[0].sha !== edit.sha || blame.lines.some(l => l.author !== 'backend')) {
+      console.error(`❌ FAILURE: Unexpected blame: ${JSON.stringify(blame)}`);
+      return finish(1);
+    }
+    // Paths are literal: "[id]" is not a character class
+    const bracketBlame = await (await fetch(`${API_URL}/conversations/${conversationId}/git/blame?path=${encodeURIComponent('frontend/[id].js')}`)).json();
+    if (bracketBlame.lines?.[0]?.author !== 'frontend') {
+      console.error(`❌ FAILURE: Unexpected blame for frontend/[id].js: ${JSON.stringify(bracketBlame)}`);
+      return finish(1);
+    }
+    console.log(`✅ Line 1 last changed in ${blame.lines[0].sha.slice(0, 7)} by ${blame.lines[0].author}`);
+
+    // 4. .git stays out of the agents' reach
+    console.log("\n4. Checking that .git is hidden...");
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    const gitRead = events.find(e => e.type === 'tool:error' && e.tool === 'read_file');
+    if (workspace.files.some(f => f.startsWith('.git')) || !gitRead) {
+      console.error(`❌ FAILURE: .git is exposed (files: ${workspace.files.join(', ')})`);
+      return finish(1);
+    }
+    console.log(`✅ ${gitRead.error}`);
+
+    // 5. Plain workspaces have no git endpoints
+    console.log("\n5. Checking a plain workspace...");
+    const plain = await runConversation({ topic: 'Plain', provider: { type: 'scripted', script: {} } });
+    const plainLog = await fetch(`${API_URL}/conversations/${plain.conversationId}/git/log`);
+    if (plainLog.status !== 409) {
+      console.error(`❌ FAILURE: Expected 409 for a plain workspace, got ${plainLog.status}`);
+      return finish(1);
+    }
+    console.log("✅ Plain workspace returns 409");
+
+    console.log("\n✅ SUCCESS: The git-backed workspace recorded one commit per agent change.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,145 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing File Locks - Explicit leases, shared reads and queued writers");
+
+// backend holds a write lock across several turns; frontend's edit must queue behind it
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'lock_file', arguments: { path: 'shared/config.js', lease_seconds: 30 } },
+        { name: 'create_file', arguments: { path: 'shared/config.js', content: "module.exports = { port: 8080 };\n" } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'run_command', arguments: { command: "node -e \"setTimeout(() => {}, 1500)\"" } },
+        { name: 'str_replace', arguments: { path: 'shared/config.js', old_string: '8080', new_string: '3000' } },
+        { name: 'unlock_file', arguments: { path: 'shared/config.js' } }
+      ]
+    }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    {
+      tool_calls: [
+        { name: 'str_replace', arguments: { path: 'shared/config.js', old_string: '3000', new_string: '4000' } }
+      ]
+    }
+  ],
+  devops: [
+    {
+      tool_calls: [
+        { name: 'unlock_file', arguments: { path: 'shared/config.js' } },
+        { name: 'lock_file', arguments: { path: 'Dockerfile', mode: 'exclusive' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', LOCK_WAIT_MS: '8000' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation, checking /api/locks while frontend waits
+    console.log("\n1. Running scripted agents...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Lock test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    let lockSnapshot = null;
+    await new Promise((resolve) => {
+      ws.on('message', async (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'lock:waiting' && event.agent === 'frontend') {
+          lockSnapshot = await (await fetch(`${API_URL}/api/locks?conversationId=${conversationId}`)).json();
+        }
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. Lock events and the /api/locks view
+    console.log("\n2. Checking lock events...");
+    const lockEvents = events.filter(e => e.type.startsWith('lock:')).map(e => `${e.type}:${e.agent}:${e.path}`);
+    const expected = [
+      'lock:acquired:backend:shared/config.js',
+      'lock:waiting:frontend:shared/config.js',
+      'lock:released:backend:shared/config.js'
+    ];
+    if (JSON.stringify(lockEvents) !== JSON.stringify(expected)) {
+      console.error(`❌ FAILURE: Unexpected lock events: ${JSON.stringify(lockEvents)}`);
+      return finish(1);
+    }
+    const snapshot = lockSnapshot?.locks?.find(l => l.path === 'shared/config.js');
+    if (snapshot?.mode !== 'write' || snapshot.holders[0]?.agent !== 'backend' || snapshot.waiting[0]?.agent !== 'frontend') {
+      console.error(`❌ FAILURE: Unexpected /api/locks view: ${JSON.stringify(lockSnapshot)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${lockEvents.join(' -> ')}`);
+
+    // 3. Frontend's edit ran after backend finished, instead of failing or clobbering it
+    console.log("\n3. Checking the queued edit...");
+    const file = await (await fetch(`${API_URL}/api/files/shared/config.js?conversationId=${conversationId}`)).json();
+    if (file.content !== "module.exports = { port: 4000 };\n") {
+      console.error(`❌ FAILURE: Unexpected file content: ${JSON.stringify(file.content)}`);
+      return finish(1);
+    }
+    console.log("✅ Frontend's edit waited for the lock and applied on top of backend's");
+
+    // 4. Misuse is reported to the agent
+    console.log("\n4. Checking lock errors...");
+    const errors = events.filter(e => e.type === 'tool:error' && e.agent === 'devops').map(e => e.error);
+    if (!errors.some(e => e.startsWith('You do not hold a lock')) || !errors.some(e => e.startsWith('Invalid lock mode'))) {
+      console.error(`❌ FAILURE: Unexpected devops errors: ${JSON.stringify(errors)}`);
+      return finish(1);
+    }
+    const { locks } = await (await fetch(`${API_URL}/api/locks?conversationId=${conversationId}`)).json();
+    if (locks.length !== 0) {
+      console.error(`❌ FAILURE: Locks left after the run: ${JSON.stringify(locks)}`);
+      return finish(1);
+    }
+    console.log("✅ Invalid unlock and lock mode were refused, no locks left behind");
+
+    console.log("\n✅ SUCCESS: File locks serialize conflicting edits and are visible.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
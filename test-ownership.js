@@ -0,0 +1,167 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Ownership - Writes outside an agent's files become change requests or are denied");
+
+// Backend owns backend/**, frontend owns frontend/**, devops owns Dockerfile and devops/**
+const requestTeam = {
+  name: 'owned',
+  ownership: 'request',
+  agents: [
+    { name: 'backend', prompt: 'backend-agent.txt', folders: ['backend'], owns: ['backend/**'] },
+    { name: 'frontend', prompt: 'frontend-agent.txt', folders: ['frontend'], owns: ['frontend/**'] },
+    { name: 'devops', prompt: 'devops-agent.txt', folders: ['devops'], owns: ['devops/**', 'Dockerfile'] }
+  ]
+};
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/api.js', content: "module.exports = {};\n" } },
+        { name: 'create_file', arguments: { path: 'frontend/api-client.js', content: "export const API = '/api';\n" } }
+      ]
+    },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    { tool_calls: [{ name: 'review_change', arguments: { request_id: 'change-devops-1', decision: 'reject', reason: 'Deploy scripts belong in devops/' } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/index.html', content: '<h1>App</h1>\n' } }] },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    { tool_calls: [{ name: 'review_change', arguments: { request_id: 'change-backend-1', decision: 'accept', reason: 'Thanks' } }] }
+  ],
+  devops: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/deploy.sh', content: "#!/bin/sh\n" } },
+        { name: 'create_file', arguments: { path: 'summary.md', content: "# Summary\n" } }
+      ]
+    }
+  ]
+};
+
+// The same kind of write in a team that denies it outright
+const denyTeam = {
+  name: 'strict',
+  ownership: 'deny',
+  agents: [
+    { name: 'backend', prompt: 'backend-agent.txt', owns: ['backend/**'] },
+    { name: 'frontend', prompt: 'frontend-agent.txt', owns: ['frontend/**'] }
+  ]
+};
+const denyScript = {
+  backend: [{ tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/api-client.js', content: "export const API = '/api';\n" } }] }]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// Start a conversation and collect its WebSocket events until it completes
+async function runConversation(body) {
+  const startRes = await fetch(`${API_URL}/start-conversation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const { conversationId } = await startRes.json();
+  const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+  const events = [];
+  await new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const event = JSON.parse(data);
+      events.push(event);
+      if (event.type === 'conversation:complete') resolve();
+    });
+    setTimeout(resolve, 30000); // 30s timeout
+  });
+  ws.close();
+  return { conversationId, events };
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Request mode: cross-area writes go to the owner
+    console.log("\n1. Running a team that sends cross-area writes to the owner...");
+    const { conversationId, events } = await runConversation({ topic: 'Ownership test', team: requestTeam, provider: { type: 'scripted', script } });
+
+    const requested = events.filter(e => e.type === 'change:requested').map(e => `${e.requestId}->${e.owner}`).sort();
+    const resolved = events.filter(e => e.type === 'change:resolved').map(e => `${e.requestId}:${e.status}`).sort();
+    if (JSON.stringify(requested) !== JSON.stringify(['change-backend-1->frontend', 'change-devops-1->backend'])
+      || JSON.stringify(resolved) !== JSON.stringify(['change-backend-1:accepted', 'change-devops-1:rejected'])) {
+      console.error(`❌ FAILURE: Unexpected change requests: ${JSON.stringify(requested)} / ${JSON.stringify(resolved)}`);
+      return finish(1);
+    }
+    console.log(`✅ Requests: ${requested.join(', ')}; decisions: ${resolved.join(', ')}`);
+
+    // 2. Only the accepted change and the shared file were written
+    console.log("\n2. Checking the workspace...");
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (!workspace.files.includes('frontend/api-client.js') || !workspace.files.includes('summary.md') || workspace.files.includes('backend/deploy.sh')) {
+      console.error(`❌ FAILURE: Unexpected files: ${workspace.files.join(', ')}`);
+      return finish(1);
+    }
+    const created = events.find(e => e.type === 'file:created' && e.path === 'frontend/api-client.js');
+    if (created?.agent !== 'frontend') {
+      console.error(`❌ FAILURE: Accepted change should be written by its owner, got ${created?.agent}`);
+      return finish(1);
+    }
+    console.log("✅ Accepted change applied by frontend, rejected one not written, shared summary.md written");
+
+    // 3. Requesters hear back through their inbox
+    console.log("\n3. Checking replies...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const devopsState = JSON.stringify(agents.devops);
+    if (!devopsState.includes('backend rejected your change request change-devops-1') || !devopsState.includes('Deploy scripts belong in devops/')) {
+      console.error("❌ FAILURE: devops was not told about the rejection");
+      return finish(1);
+    }
+    if (!JSON.stringify(agents.backend).includes('frontend accepted and applied your change request change-backend-1')) {
+      console.error("❌ FAILURE: backend was not told about the acceptance");
+      return finish(1);
+    }
+    console.log("✅ Both requesters received the decision");
+
+    // 4. Deny mode
+    console.log("\n4. Running a team that denies cross-area writes...");
+    const denied = await runConversation({ topic: 'Deny test', team: denyTeam, provider: { type: 'scripted', script: denyScript } });
+    const error = denied.events.find(e => e.type === 'tool:error' && e.agent === 'backend');
+    const deniedFiles = await (await fetch(`${API_URL}/api/files?conversationId=${denied.conversationId}`)).json();
+    if (!error?.error.startsWith('Write denied: frontend/api-client.js (owned by frontend)') || deniedFiles.files.length !== 0) {
+      console.error(`❌ FAILURE: Write was not denied: ${JSON.stringify(error)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${error.error}`);
+
+    console.log("\n✅ SUCCESS: Ownership rules protect each agent's files.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
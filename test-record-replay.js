@@ -0,0 +1,150 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Record & Replay - A replayed run must match the recorded one");
+
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/server.js', content: "const port = 8080;\n" } },
+        { name: 'create_file', arguments: { path: 'backend/package.json', content: '{ "name": "api" }\n' } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'str_replace', arguments: { path: 'backend/server.js', old_string: '8080', new_string: '3000' } }
+      ]
+    }
+  ],
+  devops: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'Dockerfile', content: 'FROM node:20\n' } },
+        { name: 'talk', arguments: { agentName: 'backend', message: 'Dockerfile is in place.' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// Start a conversation and collect its WebSocket events until it completes
+async function runConversation(body) {
+  const startRes = await fetch(`${API_URL}/start-conversation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const { conversationId } = await startRes.json();
+  const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+  const events = [];
+
+  await new Promise((resolve) => {
+    ws.on('message', (data) => {
+      const event = JSON.parse(data);
+      events.push(event);
+      if (event.type === 'conversation:complete') {
+        resolve();
+      }
+    });
+    setTimeout(resolve, 30000); // 30s timeout
+  });
+  ws.close();
+
+  // Give the server a moment to write the recording after broadcasting completion
+  await new Promise(resolve => setTimeout(resolve, 200));
+  return { conversationId, events };
+}
+
+// Per-agent sequence of tool/file events; agents run concurrently so only per-agent order is stable
+function toolTrace(events) {
+  const trace = {};
+  for (const event of events) {
+    if (!event.agent || !/^(tool|file):/.test(event.type)) continue;
+    if (!trace[event.agent]) trace[event.agent] = [];
+    trace[event.agent].push(`${event.type}:${event.tool || ''}:${event.path || ''}`);
+  }
+  return trace;
+}
+
+async function runTest() {
+  const recordingsDir = mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), RECORDINGS_DIR: recordingsDir, CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(recordingsDir, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Record a scripted run
+    console.log("\n1. Recording a scripted run...");
+    const recorded = await runConversation({ topic: 'Record me', provider: { type: 'scripted', script }, record: true });
+    const recording = await (await fetch(`${API_URL}/recordings/${recorded.conversationId}`)).json();
+    if (!recording.agents?.backend?.length) {
+      console.error(`❌ FAILURE: Recording has no backend turns: ${JSON.stringify(recording).slice(0, 200)}`);
+      return finish(1);
+    }
+    console.log(`✅ Recorded ${Object.values(recording.agents).flat().length} model turns`);
+
+    // 2. Replay it
+    console.log("\n2. Replaying the recording...");
+    const replayed = await runConversation({ topic: 'Record me', provider: { type: 'replay', recordingId: recorded.conversationId } });
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${replayed.conversationId}`)).json();
+
+    // 3. Compare
+    console.log("\n3. Comparing runs...");
+    const expectedTrace = JSON.stringify(toolTrace(recording.events));
+    const actualTrace = JSON.stringify(toolTrace(replayed.events));
+    if (expectedTrace !== actualTrace) {
+      console.error("❌ FAILURE: Replayed tool calls differ from the recording");
+      console.error(`   recorded: ${expectedTrace}`);
+      console.error(`   replayed: ${actualTrace}`);
+      return finish(1);
+    }
+
+    const expectedFiles = Object.keys(recording.workspace).sort();
+    if (JSON.stringify(workspace.files.sort()) !== JSON.stringify(expectedFiles)) {
+      console.error(`❌ FAILURE: Workspace differs. Expected ${expectedFiles.join(', ')}, got ${workspace.files.join(', ')}`);
+      return finish(1);
+    }
+
+    const serverFile = await (await fetch(`${API_URL}/api/files/backend/server.js?conversationId=${replayed.conversationId}`)).json();
+    if (serverFile.content !== 'const port = 3000;\n') {
+      console.error(`❌ FAILURE: backend/server.js has unexpected content: ${serverFile.content}`);
+      return finish(1);
+    }
+
+    console.log("\n✅ SUCCESS: Replay reproduced the recorded tool calls and workspace files.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,142 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Resume - A stopped conversation continues with its agents' memory intact");
+
+const firstScript = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/first.txt', content: 'first run' } }] },
+    { tool_calls: [{ name: 'talk', arguments: { agentName: 'devops', message: 'Still working...' } }] }
+  ]
+};
+
+const resumeScript = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/second.txt', content: 'resumed run' } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+function post(url, body) {
+  return fetch(`${API_URL}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Start, then stop as soon as the first file exists
+    console.log("\n1. Starting and stopping a conversation...");
+    const startRes = await post('/start-conversation', { topic: 'Resume me', provider: { type: 'scripted', script: firstScript } });
+    const { conversationId } = await startRes.json();
+
+    const busy = await post(`/conversations/${conversationId}/resume`, {});
+    if (busy.status !== 409) {
+      console.error(`❌ FAILURE: Resuming a running conversation returned ${busy.status}`);
+      return finish(1);
+    }
+    console.log("✅ Running conversations cannot be resumed");
+
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    let onEvent = () => {};
+    ws.on('message', (data) => {
+      const event = JSON.parse(data);
+      events.push(event);
+      onEvent(event);
+    });
+    const waitFor = (type) => new Promise((resolve) => {
+      onEvent = (event) => {
+        if (event.type === type) resolve(event);
+      };
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+
+    await waitFor('file:created');
+    const stopped = waitFor('conversation:complete');
+    await post('/stop-conversation', { conversationId });
+    const stopEvent = await stopped;
+    console.log(`✅ Conversation stopped (${stopEvent?.status})`);
+
+    // 2. Resume with a follow-up instruction and a new script
+    console.log("\n2. Resuming with a follow-up instruction...");
+    const completed = waitFor('conversation:complete');
+    const resumeRes = await post(`/conversations/${conversationId}/resume`, {
+      instruction: 'Add a second file',
+      provider: { type: 'scripted', script: resumeScript }
+    });
+    if (!resumeRes.ok) {
+      console.error(`❌ FAILURE: Resume returned ${resumeRes.status}: ${await resumeRes.text()}`);
+      return finish(1);
+    }
+    const completeEvent = await completed;
+    ws.close();
+    console.log(`✅ Resumed conversation finished (${completeEvent?.status})`);
+
+    // 3. Check results
+    console.log("\n3. Analyzing results...");
+    if (!events.some(e => e.type === 'conversation:resumed')) {
+      console.error("❌ FAILURE: No conversation:resumed event on the live stream");
+      return finish(1);
+    }
+
+    const { files } = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (!files.includes('backend/first.txt') || !files.includes('backend/second.txt')) {
+      console.error(`❌ FAILURE: Expected files from both runs, got ${files.join(', ')}`);
+      return finish(1);
+    }
+
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const createdPaths = agents.backend.conversationHistory
+      .flatMap(m => m.tool_calls || [])
+      .filter(tc => tc.function.name === 'create_file')
+      .map(tc => JSON.parse(tc.function.arguments).path);
+    if (createdPaths.join(',') !== 'backend/first.txt,backend/second.txt') {
+      console.error(`❌ FAILURE: Backend memory lost across resume: ${createdPaths.join(', ')}`);
+      return finish(1);
+    }
+
+    const conversation = await (await fetch(`${API_URL}/conversations/${conversationId}`)).json();
+    if (conversation.status !== 'complete' || conversation.resumes?.length !== 1) {
+      console.error(`❌ FAILURE: Unexpected conversation record: status=${conversation.status}, resumes=${conversation.resumes?.length}`);
+      return finish(1);
+    }
+
+    console.log("\n✅ SUCCESS: Resumed conversation kept its agents' memory and finished.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
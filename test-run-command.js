@@ -0,0 +1,148 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+const OUTPUT_LIMIT = 2000;
+
+console.log("🧪 Testing run_command - Sandboxed commands with time limit, output cap and no network");
+
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/hello.js', content: "console.log('hello from ' + process.cwd().split('/').pop());\nconsole.error('warning');\nprocess.exit(2);\n" } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'run_command', arguments: { command: 'node hello.js', cwd: 'backend' } },
+        { name: 'run_command', arguments: { command: 'curl https://example.com' } },
+        { name: 'run_command', arguments: { command: 'node -v; /usr/bin/curl https://example.com' } },
+        { name: 'run_command', arguments: { command: "node -e \"require('net').connect(80, '1.1.1.1').on('connect', () => process.exit(0)).on('error', e => { console.log(e.code); process.exit(3); })\"" } },
+        { name: 'run_command', arguments: { command: "node -e \"setInterval(() => {}, 1000)\"", timeout_seconds: 1 } },
+        { name: 'run_command', arguments: { command: "node -e \"console.log('x'.repeat(5000))\"" } },
+        { name: 'run_command', arguments: { command: "node -e \"const fs = require('fs'); console.log('siblings: ' + fs.readdirSync('..').length); for (const f of ['made.txt', require('os').tmpdir() + '/t', '../escaped.txt', '/tmp/escaped.txt']) { try { fs.writeFileSync(f, 'x'); console.log('wrote ' + f); } catch (e) { console.log(e.code + ' ' + f); } }\"" } },
+        { name: 'run_command', arguments: { command: 'node -v', cwd: '..' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return res.json();
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', COMMAND_OUTPUT_LIMIT: String(OUTPUT_LIMIT) },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    const health = await waitForServer();
+    console.log(`\nSandbox: ${JSON.stringify(health.commandSandbox)}`);
+
+    // 1. Run the scripted commands and stream their output
+    console.log("\n1. Running scripted commands...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Command test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    const streamed = events.filter(e => e.type === 'command:output').map(e => `${e.stream}:${e.data}`).join('');
+    if (!streamed.includes('stdout:hello from backend') || !streamed.includes('stderr:warning')) {
+      console.error(`❌ FAILURE: Output was not streamed: ${JSON.stringify(streamed.slice(0, 200))}`);
+      return finish(1);
+    }
+    const exits = events.filter(e => e.type === 'command:exit');
+    if (exits.length !== 5 || exits[0].exitCode !== 2) {
+      console.error(`❌ FAILURE: Unexpected command:exit events: ${JSON.stringify(exits)}`);
+      return finish(1);
+    }
+    console.log(`✅ Streamed ${events.filter(e => e.type === 'command:output').length} output chunks for ${exits.length} commands`);
+
+    // 2. Check what the agent got back
+    console.log("\n2. Checking tool results...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const [ran, refused, chained, network, timedOut, truncated, writes, outside] = agents.backend.conversationHistory.filter(m => m.role === 'tool').map(m => m.content).slice(-8);
+
+    if (!ran.startsWith('Exit code: 2') || !ran.includes('--- stdout ---\nhello from backend') || !ran.includes('--- stderr ---\nwarning')) {
+      console.error(`❌ FAILURE: Unexpected result: ${JSON.stringify(ran)}`);
+      return finish(1);
+    }
+    if (!refused.startsWith('ERROR: Command not allowed: curl')) {
+      console.error(`❌ FAILURE: curl was not refused: ${JSON.stringify(refused)}`);
+      return finish(1);
+    }
+    if (!chained.startsWith('ERROR: Command not allowed: /usr/bin/curl')) {
+      console.error(`❌ FAILURE: A chained command got past the allowlist: ${JSON.stringify(chained)}`);
+      return finish(1);
+    }
+    if (health.commandSandbox.networkIsolated && !network.startsWith('Exit code: 3')) {
+      console.error(`❌ FAILURE: Network was reachable: ${JSON.stringify(network)}`);
+      return finish(1);
+    }
+    if (!timedOut.includes('[Timed out after 1s and was killed]')) {
+      console.error(`❌ FAILURE: Command was not timed out: ${JSON.stringify(timedOut)}`);
+      return finish(1);
+    }
+    if (!truncated.includes(`[Output truncated at ${OUTPUT_LIMIT} characters]`) || truncated.length > OUTPUT_LIMIT + 200) {
+      console.error(`❌ FAILURE: Output was not capped: ${truncated.length} characters`);
+      return finish(1);
+    }
+    console.log("✅ Exit codes, refusals, network isolation, timeout and output cap reached the agent");
+
+    // 3. Commands can write their workspace and TMPDIR but nothing else, and cannot see other workspaces
+    console.log("\n3. Checking workspace confinement...");
+    if (!health.commandSandbox.workspaceConfined) {
+      console.log("⚠️  Host cannot confine commands - skipped");
+    } else if (!writes.includes('siblings: 1') || !writes.includes('wrote made.txt') || !/wrote \S+\/t\n/.test(writes) ||
+        !writes.includes('EROFS ../escaped.txt') || !writes.includes('EROFS /tmp/escaped.txt')) {
+      console.error(`❌ FAILURE: Command was not confined to its workspace: ${JSON.stringify(writes)}`);
+      return finish(1);
+    } else {
+      console.log("✅ Writes outside the workspace failed with EROFS and other workspaces were hidden");
+    }
+    if (!outside.startsWith('ERROR:')) {
+      console.error(`❌ FAILURE: A cwd outside the workspace was accepted: ${JSON.stringify(outside)}`);
+      return finish(1);
+    }
+    console.log("✅ A cwd outside the workspace was refused");
+
+    console.log("\n✅ SUCCESS: run_command runs sandboxed commands in the workspace.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
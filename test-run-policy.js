@@ -0,0 +1,153 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Run Policy - Budgets and limits of a run come from the request");
+
+// Backend asks for three files but its policy only allows two tool calls
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/a.js', content: "module.exports = 'a';\n" } },
+        { name: 'create_file', arguments: { path: 'backend/b.js', content: "module.exports = 'b';\n" } },
+        { name: 'create_file', arguments: { path: 'backend/c.js', content: "module.exports = 'c';\n" } }
+      ]
+    },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/d.js', content: "module.exports = 'd';\n" } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function post(urlPath, body) {
+  const res = await fetch(`${API_URL}${urlPath}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+// Wait until the conversation leaves the active state and return its record
+async function waitForFinish(conversationId) {
+  for (let attempt = 0; attempt < 150; attempt++) {
+    const conversation = await (await fetch(`${API_URL}/conversations/${conversationId}`)).json();
+    if (conversation.status !== 'active') return conversation;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Conversation ${conversationId} did not finish`);
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Invalid policies are rejected
+    console.log("\n1. Rejecting invalid run policies...");
+    const unknown = await post('/start-conversation', { topic: 'Bad policy', runPolicy: { timeout: 1000 } });
+    const outOfRange = await post('/start-conversation', { topic: 'Bad policy', runPolicy: { maxTurns: 0 } });
+    const notNullable = await post('/start-conversation', { topic: 'Bad policy', runPolicy: { timeoutMs: null } });
+    if (unknown.status !== 400 || outOfRange.status !== 400 || notNullable.status !== 400) {
+      console.error(`❌ FAILURE: Expected 400s, got ${unknown.status}, ${outOfRange.status} and ${notNullable.status}`);
+      return finish(1);
+    }
+    console.log(`✅ Rejected: ${unknown.data.details} / ${outOfRange.data.details} / ${notNullable.data.details}`);
+
+    // 2. A tool call budget stops the backend; the effective policy is echoed back
+    console.log("\n2. Running with a tool call budget...");
+    const budgeted = await post('/start-conversation', {
+      topic: 'Budget test',
+      provider: { type: 'scripted', script },
+      runPolicy: { maxToolCalls: 2, textOnlyLimit: 1, nudgeIntervalMs: 0 }
+    });
+    const policy = budgeted.data.runPolicy;
+    if (policy?.maxToolCalls !== 2 || policy.textOnlyLimit !== 1 || policy.timeoutMs !== 180000 || policy.maxCompletionTokens !== 1500) {
+      console.error(`❌ FAILURE: Unexpected effective policy: ${JSON.stringify(policy)}`);
+      return finish(1);
+    }
+    console.log(`✅ Effective policy: ${JSON.stringify(policy).slice(0, 120)}...`);
+
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${budgeted.data.conversationId}`);
+    const events = [];
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve(event.status);
+      });
+      setTimeout(() => resolve('test-timeout'), 30000); // 30s timeout
+    });
+    ws.close();
+
+    const refused = events.find(e => e.type === 'tool:error' && e.agent === 'backend');
+    const exhausted = events.find(e => e.type === 'agent:budget_exhausted');
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${budgeted.data.conversationId}`)).json();
+    if (result !== 'complete' || !refused?.error.startsWith('Tool call budget exhausted')
+      || exhausted?.agent !== 'backend' || exhausted.budget !== 'tool calls'
+      || JSON.stringify(workspace.files.sort()) !== JSON.stringify(['backend/a.js', 'backend/b.js'])) {
+      console.error(`❌ FAILURE: Budget not enforced (${result}, files: ${workspace.files.join(', ')}, exhausted: ${JSON.stringify(exhausted)})`);
+      return finish(1);
+    }
+    console.log(`✅ ${refused.error}; backend stopped after ${exhausted.limit} ${exhausted.budget}`);
+
+    // 3. A short wall-clock limit times the run out
+    console.log("\n3. Running with a short timeout...");
+    const short = await post('/start-conversation', {
+      topic: 'Timeout test',
+      provider: { type: 'scripted', script: {} },
+      runPolicy: { timeoutMs: 4000, textOnlyLimit: 10 }
+    });
+    const timedOut = await waitForFinish(short.data.conversationId);
+    if (timedOut.status !== 'timeout' || timedOut.runPolicy.timeoutMs !== 4000) {
+      console.error(`❌ FAILURE: Expected a timeout, got ${timedOut.status} (${JSON.stringify(timedOut.runPolicy)})`);
+      return finish(1);
+    }
+    console.log(`✅ Timed out after ${timedOut.runPolicy.timeoutMs}ms`);
+
+    // 4. A resume overrides part of the saved policy and keeps the rest
+    console.log("\n4. Resuming with a policy override...");
+    const resumed = await post(`/conversations/${short.data.conversationId}/resume`, { runPolicy: { timeoutMs: 60000, textOnlyLimit: 1 } });
+    if (resumed.status !== 200 || resumed.data.runPolicy?.timeoutMs !== 60000) {
+      console.error(`❌ FAILURE: Resume failed: ${resumed.status} ${JSON.stringify(resumed.data)}`);
+      return finish(1);
+    }
+    const completed = await waitForFinish(short.data.conversationId);
+    if (completed.status !== 'complete' || completed.runPolicy.textOnlyLimit !== 1 || completed.runPolicy.timeoutMs !== 60000) {
+      console.error(`❌ FAILURE: Unexpected resumed run: ${completed.status} (${JSON.stringify(completed.runPolicy)})`);
+      return finish(1);
+    }
+    console.log(`✅ Resumed run completed with timeoutMs ${completed.runPolicy.timeoutMs} and textOnlyLimit ${completed.runPolicy.textOnlyLimit}`);
+
+    console.log("\n✅ SUCCESS: Run policies are validated, enforced and echoed back.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
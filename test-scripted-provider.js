@@ -0,0 +1,142 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Scripted Provider - Offline run with canned tool calls");
+
+// Each agent turn consumes one step; agents without steps answer with text and complete
+const script = {
+  backend: [
+    {
+      content: 'Creating the backend entry point.',
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/hello.js', content: "console.log('hello');\n" } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'talk', arguments: { agentName: 'frontend', message: 'backend/hello.js is ready.' } }
+      ]
+    }
+  ],
+  frontend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'frontend/index.html', content: '<h1>Hello</h1>\n' } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return res.json();
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), LLM_PROVIDER: 'scripted', CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    // 1. Health reports the active provider
+    console.log("\n1. Checking /health...");
+    const health = await waitForServer();
+    if (health.provider?.type !== 'scripted') {
+      console.error(`❌ Expected scripted provider in /health, got ${JSON.stringify(health.provider)}`);
+      return finish(1);
+    }
+    console.log(`✅ Health reports provider: ${health.provider.type}`);
+
+    // 2. A request may not point the provider at a file on the server
+    console.log("\n2. Refusing a script file from the request...");
+    const fileRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: "Scripted provider test", provider: { type: 'scripted', scriptFile: '/etc/passwd' } })
+    });
+    const fileData = await fileRes.json();
+    if (fileRes.status !== 400 || fileData.details.includes('root')) {
+      console.error(`❌ FAILURE: Expected a 400 without file contents, got ${fileRes.status}: ${JSON.stringify(fileData)}`);
+      return finish(1);
+    }
+    console.log(`✅ Refused: ${fileData.details}`);
+
+    // 3. Start conversation with an inline script
+    console.log("\n3. Starting scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: "Scripted provider test", provider: { type: 'scripted', script } })
+    });
+    const startData = await startRes.json();
+    const conversationId = startData.conversationId;
+    console.log(`✅ Conversation started with ID: ${conversationId} (${startData.provider.type})`);
+
+    // 4. Stream events until completion
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const createdFiles = [];
+    const talks = [];
+
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'file:created') {
+          createdFiles.push(event.path);
+          console.log(`📝 FILE CREATED by ${event.agent}: ${event.path}`);
+        } else if (event.type === 'agent:talk') {
+          talks.push(event);
+          console.log(`💬 ${event.agent} -> ${event.to}`);
+        } else if (event.type === 'conversation:complete') {
+          console.log(`✅ Conversation completed (${event.status})`);
+          resolve();
+        }
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 5. Check results
+    console.log("\n4. Analyzing results...");
+    const expectedFiles = ['backend/hello.js', 'frontend/index.html'];
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    const missing = expectedFiles.filter(f => !createdFiles.includes(f) || !workspace.files.includes(f));
+    if (missing.length > 0) {
+      console.error(`❌ FAILURE: Missing files: ${missing.join(', ')}`);
+      return finish(1);
+    }
+    const helloFile = await (await fetch(`${API_URL}/api/files/backend/hello.js?conversationId=${conversationId}`)).json();
+    if (helloFile.content !== "console.log('hello');\n") {
+      console.error("❌ FAILURE: backend/hello.js has unexpected content");
+      return finish(1);
+    }
+    if (talks.length !== 1 || talks[0].to !== 'frontend') {
+      console.error(`❌ FAILURE: Expected one talk to frontend, got ${talks.length}`);
+      return finish(1);
+    }
+
+    console.log("\n✅ SUCCESS: Scripted run produced the expected files and messages.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,150 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Search - search_files, find_files, partial read_file and /api/search");
+
+const routes = "const app = require('express')();\n\napp.get('/users', list);\napp.post('/users', create);\n\nmodule.exports = app;\n";
+
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/routes/users.js', content: routes } },
+        { name: 'create_file', arguments: { path: 'backend/README.md', content: "# API\n" } },
+        { name: 'create_file', arguments: { path: 'backend/slow.txt', content: `${'a'.repeat(40)}!\n` } }
+      ]
+    }
+  ],
+  frontend: [
+    {
+      tool_calls: [
+        // Wait for the backend through a no-op so its files exist before searching
+        { name: 'list_files', arguments: { directory: '.' } }
+      ]
+    },
+    {
+      tool_calls: [
+        { name: 'search_files', arguments: { pattern: "app\\.(get|post)\\(", glob: '*.js', regex: true } },
+        { name: 'find_files', arguments: { glob: 'backend/**' } },
+        { name: 'read_file', arguments: { path: 'backend/routes/users.js', offset: 3, limit: 2 } },
+        { name: 'search_files', arguments: { pattern: '(', regex: true } },
+        // Catastrophic backtracking must be stopped, not freeze the server
+        { name: 'search_files', arguments: { pattern: '^(a+)+$', glob: 'backend/slow.txt', regex: true } },
+        // Without regex: true the pattern is plain text
+        { name: 'search_files', arguments: { pattern: "app.post('/users'" } }
+      ]
+    }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation
+    console.log("\n1. Running scripted searches...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Search test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        if (JSON.parse(data).type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. Inspect what the frontend agent got back
+    console.log("\n2. Checking tool results...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const toolResults = agents.frontend.conversationHistory.filter(m => m.role === 'tool').map(m => m.content);
+    const [search, found, partial, invalid, slow, plain] = toolResults.slice(-6);
+
+    const expectedSearch = "backend/routes/users.js:3: app.get('/users', list);\nbackend/routes/users.js:4: app.post('/users', create);";
+    if (search !== expectedSearch) {
+      console.error(`❌ FAILURE: Unexpected search_files result: ${JSON.stringify(search)}`);
+      return finish(1);
+    }
+    if (found !== 'backend/README.md\nbackend/routes/users.js\nbackend/slow.txt') {
+      console.error(`❌ FAILURE: Unexpected find_files result: ${JSON.stringify(found)}`);
+      return finish(1);
+    }
+    if (!/^\[Lines 3-4 of 6 in backend\/routes\/users\.js, version [0-9a-f]{12}\]\napp\.get\('\/users', list\);\napp\.post\('\/users', create\);$/.test(partial)) {
+      console.error(`❌ FAILURE: Unexpected partial read_file result: ${JSON.stringify(partial)}`);
+      return finish(1);
+    }
+    if (!invalid.startsWith('ERROR: Invalid search pattern')) {
+      console.error(`❌ FAILURE: Invalid regex was not reported: ${JSON.stringify(invalid)}`);
+      return finish(1);
+    }
+    if (!slow.startsWith('ERROR: Search stopped after')) {
+      console.error(`❌ FAILURE: Slow pattern was not stopped: ${JSON.stringify(slow)}`);
+      return finish(1);
+    }
+    if (plain !== "backend/routes/users.js:4: app.post('/users', create);") {
+      console.error(`❌ FAILURE: Literal search_files was not literal: ${JSON.stringify(plain)}`);
+      return finish(1);
+    }
+    console.log("✅ search_files, find_files and partial read_file returned the expected results");
+
+    // 3. The UI endpoint returns the same matches
+    console.log("\n3. Checking /api/search...");
+    const api = await (await fetch(`${API_URL}/api/search?conversationId=${conversationId}&pattern=${encodeURIComponent('USERS')}&caseSensitive=false`)).json();
+    if (api.matches.length !== 2 || api.matches[0].line !== 3 || api.truncated) {
+      console.error(`❌ FAILURE: Unexpected /api/search result: ${JSON.stringify(api)}`);
+      return finish(1);
+    }
+    // Literal by default; regex=true opts in
+    const literal = await (await fetch(`${API_URL}/api/search?conversationId=${conversationId}&pattern=${encodeURIComponent("app.get(")}`)).json();
+    const asRegex = await (await fetch(`${API_URL}/api/search?conversationId=${conversationId}&pattern=${encodeURIComponent('app\\.(get|post)')}&regex=true&maxResults=1`)).json();
+    const badLimit = await fetch(`${API_URL}/api/search?conversationId=${conversationId}&pattern=app&maxResults=-5`);
+    if (literal.matches.length !== 1 || asRegex.matches.length !== 1 || !asRegex.truncated || badLimit.status !== 400) {
+      console.error(`❌ FAILURE: Unexpected literal/regex search: ${JSON.stringify(literal)} / ${JSON.stringify(asRegex)} / ${badLimit.status}`);
+      return finish(1);
+    }
+    const byGlob = await (await fetch(`${API_URL}/api/search?conversationId=${conversationId}&glob=*.md`)).json();
+    if (JSON.stringify(byGlob.files) !== JSON.stringify(['backend/README.md'])) {
+      console.error(`❌ FAILURE: Unexpected glob result: ${JSON.stringify(byGlob)}`);
+      return finish(1);
+    }
+    console.log(`✅ /api/search found ${api.matches.length} matches`);
+
+    console.log("\n✅ SUCCESS: Workspace search works for agents and the UI.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
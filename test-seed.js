@@ -0,0 +1,167 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Seeded Workspaces - Start from an uploaded archive or a local directory");
+
+const buildScript = {
+  backend: [{ tool_calls: [{ name: 'create_file', arguments: { path: 'backend/app.js', content: "const port = 8080;\n" } }] }],
+  frontend: [{ tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/index.html', content: '<h1>App</h1>\n' } }] }]
+};
+const fixScript = {
+  backend: [{ tool_calls: [{ name: 'str_replace', arguments: { path: 'backend/app.js', old_string: '8080', new_string: '3000' } }] }]
+};
+
+// A one-file tar.gz whose entry tries to escape the workspace
+function maliciousTarball() {
+  const data = Buffer.from('pwned\n');
+  const header = Buffer.alloc(512);
+  header.write('../evil.txt', 0);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return zlib.gzipSync(Buffer.concat([header, data, Buffer.alloc(512 - data.length), Buffer.alloc(1024)]));
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function post(url, body) {
+  const res = await fetch(`${API_URL}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function upload(archive) {
+  const res = await fetch(`${API_URL}/workspaces/uploads?name=project.zip`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: archive
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+// Start a conversation and wait until it completes
+async function runConversation(body) {
+  const started = await post('/start-conversation', body);
+  const { conversationId } = started.data;
+  const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+  await new Promise((resolve) => {
+    ws.on('message', (data) => {
+      if (JSON.parse(data).type === 'conversation:complete') resolve();
+    });
+    setTimeout(resolve, 30000); // 30s timeout
+  });
+  ws.close();
+  return started.data;
+}
+
+async function readWorkspaceFile(conversationId, filePath) {
+  return (await (await fetch(`${API_URL}/api/files/${filePath}?conversationId=${conversationId}`)).json()).content;
+}
+
+async function runTest() {
+  const seedRoot = mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', SEED_DIR_ROOTS: seedRoot },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(seedRoot, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Build a small project and export it
+    console.log("\n1. Building and exporting a project...");
+    const original = await runConversation({ topic: 'Build it', provider: { type: 'scripted', script: buildScript } });
+    const archive = Buffer.from(await (await fetch(`${API_URL}/api/workspace/archive?conversationId=${original.conversationId}&format=zip`)).arrayBuffer());
+    console.log(`✅ Exported ${archive.length} bytes`);
+
+    // 2. Upload it and start a new conversation from it
+    console.log("\n2. Seeding a new conversation from the upload...");
+    const uploaded = await upload(archive);
+    if (uploaded.status !== 200 || uploaded.data.files !== 3) {
+      console.error(`❌ FAILURE: Upload failed: ${JSON.stringify(uploaded.data)}`);
+      return finish(1);
+    }
+    const seeded = await runConversation({ topic: 'Fix the port', seed: { upload: uploaded.data.uploadId }, provider: { type: 'scripted', script: fixScript } });
+    const app = await readWorkspaceFile(seeded.conversationId, 'backend/app.js');
+    const page = await readWorkspaceFile(seeded.conversationId, 'frontend/index.html');
+    if (seeded.seed?.files !== 3 || app !== 'const port = 3000;\n' || page !== '<h1>App</h1>\n') {
+      console.error(`❌ FAILURE: Seeded workspace is wrong: ${JSON.stringify({ seed: seeded.seed, app, page })}`);
+      return finish(1);
+    }
+    const { agents } = await (await fetch(`${API_URL}/conversations/${seeded.conversationId}/agents`)).json();
+    if (!JSON.stringify(agents.backend.conversationHistory).includes('already contains an existing project (3 files)')) {
+      console.error("❌ FAILURE: Agents were not told about the existing project");
+      return finish(1);
+    }
+    console.log("✅ The seeded project was extended instead of rebuilt");
+
+    // 3. Uploads are used once; unsafe archives are rejected
+    console.log("\n3. Rejecting reused uploads and unsafe archives...");
+    const reused = await post('/start-conversation', { topic: 'Again', seed: { upload: uploaded.data.uploadId } });
+    const unsafe = await upload(maliciousTarball());
+    const garbage = await upload(Buffer.from('not an archive at all'.repeat(30)));
+    if (reused.status !== 404 || unsafe.status !== 400 || !unsafe.data.details.startsWith('Unsafe path in seed: ../evil.txt') || garbage.status !== 400) {
+      console.error(`❌ FAILURE: Unexpected answers: ${reused.status}, ${JSON.stringify(unsafe.data)}, ${JSON.stringify(garbage.data)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${unsafe.data.details}; ${garbage.data.details}`);
+
+    // 4. Seed from a local directory inside SEED_DIR_ROOTS
+    console.log("\n4. Seeding from a local directory...");
+    const projectDir = path.join(seedRoot, 'project');
+    mkdirSync(path.join(projectDir, 'src'), { recursive: true });
+    mkdirSync(path.join(projectDir, 'node_modules', 'dep'), { recursive: true });
+    writeFileSync(path.join(projectDir, 'src', 'main.js'), "console.log('main');\n");
+    writeFileSync(path.join(projectDir, 'node_modules', 'dep', 'index.js'), 'module.exports = 1;\n');
+    const local = await runConversation({ topic: 'Local', seed: { path: projectDir }, provider: { type: 'scripted', script: {} } });
+    const localFiles = await (await fetch(`${API_URL}/api/files?conversationId=${local.conversationId}`)).json();
+    const outside = await post('/start-conversation', { topic: 'Outside', seed: { path: os.tmpdir() } });
+    if (JSON.stringify(localFiles.files) !== JSON.stringify(['src/main.js']) || outside.status !== 400) {
+      console.error(`❌ FAILURE: Local seeding went wrong: ${JSON.stringify(localFiles.files)}, ${outside.status}`);
+      return finish(1);
+    }
+    console.log(`✅ Copied ${localFiles.files.join(', ')} (node_modules skipped); outside path refused: ${outside.data.details}`);
+
+    console.log("\n✅ SUCCESS: Conversations can start from an existing codebase.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
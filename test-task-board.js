@@ -0,0 +1,148 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Task Board API - Humans add and reprioritise tasks mid-run");
+
+// The default team has no coordinator, so the tasks come from the test through the REST API.
+// backend pauses after its first look at the board, so both tasks exist before it finishes task-1.
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'list_tasks', arguments: {} }] },
+    { content: 'Reading the task board.' },
+    { tool_calls: [{ name: 'claim_task', arguments: { task_id: 'task-1' } }] },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/health.js', content: "module.exports = () => 'ok';\n" } }] },
+    { tool_calls: [{ name: 'update_task', arguments: { task_id: 'task-1', status: 'done', note: 'backend/health.js returns ok' } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'list_tasks', arguments: {} }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function request(method, url, body) {
+  const res = await fetch(`${API_URL}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Start a conversation and add tasks before the agents are kicked off
+    console.log("\n1. Adding tasks to a running conversation...");
+    const started = await request('POST', '/start-conversation', { topic: 'Task API test', provider: { type: 'scripted', script } });
+    const { conversationId } = started.data;
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const completed = new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'conversation:complete') resolve(event.status);
+      });
+      setTimeout(() => resolve('test-timeout'), 30000); // 30s timeout
+    });
+
+    const health = await request('POST', `/conversations/${conversationId}/tasks`, {
+      title: 'Add a health check', owner: 'backend', acceptanceCriteria: ['backend/health.js exists']
+    });
+    const page = await request('POST', `/conversations/${conversationId}/tasks`, {
+      title: 'Show the health status', owner: 'frontend', dependsOn: ['task-1'], priority: 'low'
+    });
+    const unowned = await request('POST', `/conversations/${conversationId}/tasks`, { title: 'Nobody does this' });
+    if (health.status !== 201 || health.data.task.id !== 'task-1' || page.data.task?.priority !== 'low'
+      || unowned.status !== 400 || !unowned.data.error.includes('needs an owner')) {
+      console.error(`❌ FAILURE: Unexpected responses: ${JSON.stringify([health, page, unowned])}`);
+      return finish(1);
+    }
+    console.log(`✅ Added ${health.data.task.id} and ${page.data.task.id}; refused: ${unowned.data.error}`);
+
+    // 2. Reprioritise, and refuse bad updates
+    console.log("\n2. Reprioritising...");
+    const raised = await request('PATCH', `/conversations/${conversationId}/tasks/task-2`, { priority: 'high', note: 'Needed for the demo' });
+    const badPriority = await request('PATCH', `/conversations/${conversationId}/tasks/task-2`, { priority: 'urgent' });
+    const unknown = await request('PATCH', `/conversations/${conversationId}/tasks/task-9`, { status: 'done' });
+    if (raised.data.task?.priority !== 'high' || badPriority.status !== 400 || unknown.status !== 404) {
+      console.error(`❌ FAILURE: Unexpected updates: ${JSON.stringify([raised, badPriority.status, unknown.status])}`);
+      return finish(1);
+    }
+    console.log(`✅ task-2 is now ${raised.data.task.priority} priority; refused: ${badPriority.data.error}`);
+
+    const result = await completed;
+    ws.close();
+    if (result !== 'complete') {
+      console.error(`❌ FAILURE: Conversation ended with ${result}`);
+      return finish(1);
+    }
+
+    // 3. The board lists the tasks by priority, and the finished one links to its file change
+    console.log("\n3. Checking the board...");
+    const board = (await request('GET', `/conversations/${conversationId}/tasks`)).data;
+    const [first, second] = board.tasks;
+    if (board.coordinator !== null || first?.id !== 'task-2' || second?.id !== 'task-1' || second.status !== 'done' || first.status !== 'todo'
+      || second.work.length !== 1 || second.work[0].path !== 'backend/health.js' || second.work[0].tool !== 'create_file' || !second.work[0].toolCallId) {
+      console.error(`❌ FAILURE: Unexpected board: ${JSON.stringify(board)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${board.tasks.map(task => `${task.id} (${task.priority}, ${task.status})`).join(', ')}; task-1 was done by ${second.work[0].tool} on ${second.work[0].path}`);
+
+    // 4. Owners were told, and every change was broadcast (some before the test's socket connected)
+    console.log("\n4. Checking messages and events...");
+    const { agents } = (await request('GET', `/conversations/${conversationId}/agents`)).data;
+    const { events } = (await request('GET', `/conversations/${conversationId}/events`)).data;
+    const frontendTold = [...agents.frontend.inbox, ...agents.frontend.conversationHistory].map(m => m.content || '');
+    const expected = ['TASK ASSIGNED task-2', 'TASK UPDATED task-2', 'TASK UNBLOCKED task-2'];
+    const missing = expected.filter(prefix => !frontendTold.some(text => text.includes(prefix)));
+    const taskEvents = events.filter(e => e.type.startsWith('task:'));
+    if (missing.length > 0 || taskEvents.filter(e => e.type === 'task:created' && e.agent === 'user').length !== 2
+      || !taskEvents.some(e => e.type === 'task:updated' && e.agent === 'backend' && e.task.status === 'done')) {
+      console.error(`❌ FAILURE: Missing messages ${missing.join(', ')} or events: ${JSON.stringify(taskEvents.map(e => `${e.type} ${e.agent} ${e.task.id}`))}`);
+      return finish(1);
+    }
+    console.log(`✅ frontend was told: ${expected.join(', ')} (${taskEvents.length} task events)`);
+
+    // 5. A finished conversation's board can be read but not changed
+    console.log("\n5. Changing a finished conversation...");
+    const late = await request('PATCH', `/conversations/${conversationId}/tasks/task-2`, { status: 'done' });
+    if (late.status !== 409) {
+      console.error(`❌ FAILURE: Expected 409, got ${late.status}`);
+      return finish(1);
+    }
+    console.log(`✅ ${late.data.error}`);
+
+    console.log("\n✅ SUCCESS: The task board API adds, reprioritises and tracks tasks.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,186 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Task Board - A coordinator plans tasks and the owners work through them");
+
+// frontend's first claim runs while backend is still on its task; the unblock message wakes it up again
+const script = {
+  coordinator: [
+    {
+      tool_calls: [{
+        name: 'create_tasks',
+        arguments: {
+          tasks: [
+            { id: 'a', title: 'First', owner: 'backend', depends_on: ['b'] },
+            { id: 'b', title: 'Second', owner: 'backend', depends_on: ['a'] }
+          ]
+        }
+      }]
+    },
+    {
+      tool_calls: [{
+        name: 'create_tasks',
+        arguments: {
+          tasks: [
+            { id: 'api', title: 'Build the API', owner: 'backend', acceptance_criteria: ['backend/server.js exists'] },
+            { id: 'ui', title: 'Build the UI', owner: 'frontend', depends_on: ['api'], acceptance_criteria: ['frontend/index.html calls the API'] }
+          ]
+        }
+      }]
+    }
+  ],
+  backend: [
+    {
+      tool_calls: [
+        { name: 'claim_task', arguments: { task_id: 'api' } },
+        { name: 'create_tasks', arguments: { tasks: [{ title: 'Extra work', owner: 'frontend' }] } }
+      ]
+    },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/server.js', content: "module.exports = 'api';\n" } }] },
+    { tool_calls: [{ name: 'update_task', arguments: { task_id: 'api', status: 'done', note: 'backend/server.js is in place' } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'claim_task', arguments: { task_id: 'ui' } }] },
+    { content: 'Waiting for the API task.' },
+    { tool_calls: [{ name: 'claim_task', arguments: { task_id: 'ui' } }] },
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'frontend/index.html', content: "<script>fetch('/api')</script>\n" } }] },
+    { tool_calls: [{ name: 'update_task', arguments: { task_id: 'ui', status: 'done', note: 'frontend/index.html calls /api' } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// Everything an agent was told, read or not, without the "Message from x:" prefix of delivered messages
+const messagesOf = (state) => [...state.inbox, ...state.conversationHistory].map(m => (m.content || '').replace(/^Message from \w+: /, ''));
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. A team with two coordinators is rejected
+    console.log("\n1. Validating coordinator roles...");
+    const invalid = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        topic: 'Bad team',
+        team: { agents: [{ name: 'a', prompt: 'coordinator-agent.txt', role: 'coordinator' }, { name: 'b', prompt: 'coordinator-agent.txt', role: 'coordinator' }] }
+      })
+    });
+    const invalidData = await invalid.json();
+    if (invalid.status !== 400 || !invalidData.details.includes('only one coordinator')) {
+      console.error(`❌ FAILURE: Expected a 400 for two coordinators, got ${invalid.status}: ${JSON.stringify(invalidData)}`);
+      return finish(1);
+    }
+    console.log(`✅ Rejected: ${invalidData.details}`);
+
+    // 2. Run the planned team
+    console.log("\n2. Running the planned team...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Task board test', team: 'planned', provider: { type: 'scripted', script } })
+    });
+    const started = await startRes.json();
+    const { conversationId } = started;
+    if (started.team?.coordinator !== 'coordinator') {
+      console.error(`❌ FAILURE: Unexpected team: ${JSON.stringify(started.team)}`);
+      return finish(1);
+    }
+
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve(event.status);
+      });
+      setTimeout(() => resolve('test-timeout'), 60000); // 60s timeout
+    });
+    ws.close();
+    if (result !== 'complete') {
+      console.error(`❌ FAILURE: Conversation ended with ${result}`);
+      return finish(1);
+    }
+    console.log('✅ Conversation completed');
+
+    // 3. Invalid plans and calls were refused
+    console.log("\n3. Checking refused calls...");
+    const errors = events.filter(e => e.type === 'tool:error');
+    const cycle = errors.find(e => e.agent === 'coordinator' && e.tool === 'create_tasks');
+    const notCoordinator = errors.find(e => e.agent === 'backend' && e.tool === 'create_tasks');
+    const tooEarly = errors.find(e => e.agent === 'frontend' && e.tool === 'claim_task');
+    if (!cycle?.error.includes('dependency cycle') || !notCoordinator?.error.startsWith('Tool not available')
+      || !tooEarly?.error.includes('waiting on unfinished dependencies: api')) {
+      console.error(`❌ FAILURE: Unexpected errors: ${JSON.stringify(errors.map(e => `${e.agent} ${e.tool}: ${e.error}`))}`);
+      return finish(1);
+    }
+    console.log(`✅ ${cycle.error}`);
+    console.log(`✅ ${tooEarly.error}`);
+
+    // 4. Only the coordinator saw the request; the others were told about their tasks
+    console.log("\n4. Checking what each agent was told...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const told = Object.fromEntries(Object.entries(agents).map(([name, state]) => [name, messagesOf(state)]));
+    const sawRequest = Object.keys(told).filter(name => told[name].some(text => text.startsWith('User request:')));
+    if (JSON.stringify(sawRequest) !== '["coordinator"]'
+      || !told.backend.some(text => text.startsWith('TASK ASSIGNED api: Build the API'))
+      || !told.frontend.some(text => text.startsWith('TASK UNBLOCKED ui'))
+      || !told.coordinator.some(text => text.startsWith('TASK DONE ui') && text.includes('frontend/index.html calls /api'))
+      || !told.devops.some(text => text.includes('plan has no tasks for you'))) {
+      console.error(`❌ FAILURE: Unexpected messages: ${JSON.stringify(told, null, 2).slice(0, 2000)}`);
+      return finish(1);
+    }
+    console.log('✅ Request went to the coordinator, assignments and updates to the right agents');
+
+    // 5. The board is stored with the conversation and changes were broadcast
+    console.log("\n5. Checking the board...");
+    const conversation = await (await fetch(`${API_URL}/conversations/${conversationId}`)).json();
+    const board = Object.fromEntries((conversation.tasks || []).map(task => [task.id, task]));
+    if (Object.keys(board).length !== 2 || board.api.status !== 'done' || board.ui.status !== 'done'
+      || board.ui.claimedBy !== 'frontend' || JSON.stringify(board.ui.dependsOn) !== '["api"]'
+      || board.api.notes[0]?.text !== 'backend/server.js is in place') {
+      console.error(`❌ FAILURE: Unexpected board: ${JSON.stringify(conversation.tasks)}`);
+      return finish(1);
+    }
+    const taskEvents = events.filter(e => e.type.startsWith('task:'));
+    if (taskEvents.filter(e => e.type === 'task:created').length !== 2 || !taskEvents.some(e => e.type === 'task:updated' && e.task.id === 'ui' && e.task.status === 'done' && e.previousStatus === 'in_progress')) {
+      console.error(`❌ FAILURE: Unexpected task events: ${JSON.stringify(taskEvents.map(e => `${e.type} ${e.task.id} ${e.task.status}`))}`);
+      return finish(1);
+    }
+    console.log(`✅ ${conversation.tasks.map(task => `${task.id}: ${task.status}`).join(', ')} (${taskEvents.length} task events)`);
+
+    console.log("\n✅ SUCCESS: The coordinator's plan drove who worked on what, in dependency order.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
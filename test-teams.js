@@ -0,0 +1,137 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Teams - Conversations run the roster from a team definition");
+
+// An inline two-agent team where the reviewer may not create files
+const team = {
+  name: 'pair',
+  agents: [
+    { name: 'builder', prompt: 'backend-agent.txt', folders: ['app'] },
+    { name: 'reviewer', prompt: 'qa-agent.txt', folders: ['tests'], tools: ['talk', 'read_message', 'read_file', 'list_files'] }
+  ]
+};
+
+const script = {
+  builder: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'app/index.js', content: "module.exports = 1;\n" } }] },
+    { tool_calls: [{ name: 'talk', arguments: { agentName: 'reviewer', message: 'app/index.js is ready for review.' } }] }
+  ],
+  reviewer: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'tests/index.test.js', content: "test('x', () => {});\n" } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function startConversation(body) {
+  const res = await fetch(`${API_URL}/start-conversation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Team files are listed
+    console.log("\n1. Listing teams...");
+    const { teams } = await (await fetch(`${API_URL}/teams`)).json();
+    const extended = teams.find(t => t.name === 'extended');
+    if (!teams.some(t => t.name === 'default') || !extended?.agents.includes('qa')) {
+      console.error(`❌ FAILURE: Unexpected teams: ${JSON.stringify(teams)}`);
+      return finish(1);
+    }
+    console.log(`✅ Teams: ${teams.map(t => t.name).join(', ')}`);
+
+    // 2. Invalid teams are rejected
+    console.log("\n2. Rejecting invalid teams...");
+    const duplicate = await startConversation({
+      topic: 'Bad team',
+      team: { agents: [{ name: 'a', prompt: 'backend-agent.txt' }, { name: 'a', prompt: 'backend-agent.txt' }] }
+    });
+    const unknown = await startConversation({ topic: 'Bad team', team: 'does-not-exist' });
+    if (duplicate.status !== 400 || unknown.status !== 400) {
+      console.error(`❌ FAILURE: Expected 400s, got ${duplicate.status} and ${unknown.status}`);
+      return finish(1);
+    }
+    console.log(`✅ Rejected: ${duplicate.data.details} / ${unknown.data.details}`);
+
+    // 3. Run the inline team
+    console.log("\n3. Running an inline two-agent team...");
+    const started = await startConversation({ topic: 'Team test', team, provider: { type: 'scripted', script } });
+    const conversationId = started.data.conversationId;
+    if (JSON.stringify(started.data.team?.agents) !== JSON.stringify(['builder', 'reviewer'])) {
+      console.error(`❌ FAILURE: Unexpected roster: ${JSON.stringify(started.data.team)}`);
+      return finish(1);
+    }
+
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    const result = await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve(event.status);
+      });
+      setTimeout(() => resolve('test-timeout'), 30000); // 30s timeout
+    });
+    ws.close();
+
+    if (result !== 'complete') {
+      console.error(`❌ FAILURE: Conversation ended with ${result}`);
+      return finish(1);
+    }
+    const agentsSeen = new Set(events.filter(e => e.agent).map(e => e.agent));
+    if (agentsSeen.has('backend') || !agentsSeen.has('builder') || !agentsSeen.has('reviewer')) {
+      console.error(`❌ FAILURE: Unexpected agents in events: ${[...agentsSeen].join(', ')}`);
+      return finish(1);
+    }
+    console.log(`✅ Completed with agents: ${[...agentsSeen].join(', ')}`);
+
+    // 4. The reviewer's disallowed create_file was refused
+    console.log("\n4. Checking tool restrictions...");
+    const refused = events.find(e => e.type === 'tool:error' && e.agent === 'reviewer' && e.tool === 'create_file');
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (!refused || workspace.files.includes('tests/index.test.js') || !workspace.files.includes('app/index.js')) {
+      console.error(`❌ FAILURE: Tool restriction not enforced (files: ${workspace.files.join(', ')})`);
+      return finish(1);
+    }
+    console.log(`✅ Refused: ${refused.error}`);
+
+    console.log("\n✅ SUCCESS: Teams control the roster and each agent's tools.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
@@ -0,0 +1,139 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Usage - Tokens and cost are counted per agent and capped by the run policy");
+
+// Every backend call reports the same usage; at the test's prices one call costs $0.0036
+const usage = { prompt_tokens: 1000, completion_tokens: 200, total_tokens: 1200, prompt_tokens_details: { cached_tokens: 400 } };
+const prices = { scripted: { input: 2, cachedInput: 1, output: 10 } };
+const callCost = (600 * 2 + 400 * 1 + 200 * 10) / 1e6;
+
+const script = {
+  backend: [
+    { usage, tool_calls: [{ name: 'create_file', arguments: { path: 'backend/a.js', content: "module.exports = 'a';\n" } }] },
+    { usage, tool_calls: [{ name: 'create_file', arguments: { path: 'backend/b.js', content: "module.exports = 'b';\n" } }] },
+    { usage, tool_calls: [{ name: 'create_file', arguments: { path: 'backend/c.js', content: "module.exports = 'c';\n" } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const pricesDir = mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  const pricesFile = path.join(pricesDir, 'prices.json');
+  writeFileSync(pricesFile, JSON.stringify(prices));
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory', MODEL_PRICES_FILE: pricesFile },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    rmSync(pricesDir, { recursive: true, force: true });
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. A cost cap is refused when the model has no price
+    console.log("\n1. Rejecting a cost cap for an unpriced model...");
+    const unpricedRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        topic: 'Usage test',
+        provider: { type: 'scripted', model: 'unknown-model', script },
+        runPolicy: { maxTotalCostUsd: 1 }
+      })
+    });
+    const unpriced = await unpricedRes.json();
+    if (unpricedRes.status !== 400 || !unpriced.details?.includes('unknown-model')) {
+      console.error(`❌ FAILURE: Expected a 400 for the unpriced model, got ${unpricedRes.status} ${JSON.stringify(unpriced)}`);
+      return finish(1);
+    }
+    console.log(`✅ Rejected: ${unpriced.details}`);
+
+    // 2. Run with a per-agent cost cap that allows two backend calls; the dated model name is priced as "scripted"
+    console.log("\n2. Running with a cost cap...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        topic: 'Usage test',
+        provider: { type: 'scripted', model: 'scripted-2025-06-01', script },
+        runPolicy: { maxCostUsd: 0.005, textOnlyLimit: 1, nudgeIntervalMs: 0 }
+      })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 3. Each call's usage was streamed with running totals
+    console.log("\n3. Checking usage:update events...");
+    const updates = events.filter(e => e.type === 'usage:update' && e.agent === 'backend');
+    const last = updates[updates.length - 1];
+    if (updates.length !== 2 || updates[0].usage.cachedTokens !== 400 || updates[0].usage.costUsd !== callCost
+      || last.agentUsage.costUsd !== 2 * callCost || last.agentUsage.turns !== 2) {
+      console.error(`❌ FAILURE: Unexpected usage updates: ${JSON.stringify(updates)}`);
+      return finish(1);
+    }
+    console.log(`✅ Backend: ${last.agentUsage.totalTokens} tokens, $${last.agentUsage.costUsd}`);
+
+    // 4. The cap stopped the backend before its third call
+    console.log("\n4. Checking the cost cap...");
+    const exhausted = events.find(e => e.type === 'agent:budget_exhausted');
+    const workspace = await (await fetch(`${API_URL}/api/files?conversationId=${conversationId}`)).json();
+    if (exhausted?.agent !== 'backend' || exhausted.budget !== 'cost' || workspace.files.includes('backend/c.js')) {
+      console.error(`❌ FAILURE: Cost cap not enforced (${JSON.stringify(exhausted)}, files: ${workspace.files.join(', ')})`);
+      return finish(1);
+    }
+    console.log(`✅ Backend stopped at its ${exhausted.budget} cap of $${exhausted.limit}`);
+
+    // 5. Totals are listed with the conversation
+    console.log("\n5. Checking the conversation totals...");
+    const { conversations } = await (await fetch(`${API_URL}/conversations`)).json();
+    const listed = conversations.find(c => c.id === conversationId);
+    const details = await (await fetch(`${API_URL}/conversations/${conversationId}`)).json();
+    if (listed?.usage?.promptTokens !== 2000 || listed.usage.cachedTokens !== 800 || listed.usage.costUsd !== 2 * callCost
+      || listed.usage.unpricedTurns !== 0 || details.usage.agents.backend.completionTokens !== 400 || details.usage.agents.frontend.totalTokens !== 0) {
+      console.error(`❌ FAILURE: Unexpected totals: ${JSON.stringify(listed?.usage)} / ${JSON.stringify(details.usage)}`);
+      return finish(1);
+    }
+    console.log(`✅ ${listed.usage.turns} model calls, ${listed.usage.totalTokens} tokens, $${listed.usage.costUsd}`);
+
+    console.log("\n✅ SUCCESS: Usage is counted, priced, streamed and capped.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
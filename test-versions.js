@@ -0,0 +1,129 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { createHash } from 'crypto';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing File Versions - An edit from a stale read must fail with a conflict");
+
+const version = (content) => createHash('sha256').update(content).digest('hex').slice(0, 12);
+
+const original = "export const API_URL = '/api';\nexport const TIMEOUT = 1000;\n";
+const frontendEdit = "export const API_URL = '/api/v2';\nexport const TIMEOUT = 1000;\n";
+const originalVersion = version(original);
+const currentVersion = version(frontendEdit);
+const stalePatch = "--- a/config.js\n+++ b/config.js\n@@ -1,2 +1,2 @@\n export const API_URL = '/api';\n-export const TIMEOUT = 1000;\n+export const TIMEOUT = 2000;\n";
+
+// config.js is shared; list_files steps only keep the agents' edits in order
+const script = {
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'config.js', content: original } }] },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    {
+      tool_calls: [
+        { name: 'str_replace', arguments: { path: 'config.js', old_string: '1000', new_string: '5000', expected_version: originalVersion } },
+        { name: 'delete_file', arguments: { path: 'config.js', expected_version: originalVersion } },
+        { name: 'create_file', arguments: { path: 'config.js', content: original, expected_version: originalVersion } },
+        { name: 'apply_patch', arguments: { patch: stalePatch, expected_version: { 'config.js': originalVersion } } }
+      ]
+    },
+    { tool_calls: [{ name: 'str_replace', arguments: { path: 'config.js', old_string: '1000', new_string: '5000', expected_version: currentVersion } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    { tool_calls: [{ name: 'read_file', arguments: { path: 'config.js' } }] },
+    { tool_calls: [{ name: 'str_replace', arguments: { path: 'config.js', old_string: "'/api'", new_string: "'/api/v2'", expected_version: originalVersion } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation
+    console.log("\n1. Running the scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Versions test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    await new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const event = JSON.parse(data);
+        events.push(event);
+        if (event.type === 'conversation:complete') resolve();
+      });
+      setTimeout(resolve, 30000); // 30s timeout
+    });
+    ws.close();
+
+    // 2. read_file reports the version
+    console.log("\n2. Checking read_file...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const read = agents.frontend.conversationHistory.find(m => m.role === 'tool' && m.content.startsWith('[config.js'));
+    if (read?.content !== `[config.js, version ${originalVersion}]\n${original}`) {
+      console.error(`❌ FAILURE: Unexpected read_file result: ${JSON.stringify(read?.content)}`);
+      return finish(1);
+    }
+    console.log(`✅ read_file reported version ${originalVersion}`);
+
+    // 3. Backend's stale edit, delete, rewrite and patch conflict, naming frontend and showing its change
+    console.log("\n3. Checking the conflicts...");
+    const conflicts = events.filter(e => e.type === 'tool:error' && e.agent === 'backend');
+    const expectedDiff = "-export const API_URL = '/api';\n+export const API_URL = '/api/v2';";
+    if (conflicts.length !== 4 || !conflicts.every(e =>
+      e.error.startsWith(`Version conflict: config.js changed since you read it (you have version ${originalVersion}, it is now ${currentVersion})`)
+      && e.error.includes('Changed by: frontend (str_replace')
+      && e.error.includes(expectedDiff))) {
+      console.error(`❌ FAILURE: Unexpected conflicts: ${JSON.stringify(conflicts.map(e => e.error))}`);
+      return finish(1);
+    }
+    console.log(`✅ ${conflicts[0].error.split('\n').slice(0, 2).join(' / ')}`);
+
+    // 4. The retry on the current version went through and nothing was lost
+    console.log("\n4. Checking the file...");
+    const file = await (await fetch(`${API_URL}/api/files/config.js?conversationId=${conversationId}`)).json();
+    const expected = "export const API_URL = '/api/v2';\nexport const TIMEOUT = 5000;\n";
+    if (file.content !== expected || file.version !== version(expected)) {
+      console.error(`❌ FAILURE: Unexpected file: ${JSON.stringify(file)}`);
+      return finish(1);
+    }
+    console.log(`✅ Both edits kept, now at version ${file.version}`);
+
+    console.log("\n✅ SUCCESS: Stale edits are rejected with who changed the file and how.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
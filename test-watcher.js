@@ -0,0 +1,129 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { writeFileSync, unlinkSync } from 'fs';
+import path from 'path';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Workspace Watcher - Changes made outside the agent tools are reported");
+
+// The command writes notes.txt behind the tools' back and stays alive long enough for the watcher to notice
+const script = {
+  backend: [
+    {
+      tool_calls: [
+        { name: 'create_file', arguments: { path: 'backend/app.js', content: "module.exports = {};\n" } },
+        { name: 'run_command', arguments: { command: "node -e \"require('fs').writeFileSync('notes.txt', 'hi\\n'); setTimeout(() => {}, 1000)\"" } }
+      ]
+    },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] }
+  ],
+  frontend: [
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] },
+    { tool_calls: [{ name: 'list_files', arguments: { directory: '.' } }] }
+  ]
+};
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+// Wait until an event matching the predicate has arrived
+async function waitForEvent(events, predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const event = events.find(predicate);
+    if (event) return event;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Run the scripted conversation
+    console.log("\n1. Running the scripted conversation...");
+    const startRes = await fetch(`${API_URL}/start-conversation`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topic: 'Watcher test', provider: { type: 'scripted', script } })
+    });
+    const { conversationId, workspace } = await startRes.json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+    const events = [];
+    ws.on('message', data => events.push(JSON.parse(data)));
+    if (!await waitForEvent(events, e => e.type === 'conversation:complete', 30000)) {
+      console.error("❌ FAILURE: Conversation did not complete");
+      return finish(1);
+    }
+
+    // 2. The command's write was reported once, the tool's write was not reported twice
+    console.log("\n2. Checking file events...");
+    const external = events.filter(e => e.source === 'external').map(e => `${e.type}:${e.path}`);
+    const appCreated = events.filter(e => e.type === 'file:created' && e.path === 'backend/app.js');
+    if (JSON.stringify(external) !== JSON.stringify(['file:created:notes.txt']) || appCreated.length !== 1 || appCreated[0].agent !== 'backend') {
+      console.error(`❌ FAILURE: Unexpected file events: ${JSON.stringify(external)}, ${appCreated.length} for backend/app.js`);
+      return finish(1);
+    }
+    console.log(`✅ ${external.join(', ')}`);
+
+    // 3. Agents were told in their next turn
+    console.log("\n3. Checking what the agents were told...");
+    const { agents } = await (await fetch(`${API_URL}/conversations/${conversationId}/agents`)).json();
+    const notes = name => agents[name].conversationHistory
+      .filter(m => m.role === 'system' && m.content.startsWith('Files changed in the workspace'))
+      .map(m => m.content).join('\n');
+    if (!notes('backend').includes('- notes.txt created by someone outside the agent tools') || notes('backend').includes('backend/app.js')
+      || !notes('frontend').includes('- backend/app.js created by backend')) {
+      console.error(`❌ FAILURE: Unexpected notes: ${JSON.stringify({ backend: notes('backend'), frontend: notes('frontend') })}`);
+      return finish(1);
+    }
+    console.log("✅ backend heard about notes.txt, frontend about backend/app.js");
+
+    // 4. A person editing the workspace while a client is connected
+    console.log("\n4. Editing the workspace by hand...");
+    const readme = path.join(workspace, 'README.md');
+    writeFileSync(readme, '# Draft\n');
+    const created = await waitForEvent(events, e => e.type === 'file:created' && e.path === 'README.md');
+    writeFileSync(readme, '# Draft\n\nMore text.\n');
+    const modified = await waitForEvent(events, e => e.type === 'file:modified' && e.path === 'README.md');
+    unlinkSync(readme);
+    const deleted = await waitForEvent(events, e => e.type === 'file:deleted' && e.path === 'README.md');
+    ws.close();
+    if (!created || !modified || !deleted || deleted.agent !== null) {
+      console.error(`❌ FAILURE: Missing events: ${JSON.stringify({ created, modified, deleted })}`);
+      return finish(1);
+    }
+    console.log("✅ file:created, file:modified and file:deleted reported");
+
+    console.log("\n✅ SUCCESS: Outside changes reach clients and agents.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();
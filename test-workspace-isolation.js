@@ -0,0 +1,125 @@
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+
+const PORT = 3001;
+const API_URL = `http://localhost:${PORT}`;
+
+console.log("🧪 Testing Workspace Isolation - Concurrent conversations must not share files");
+
+// Both conversations write the same path with different content
+const scriptFor = (label) => ({
+  backend: [
+    { tool_calls: [{ name: 'create_file', arguments: { path: 'backend/owner.txt', content: label } }] }
+  ]
+});
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      const res = await fetch(`${API_URL}/health`);
+      if (res.ok) return;
+    } catch (err) {
+      // Server not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Server did not start');
+}
+
+async function startConversation(body) {
+  const startRes = await fetch(`${API_URL}/start-conversation`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const { conversationId } = await startRes.json();
+  const ws = new WebSocket(`ws://localhost:${PORT}/ws?conversationId=${conversationId}`);
+  const done = new Promise((resolve) => {
+    ws.on('message', (data) => {
+      if (JSON.parse(data).type === 'conversation:complete') {
+        ws.close();
+        resolve();
+      }
+    });
+    setTimeout(resolve, 30000); // 30s timeout
+  });
+  return { conversationId, done };
+}
+
+async function readOwner(conversationId) {
+  const res = await fetch(`${API_URL}/api/files/backend/owner.txt?conversationId=${conversationId}`);
+  return (await res.json()).content;
+}
+
+async function runTest() {
+  const serverProcess = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(PORT), CONVERSATION_STORE: 'memory' },
+    stdio: 'ignore'
+  });
+
+  const finish = (code) => {
+    serverProcess.kill();
+    process.exit(code);
+  };
+
+  try {
+    await waitForServer();
+
+    // 1. Two conversations at the same time
+    console.log("\n1. Starting two conversations concurrently...");
+    const first = await startConversation({ topic: 'First', provider: { type: 'scripted', script: scriptFor('first') } });
+    const second = await startConversation({ topic: 'Second', provider: { type: 'scripted', script: scriptFor('second') } });
+    await Promise.all([first.done, second.done]);
+
+    if (first.conversationId === second.conversationId) {
+      console.error("❌ FAILURE: Both conversations got the same id");
+      return finish(1);
+    }
+    const [firstOwner, secondOwner] = await Promise.all([readOwner(first.conversationId), readOwner(second.conversationId)]);
+    if (firstOwner !== 'first' || secondOwner !== 'second') {
+      console.error(`❌ FAILURE: Workspaces leaked (first=${firstOwner}, second=${secondOwner})`);
+      return finish(1);
+    }
+    console.log("✅ Each conversation kept its own backend/owner.txt");
+
+    // 2. Wiping one workspace leaves the other alone
+    console.log("\n2. Wiping the first workspace...");
+    await fetch(`${API_URL}/wipe-workspace`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ conversationId: first.conversationId })
+    });
+    const firstFiles = await (await fetch(`${API_URL}/api/files?conversationId=${first.conversationId}`)).json();
+    if (firstFiles.files.length !== 0 || await readOwner(second.conversationId) !== 'second') {
+      console.error("❌ FAILURE: Wipe was not scoped to one conversation");
+      return finish(1);
+    }
+    console.log("✅ Wipe only affected the first conversation");
+
+    // 3. Start from a copy of the second workspace
+    console.log("\n3. Starting a conversation from a copy of the second workspace...");
+    const copy = await startConversation({ topic: 'Copy', provider: { type: 'scripted', script: {} }, workspaceFrom: second.conversationId });
+    await copy.done;
+    if (await readOwner(copy.conversationId) !== 'second') {
+      console.error("❌ FAILURE: Workspace was not copied");
+      return finish(1);
+    }
+    console.log("✅ Copied workspace contains the second conversation's files");
+
+    // 4. Traversal out of a workspace is rejected
+    const escape = await fetch(`${API_URL}/api/files/..%2F${second.conversationId}%2Fbackend%2Fowner.txt?conversationId=${first.conversationId}`);
+    if (escape.ok) {
+      console.error("❌ FAILURE: Read another conversation's file through ../");
+      return finish(1);
+    }
+    console.log("✅ Paths outside the workspace are rejected");
+
+    console.log("\n✅ SUCCESS: Conversations have isolated workspaces.");
+    finish(0);
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    finish(1);
+  }
+}
+
+runTest();